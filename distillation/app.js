@@ -1,44 +1,665 @@
 // element variables (browser only)
-let form, totalTraysInput, feedTrayInput, columnPressureInput, feedRateInput, feedCompositionInput, distCompositionInput, btmsCompositionInput;
+let form, componentForm, unitSystemInput, lightKeyInput, heavyKeyInput, activityModelInput, totalTraysInput, feedTrayInput, energyBalanceInput, condenserTypeInput, distillateVaporFractionInput, refluxSubcoolingInput, efficiencyModeInput, trayEfficiencyInput, rectifyingEfficiencyInput, strippingEfficiencyInput, columnPressureInput, pressureDropModeInput, trayPressureDropInput, columnPressureDropInput, feedRateInput, feedCompositionInput, feedConditionInput, feedVaporFractionInput, feedTemperatureInput, operatingModeInput, distCompositionInput, btmsCompositionInput, refluxRatioInput, reboilerDutyInput;
 let ids, els, msgs;
 
 let previousTrayCount;
 let previousFeedTray;
 let lastSimulationFailed = false;
+let lastSimulation = null;
 
 if (typeof document !== 'undefined') {
-    ids = ['totalTrays', 'feedTray', 'feedComposition', 'distillateComposition', 'bottomsComposition'];
+    ids = ['lightKey', 'heavyKey', 'activityModel', 'totalTrays', 'feedTray', 'energyBalance', 'distillateVaporFraction', 'refluxSubcooling', 'trayEfficiency', 'rectifyingEfficiency', 'strippingEfficiency', 'traySpacing', 'weirHeight', 'systemFactor', 'floodTarget', 'trayPressureDrop', 'columnPressureDrop', 'feedComposition', 'feedVaporFraction', 'feedTemperature', 'distillateComposition', 'bottomsComposition', 'refluxRatio', 'reboilerDuty'];
     els = Object.fromEntries(ids.map(id => [id,document.getElementById(id)]));
     msgs = Object.fromEntries(ids.map(id => [id, document.getElementById(id + '-msg')]));
     form = document.getElementById('input-form');
+    componentForm = document.getElementById('component-form');
+    unitSystemInput = document.getElementById('unitSystem');
+    lightKeyInput = document.getElementById('lightKey');
+    heavyKeyInput = document.getElementById('heavyKey');
+    activityModelInput = document.getElementById('activityModel');
     totalTraysInput = document.getElementById('totalTrays');
     feedTrayInput = document.getElementById('feedTray');
+    energyBalanceInput = document.getElementById('energyBalance');
+    condenserTypeInput = document.getElementById('condenserType');
+    distillateVaporFractionInput = document.getElementById('distillateVaporFraction');
+    refluxSubcoolingInput = document.getElementById('refluxSubcooling');
+    efficiencyModeInput = document.getElementById('efficiencyMode');
+    trayEfficiencyInput = document.getElementById('trayEfficiency');
+    rectifyingEfficiencyInput = document.getElementById('rectifyingEfficiency');
+    strippingEfficiencyInput = document.getElementById('strippingEfficiency');
     columnPressureInput = document.getElementById('columnPressure');
+    pressureDropModeInput = document.getElementById('pressureDropMode');
+    trayPressureDropInput = document.getElementById('trayPressureDrop');
+    columnPressureDropInput = document.getElementById('columnPressureDrop');
     feedRateInput = document.getElementById('feedRate');
     feedCompositionInput = document.getElementById('feedComposition');
+    feedConditionInput = document.getElementById('feedCondition');
+    feedVaporFractionInput = document.getElementById('feedVaporFraction');
+    feedTemperatureInput = document.getElementById('feedTemperature');
+    operatingModeInput = document.getElementById('operatingMode');
     distCompositionInput = document.getElementById('distillateComposition');
     btmsCompositionInput = document.getElementById('bottomsComposition');
+    refluxRatioInput = document.getElementById('refluxRatio');
+    reboilerDutyInput = document.getElementById('reboilerDuty');
 }
 
-function updateFeedInfo() {
-    const feedRate = feedRateInput?.valueAsNumber || 0;
-    const feedComp = feedCompositionInput?.valueAsNumber || 0;
-
-    // Calculate approximate feed temperature (saturated liquid assumption)
-    const feedTemp = feedComp > 0 ? 
-        equilibriumTemperatureFromX(
-            (columnPressureInput?.valueAsNumber || 100) + 14.7,
-            feedComp / 100,
-            propaneConstants,
-            butaneConstants
-        ) : 0;
-    
-    const feedInfoBox = document.querySelector('.feed-info-box');
-    if (feedInfoBox) {
-        feedInfoBox.querySelector('#feed-rate').textContent = `${fmt(feedRate, 0)}`;
-        feedInfoBox.querySelector('#feed-composition').textContent = `${fmt(feedComp, 1)}`;
-        feedInfoBox.querySelector('#feed-temp').textContent = `${fmt(feedTemp, 0)}`;
+/**
+ * @returns {array[HTMLSelectElement]} the unit select for each quantity
+ */
+function unitSelects() {
+    return [...document.querySelectorAll('select[data-unit-quantity]')];
+}
+
+/**
+ * reads the unit chosen for each quantity
+ * @returns {object}
+ */
+function selectedUnits() {
+    return Object.fromEntries(unitSelects().map(select => [select.dataset.unitQuantity, select.value]));
+}
+
+/**
+ * switches the page to new display units, every value entered is converted so the case stays the same
+ * @param {object} units unit for each quantity
+ * @param {object} from units the values are entered in, the current display units by default
+ */
+function showUnits(units, from = displayUnits) {
+    unitSelects().forEach(select => select.value = units[select.dataset.unitQuantity]);
+    unitSystemInput.value = matchingUnitSystem(units) ?? 'custom';
+    convertInputUnits(document, from, units);
+    setDisplayUnits(units);
+    renderUnitLabels();
+}
+
+function unitsChanged(event) {
+    const system = UNIT_SYSTEMS[unitSystemInput.value];
+    showUnits(event.target === unitSystemInput && system ? system.units : selectedUnits());
+    storeUnitPreference(displayUnits);
+}
+
+function setupUnitInputs() {
+    // custom only names a mix of units, it is picked by choosing the units one at a time
+    const custom = new Option('Custom', 'custom');
+    custom.disabled = true;
+    unitSystemInput.replaceChildren(...Object.entries(UNIT_SYSTEMS).map(([key, system]) => new Option(system.label, key)), custom);
+    unitSelects().forEach(select => select.replaceChildren(...Object.entries(UNIT_QUANTITIES[select.dataset.unitQuantity].units).map(([key, unit]) => new Option(unit.label, key))));
+    unitSystemInput.closest('fieldset').addEventListener('change', unitsChanged);
+    showUnits(loadUnitPreference(), DEFAULT_UNITS);
+}
+
+/**
+ * fills the light and heavy key dropdowns from the component library
+ */
+function populateComponentOptions() {
+    for (const [select, defaultId] of [[lightKeyInput, DEFAULT_LIGHT_KEY], [heavyKeyInput, DEFAULT_HEAVY_KEY]]) {
+        const selected = select.value || defaultId;
+        select.replaceChildren(...listComponents().map(c => new Option(c.name, c.id)));
+        select.value = getComponent(selected) ? selected : defaultId;
+    }
+}
+
+/**
+ * returns the component objects for the selected light and heavy keys
+ * @returns {array[object]}
+ */
+function selectedComponents() {
+    return [getComponent(lightKeyInput.value), getComponent(heavyKeyInput.value)];
+}
+
+const ACTIVITY_PARAM_UNITS = { a12: 'cal/mol', a21: 'cal/mol', b12: 'cal/mol', b21: 'cal/mol', V1: 'cm³/mol', V2: 'cm³/mol' };
+const ACTIVITY_MODEL_DEFAULTS = {
+    raoult: {},
+    margules2: { A: 0 },
+    margules3: { A12: 0, A21: 0 },
+    wilson: { a12: 0, a21: 0, V1: NaN, V2: NaN },
+    nrtl: { b12: 0, b21: 0, alpha: 0.3 }
+};
+
+/**
+ * builds the parameter inputs for an activity model
+ * @param {object} model 
+ */
+function renderActivityModelInputs(model) {
+    activityModelInput.value = model.type;
+    const groups = ACTIVITY_MODELS[model.type].params.map(param => {
+        const group = document.createElement('div');
+        group.className = 'input-group';
+        const label = document.createElement('label');
+        label.htmlFor = `activity-${param}`;
+        label.textContent = param;
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.step = 'any';
+        input.required = true;
+        input.id = `activity-${param}`;
+        input.dataset.param = param;
+        input.value = Number.isFinite(model[param]) ? model[param] : '';
+        const units = document.createElement('span');
+        units.className = 'units';
+        units.textContent = ACTIVITY_PARAM_UNITS[param] || '';
+        group.append(label, input, units);
+        return group;
+    });
+    document.getElementById('activity-params').replaceChildren(...groups);
+}
+
+/**
+ * reads the activity model and its parameters from the form
+ * @returns {object}
+ */
+function selectedActivityModel() {
+    const model = { type: activityModelInput.value };
+    document.querySelectorAll('#activity-params input').forEach(input => model[input.dataset.param] = input.valueAsNumber);
+    return model;
+}
+
+function loadPairActivityModel() {
+    const [light, heavy] = selectedComponents();
+    if (!light || !heavy) return;
+    renderActivityModelInputs(getActivityModel(light.id, heavy.id));
+}
+
+function activityModelChanged(event) {
+    const [light, heavy] = selectedComponents();
+    if (event.target === activityModelInput) {
+        const library = libraryActivityModel(light.id, heavy.id);
+        const type = activityModelInput.value;
+        renderActivityModelInputs(library.type === type ? library : { type, ...ACTIVITY_MODEL_DEFAULTS[type] });
+    }
+    saveActivityModel(light.id, heavy.id, selectedActivityModel());
+}
+
+function setupActivityModelInputs() {
+    activityModelInput.replaceChildren(...Object.entries(ACTIVITY_MODELS).map(([type, model]) => new Option(model.name, type)));
+    activityModelInput.closest('fieldset').addEventListener('change', activityModelChanged);
+    lightKeyInput.addEventListener('change', loadPairActivityModel);
+    heavyKeyInput.addEventListener('change', loadPairActivityModel);
+    document.getElementById('activity-reset').addEventListener('click', () => {
+        const [light, heavy] = selectedComponents();
+        resetActivityModel(light.id, heavy.id);
+        loadPairActivityModel();
+        renderPage();
+    });
+    loadPairActivityModel();
+}
+
+/**
+ * reads the component editor into an entry for saveCustomComponent
+ * @returns {object}
+ */
+function readCustomComponentEntry() {
+    const value = id => document.getElementById(id).valueAsNumber;
+    return {
+        name: document.getElementById('customName').value,
+        basis: document.getElementById('customBasis').value,
+        A: value('customA'),
+        B: value('customB'),
+        C: value('customC'),
+        tMin: value('customTMin'),
+        tMax: value('customTMax'),
+        mol_wt: value('customMolWt'),
+        hVap: value('customHVap'),
+        cpLiq: value('customCpLiq'),
+        cpVap: value('customCpVap'),
+        liqDensity: value('customLiqDensity'),
+        tc: value('customTc')
+    };
+}
+
+function fillCustomComponentForm(component) {
+    const source = component.source;
+    document.getElementById('customName').value = component.name;
+    document.getElementById('customBasis').value = source.basis;
+    document.getElementById('customA').value = source.A;
+    document.getElementById('customB').value = source.B;
+    document.getElementById('customC').value = source.C;
+    document.getElementById('customTMin').value = source.tMin;
+    document.getElementById('customTMax').value = source.tMax;
+    document.getElementById('customMolWt').value = component.mol_wt;
+    document.getElementById('customHVap').value = component.hVap;
+    document.getElementById('customCpLiq').value = component.cpLiq ?? '';
+    document.getElementById('customCpVap').value = component.cpVap ?? '';
+    document.getElementById('customLiqDensity').value = component.liqDensity ?? '';
+    document.getElementById('customTc').value = source.tc ?? '';
+    updateBasisLabels();
+}
+
+function updateBasisLabels() {
+    const basis = document.getElementById('customBasis').value;
+    const tempUnit = ANTOINE_BASES[basis]?.label.split(' / ')[0] || '';
+    componentForm.querySelectorAll('.basis-temp-units').forEach(el => el.textContent = tempUnit);
+}
+
+function setComponentFormMessages(messages) {
+    const list = document.getElementById('component-form-msgs');
+    list.replaceChildren(...messages.map(text => {
+        const li = document.createElement('li');
+        li.className = 'msg';
+        li.textContent = text;
+        return li;
+    }));
+}
+
+function renderCustomComponentList() {
+    const list = document.getElementById('custom-component-list');
+    list.replaceChildren(...loadCustomComponents().map(component => {
+        const li = document.createElement('li');
+        const name = document.createElement('span');
+        name.className = 'component-name';
+        name.textContent = component.name;
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.textContent = 'Edit';
+        edit.addEventListener('click', () => fillCustomComponentForm(component));
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = 'Delete';
+        remove.addEventListener('click', () => {
+            deleteCustomComponent(component.id);
+            refreshComponentChoices();
+        });
+        li.append(name, edit, remove);
+        return li;
+    }));
+}
+
+function refreshComponentChoices() {
+    populateComponentOptions();
+    loadPairActivityModel();
+    renderCustomComponentList();
+    renderPage();
+}
+
+function submitCustomComponent(event) {
+    event.preventDefault();
+    const entry = readCustomComponentEntry();
+    const errors = customComponentErrors(entry);
+    setComponentFormMessages(errors);
+    if (errors.length) return;
+    const component = saveCustomComponent(entry);
+    setComponentFormMessages([`Saved ${component.name}.`]);
+    refreshComponentChoices();
+}
+
+function setupComponentEditor() {
+    const basisSelect = document.getElementById('customBasis');
+    basisSelect.replaceChildren(...Object.entries(ANTOINE_BASES).map(([key, basis]) => new Option(basis.label, key)));
+    basisSelect.addEventListener('change', updateBasisLabels);
+    componentForm.addEventListener('submit', submitCustomComponent);
+    componentForm.addEventListener('reset', () => {
+        setComponentFormMessages([]);
+        // reset restores the select after this handler runs
+        setTimeout(updateBasisLabels);
+    });
+    updateBasisLabels();
+    renderCustomComponentList();
+}
+
+/**
+ * warns when the stage temperatures are outside the range the Antoine constants were fitted over
+ * @param {array[object]} trays 
+ * @param {array[object]} components 
+ */
+function updateAntoineRangeWarning(trays, components) {
+    const temperatures = trays.map(t => t.temperature);
+    const shown = tempK => fmt(displayValue((tempK - 273.15) * 9 / 5 + 32, 'temperature'), 0);
+    const warnings = components.filter(c => antoineRangeViolation(temperatures, c)).map(c =>
+        `${c.name} Antoine constants are fitted for ${shown(c.tMin)}-${shown(c.tMax)} ${unitLabel('temperature')}`);
+    if (warnings.length === 0) {
+        setAntoineRangeWarning('');
+        return;
+    }
+    const finite = temperatures.filter(Number.isFinite).map(t => displayValue(t, 'temperature'));
+    const stageRange = `${fmt(Math.min(...finite), 0)}-${fmt(Math.max(...finite), 0)} ${unitLabel('temperature')}`;
+    setAntoineRangeWarning(`Stage temperatures (${stageRange}) are outside the fitted range: ${warnings.join('; ')}. Vapor pressures are extrapolated.`);
+}
+
+/**
+ * describes an azeotrope for validation messages
+ * @param {object} azeotrope 
+ * @param {object} light 
+ * @returns {string}
+ */
+function describeAzeotrope(azeotrope, light) {
+    return `${azeotrope.type} azeotrope at ${fmt(azeotrope.composition * 100, 1)} mol% ${light.name} and ${fmt(displayValue(azeotrope.temperature, 'temperature'), 0)} ${unitLabel('temperature')}`;
+}
+
+function setAzeotropeInfo(text) {
+    document.getElementById('azeotrope-msg').textContent = text ? `Found a ${text}.` : '';
+}
+
+function setAntoineRangeWarning(text) {
+    document.getElementById('antoine-range-msg').textContent = text;
+}
+
+function updateComponentLabels() {
+    const [light] = selectedComponents();
+    document.querySelectorAll('.light-key-name').forEach(el => el.textContent = light?.name || '');
+}
+
+/**
+ * shows the input for the selected feed condition and disables the other so it is skipped by validation
+ */
+function updateFeedConditionInputs() {
+    showInputGroups('feedCondition', feedConditionInput.value);
+}
+
+/**
+ * shows the input groups tagged with a data attribute value and hides and disables the others
+ * a disabled input is skipped by the form validation
+ * @param {string} key data attribute name in camel case
+ * @param {string} value 
+ */
+function showInputGroups(key, value) {
+    document.querySelectorAll('.input-group').forEach(group => {
+        if (!(key in group.dataset)) return;
+        const active = group.dataset[key] === value;
+        group.hidden = !active;
+        group.querySelector('input').disabled = !active;
+    });
+}
+
+/**
+ * shows the product purity inputs in design mode and the reflux ratio and reboiler duty inputs in rating mode
+ */
+function updateOperatingModeInputs() {
+    showInputGroups('operatingMode', operatingModeInput.value);
+}
+
+/**
+ * shows the pressure drop per tray or across the whole column
+ */
+function updatePressureDropInputs() {
+    showInputGroups('pressureDrop', pressureDropModeInput.value);
+}
+
+/**
+ * reads the condenser pressure and pressure drop from the form
+ * a total column pressure drop is shared equally by the trays and the reboiler
+ * @returns {number|array[number]} stage pressures in psia, one pressure for the whole column when there is no pressure drop
+ */
+function selectedPressureProfile() {
+    const condenserPressure = inputBaseValue(columnPressureInput);
+    const totalTrays = totalTraysInput.valueAsNumber;
+    const trayDrop = pressureDropModeInput.value === 'column' ? inputBaseValue(columnPressureDropInput) / (totalTrays + 1) : inputBaseValue(trayPressureDropInput);
+    if (!(trayDrop > 0) || !Number.isInteger(totalTrays)) return condenserPressure;
+    return pressureProfile(condenserPressure, trayDrop, totalTrays);
+}
+
+/**
+ * reads whether the column is solved with constant molal overflow or a rigorous energy balance
+ * @returns {object}
+ */
+function selectedEnergyBalance() {
+    return energyBalanceInput.value === 'rigorous' ? RIGOROUS_ENERGY_BALANCE : CONSTANT_MOLAL_OVERFLOW;
+}
+
+/**
+ * shows the vapor distillate fraction for a mixed condenser
+ */
+function updateCondenserInputs() {
+    showInputGroups('condenserType', condenserTypeInput.value);
+}
+
+/**
+ * reads the condenser type, vapor distillate fraction and reflux subcooling from the form
+ * @returns {object}
+ */
+function selectedCondenser() {
+    return {
+        type: condenserTypeInput.value,
+        vaporFraction: condenserTypeInput.value === 'mixed' ? distillateVaporFractionInput.valueAsNumber : distillateVaporFraction({ type: condenserTypeInput.value }),
+        subcooling: inputBaseValue(refluxSubcoolingInput)
+    };
+}
+
+/**
+ * shows a single tray efficiency or one for each section
+ */
+function updateEfficiencyInputs() {
+    showInputGroups('efficiencyMode', efficiencyModeInput.value);
+}
+
+/**
+ * reads the Murphree vapor efficiency of each section from the form
+ * @returns {object} rectifying and stripping efficiency as fractions
+ */
+function selectedEfficiency() {
+    if (efficiencyModeInput.value === 'section') {
+        return { rectifying: rectifyingEfficiencyInput.valueAsNumber/100, stripping: strippingEfficiencyInput.valueAsNumber/100 };
     }
+    return { rectifying: trayEfficiencyInput.valueAsNumber/100, stripping: trayEfficiencyInput.valueAsNumber/100 };
+}
+
+/**
+ * reads the tray design the hydraulics are checked against
+ * @returns {object} tray spacing and weir height in inches, system factor and the design fraction of flood
+ */
+function selectedHydraulics() {
+    return {
+        traySpacing: inputBaseValue(document.getElementById('traySpacing')),
+        weirHeight: inputBaseValue(document.getElementById('weirHeight')),
+        systemFactor: document.getElementById('systemFactor').valueAsNumber,
+        floodFraction: document.getElementById('floodTarget').valueAsNumber / 100
+    };
+}
+
+/**
+ * adds a side draw to the form
+ * @param {object} draw tray, phase and mass rate in display units, the template defaults are used when missing
+ */
+function addSideDraw(draw = {}) {
+    const row = document.getElementById('side-draw-template').content.firstElementChild.cloneNode(true);
+    convertInputUnits(row, DEFAULT_UNITS, displayUnits);
+    renderUnitLabels(row);
+    if (Number.isFinite(draw.tray)) row.querySelector('input[data-field="tray"]').value = draw.tray;
+    if (draw.phase) row.querySelector('select[data-field="phase"]').value = draw.phase;
+    if (Number.isFinite(draw.massRate)) row.querySelector('input[data-field="rate"]').value = draw.massRate;
+    row.querySelector('.side-draw-remove').addEventListener('click', () => {
+        row.remove();
+        numberSideDraws();
+        renderPage();
+    });
+    document.getElementById('side-draw-list').appendChild(row);
+    numberSideDraws();
+}
+
+/**
+ * numbers the side draw rows and gives their inputs matching ids and labels
+ */
+function numberSideDraws() {
+    document.querySelectorAll('#side-draw-list .side-draw').forEach((row, i) => {
+        row.querySelectorAll('[data-field]').forEach(el => {
+            const id = `sideDraw${i + 1}-${el.dataset.field}`;
+            if (el.tagName === 'LABEL') el.htmlFor = id;
+            else el.id = id;
+        });
+        row.querySelector('.side-draw-label').textContent = `Draw ${i + 1} Tray`;
+    });
+}
+
+/**
+ * reads the side draws from the form
+ * @returns {array[object]} tray, phase and mass rate of each draw
+ */
+function selectedSideDraws() {
+    return [...document.querySelectorAll('#side-draw-list .side-draw')].map(row => ({
+        tray: row.querySelector('input[data-field="tray"]').valueAsNumber,
+        phase: row.querySelector('select[data-field="phase"]').value,
+        massRate: inputBaseValue(row.querySelector('input[data-field="rate"]'))
+    }));
+}
+
+function setSideDrawMessage(text) {
+    document.getElementById('sideDraws-msg').textContent = text || '';
+}
+
+function setupSideDraws() {
+    document.getElementById('side-draw-add').addEventListener('click', () => {
+        addSideDraw();
+        renderPage();
+    });
+}
+
+/**
+ * adds a feed to the form in addition to the main feed
+ * @param {object} feed tray, mass rate, composition in mol% and condition in display units, the template defaults are used when missing
+ */
+function addSideFeed(feed = {}) {
+    const row = document.getElementById('side-feed-template').content.firstElementChild.cloneNode(true);
+    convertInputUnits(row, DEFAULT_UNITS, displayUnits);
+    renderUnitLabels(row);
+    const input = field => row.querySelector(`[data-field="${field}"]:not(label)`);
+    if (Number.isFinite(feed.tray)) input('tray').value = feed.tray;
+    if (Number.isFinite(feed.massRate)) input('rate').value = feed.massRate;
+    if (Number.isFinite(feed.composition)) input('composition').value = feed.composition;
+    if (feed.condition) input('condition').value = feed.condition.type;
+    if (Number.isFinite(feed.condition?.vaporFraction)) input('vaporFraction').value = feed.condition.vaporFraction;
+    if (Number.isFinite(feed.condition?.temperature)) input('temperature').value = feed.condition.temperature;
+    input('condition').addEventListener('change', () => updateSideFeedConditionInputs(row));
+    row.querySelector('.side-feed-remove').addEventListener('click', () => {
+        row.remove();
+        numberSideFeeds();
+        renderPage();
+    });
+    document.getElementById('side-feed-list').appendChild(row);
+    updateSideFeedConditionInputs(row);
+    numberSideFeeds();
+}
+
+/**
+ * shows the vapor fraction or temperature input of a feed row to match its condition
+ * @param {HTMLElement} row 
+ */
+function updateSideFeedConditionInputs(row) {
+    const condition = row.querySelector('select[data-field="condition"]').value;
+    row.querySelectorAll('[data-condition]').forEach(group => {
+        const active = group.dataset.condition === condition;
+        group.hidden = !active;
+        group.querySelector('input').disabled = !active;
+    });
+}
+
+/**
+ * numbers the feed rows after the main feed and gives their inputs matching ids and labels
+ */
+function numberSideFeeds() {
+    document.querySelectorAll('#side-feed-list .side-feed').forEach((row, i) => {
+        row.querySelectorAll('[data-field]').forEach(el => {
+            const id = `sideFeed${i + 1}-${el.dataset.field}`;
+            if (el.tagName === 'LABEL') el.htmlFor = id;
+            else el.id = id;
+        });
+        row.querySelector('.side-feed-label').textContent = `Feed ${i + 2} Tray`;
+    });
+}
+
+/**
+ * reads the feeds other than the main feed from the form
+ * @returns {array[object]} tray, mass rate, composition as a mole fraction and thermal condition of each feed
+ */
+function selectedSideFeeds() {
+    return [...document.querySelectorAll('#side-feed-list .side-feed')].map(row => {
+        const input = field => row.querySelector(`[data-field="${field}"]:not(label)`);
+        return {
+            tray: input('tray').valueAsNumber,
+            massRate: inputBaseValue(input('rate')),
+            composition: input('composition').valueAsNumber / 100,
+            condition: {
+                type: input('condition').value,
+                vaporFraction: input('vaporFraction').valueAsNumber,
+                temperature: inputBaseValue(input('temperature'))
+            }
+        };
+    });
+}
+
+function setSideFeedMessage(text) {
+    document.getElementById('sideFeeds-msg').textContent = text || '';
+}
+
+function setupSideFeeds() {
+    document.getElementById('side-feed-add').addEventListener('click', () => {
+        addSideFeed();
+        renderPage();
+    });
+}
+
+/**
+ * reports the overall column efficiency, the equilibrium stages needed for the same separation over the real trays
+ * @param {number} theoretical equilibrium trays, excluding the reboiler
+ * @param {number} actual 
+ */
+function updateEfficiencyInfo(theoretical, actual) {
+    document.querySelector('#theoretical-trays').textContent = fmt(theoretical, 1);
+    document.querySelector('#actual-trays').textContent = fmt(actual, 0);
+    document.querySelector('#overall-efficiency').textContent = fmt(theoretical / actual * 100, 0);
+}
+
+/**
+ * reads the main feed condition from the form
+ * @returns {object} condition type, vapor fraction and temperature
+ */
+function selectedFeedCondition() {
+    return {
+        type: feedConditionInput.value,
+        vaporFraction: feedVaporFractionInput.valueAsNumber,
+        temperature: inputBaseValue(feedTemperatureInput)
+    };
+}
+
+/**
+ * calculates the feed temperature and q from a feed condition
+ * @param {number} pressure 
+ * @param {number} feedMolFrac 
+ * @param {object} light 
+ * @param {object} heavy 
+ * @param {object} activityModel 
+ * @param {object} condition vapor fraction or temperature, the main feed condition by default
+ * @returns {object}
+ */
+function feedThermalCondition(pressure, feedMolFrac, light, heavy, activityModel, condition = selectedFeedCondition()) {
+    if (condition.type === 'temperature') {
+        const temperature = condition.temperature;
+        return { temperature, q: feedQFromTemperature(temperature, pressure, feedMolFrac, light, heavy, activityModel) };
+    }
+    const vaporFraction = condition.vaporFraction;
+    return { temperature: flashTemperature(vaporFraction, pressure, feedMolFrac, light, heavy, activityModel), q: 1 - vaporFraction };
+}
+
+/**
+ * shows an info box and arrow beside the column for each feed, listed top down by tray
+ */
+function updateFeedInfo() {
+    const [light, heavy] = selectedComponents();
+    const activityModel = selectedActivityModel();
+    const pressure = Number.isFinite(columnPressureInput?.valueAsNumber) ? selectedPressureProfile() : 114.7;
+    const keysValid = lightKeyInput.validity.valid && heavyKeyInput.validity.valid && activityModelInput.validity.valid;
+    const feeds = [
+        {
+            tray: feedTrayInput.valueAsNumber,
+            massRate: inputBaseValue(feedRateInput) || 0,
+            composition: (feedCompositionInput?.valueAsNumber || 0) / 100,
+            condition: selectedFeedCondition()
+        },
+        ...selectedSideFeeds()
+    ];
+
+    const feedList = document.getElementById('feed-list');
+    if (!feedList) return;
+    const entries = feeds.map((feed, i) => {
+        const { temperature, q } = feed.composition > 0 && keysValid ?
+            feedThermalCondition(stagePressure(pressure, feed.tray), feed.composition, light, heavy, activityModel, feed.condition) : { temperature: NaN, q: NaN };
+        const entry = document.getElementById('feed-info-template').content.firstElementChild.cloneNode(true);
+        entry.querySelector('.feed-label').textContent = feeds.length > 1 ? `FEED ${i + 1} · TRAY ${fmt(feed.tray, 0)}` : 'FEED CONDITIONS';
+        entry.querySelector('[data-field="rate"]').textContent = fmt(displayValue(feed.massRate, 'massFlow'), 0);
+        entry.querySelector('[data-field="composition"]').textContent = fmt(feed.composition * 100, 1);
+        entry.querySelector('[data-field="temperature"]').textContent = fmt(displayValue(temperature, 'temperature'), 0);
+        entry.querySelector('[data-field="q"]').textContent = fmt(q, 2);
+        entry.querySelectorAll('.light-key-name').forEach(el => el.textContent = light?.name || '');
+        return { tray: feed.tray || 0, entry };
+    });
+    feedList.replaceChildren(...entries.sort((a, b) => a.tray - b.tray).map(({ entry }) => entry));
 }
 
 function updateProductRates(products, lightAntConsts, heavyAntConsts) {
@@ -49,19 +670,64 @@ function updateProductRates(products, lightAntConsts, heavyAntConsts) {
         document.querySelector('#dist-rate').textContent = ``;
         document.querySelector('#btms-rate').textContent = ``;
         document.querySelector('#reflux-rate').textContent = ``; 
+        document.querySelector('#reflux-ratio').textContent = ``;
         return;
     }
-    document.querySelector('#dist-rate').textContent = `${fmt(molarToMass(products.distRate,products.distComp,lightAntConsts, heavyAntConsts),0)}`;
-    document.querySelector('#btms-rate').textContent = `${fmt(molarToMass(products.btmsRate,products.btmsComp,lightAntConsts, heavyAntConsts),0)}`;
-    document.querySelector('#reflux-rate').textContent = `${fmt(molarToMass(products.refluxRate,products.distComp,lightAntConsts, heavyAntConsts),0)}`;
+    const massRate = (rate, composition) => fmt(displayValue(molarToMass(rate, composition, lightAntConsts, heavyAntConsts), 'massFlow'), 0);
+    document.querySelector('#dist-rate').textContent = massRate(products.distRate, products.distComp);
+    document.querySelector('#btms-rate').textContent = massRate(products.btmsRate, products.btmsComp);
+    document.querySelector('#reflux-rate').textContent = massRate(products.refluxRate, products.distComp);
+    document.querySelector('#reflux-ratio').textContent = `${fmt(products.refluxRate / products.distRate, 2)}`;
+}
+
+/**
+ * shows the rate and composition of each side draw
+ * @param {array[object]} sideDraws 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ */
+function updateSideDrawData(sideDraws, lightAntConsts, heavyAntConsts) {
+    const section = document.getElementById('side-draw-outputs');
+    section.hidden = sideDraws.length === 0;
+    const cell = (className, text) => {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        return span;
+    };
+    document.getElementById('side-draw-rates').replaceChildren(...sideDraws.flatMap((draw, i) => [
+        cell('rate-label', `Draw ${i + 1} (Tray ${draw.tray} ${draw.phase === 'vapor' ? 'Vap' : 'Liq'}):`),
+        cell('rate-value', fmt(displayValue(molarToMass(draw.rate, draw.composition, lightAntConsts, heavyAntConsts), 'massFlow'), 0)),
+        cell('rate-units', unitLabel('massFlow')),
+        cell('rate-label', 'Composition:'),
+        cell('rate-value', fmt(draw.composition * 100, 1)),
+        cell('rate-units', `% ${lightAntConsts.name}`)
+    ]));
+}
+
+/**
+ * sets the height of the liquid and vapor composition bars of a stage, 0 to 1 fills 0 to 100%
+ * @param {HTMLElement} node 
+ * @param {number} liqComp 
+ * @param {number} vapComp 
+ */
+function setCompositionBars(node, liqComp, vapComp) {
+    const xBar = node.querySelector('.x-bar');
+    const yBar = node.querySelector('.y-bar');
+    if (xBar && Number.isFinite(liqComp)) {
+        xBar.style.height = `${Math.max(0, Math.min(100, liqComp * 100))}%`;
+    }
+    if (yBar && Number.isFinite(vapComp)) {
+        yBar.style.height = `${Math.max(0, Math.min(100, vapComp * 100))}%`;
+    }
 }
 
-function updateTrayData(trays, pressure, rateData, lightAntConsts, heavyAntConsts) {
+function updateTrayData(trays, pressure, rateData, lightAntConsts, heavyAntConsts, activityModel, condenser, energyBalance = CONSTANT_MOLAL_OVERFLOW) {
     // do condenser data
-    updateCondenserData(trays[0],pressure,rateData,lightAntConsts,heavyAntConsts);
+    updateCondenserData(trays[0],pressure,rateData,lightAntConsts,heavyAntConsts,activityModel,condenser,energyBalance);
     for (const t of trays) {
         if (t.trayNumber > totalTraysInput.valueAsNumber) {
-            updateReboilerData(t, rateData, lightAntConsts, heavyAntConsts);
+            updateReboilerData(t, rateData, lightAntConsts, heavyAntConsts, pressure, activityModel, condenser, energyBalance);
             continue;
         }
         
@@ -69,74 +735,92 @@ function updateTrayData(trays, pressure, rateData, lightAntConsts, heavyAntConst
         if (!trayNode) continue;
         trayNode.querySelector('.x').textContent = fmt(t.liqComp*100, 1) + '%';
         trayNode.querySelector('.y').textContent = fmt(t.vapComp*100, 1) + '%';
-        trayNode.querySelector('.T').textContent = fmt(t.temperature, 0);
-        
-        // Update composition bars (height based on composition, 0-1 scale to 0-100%)
-        const xBar = trayNode.querySelector('.x-bar');
-        const yBar = trayNode.querySelector('.y-bar');
-        if (xBar && Number.isFinite(t.liqComp)) {
-            xBar.style.height = `${Math.max(0, Math.min(100, t.liqComp * 100))}%`;
-        }
-        if (yBar && Number.isFinite(t.vapComp)) {
-            yBar.style.height = `${Math.max(0, Math.min(100, t.vapComp * 100))}%`;
-        }
+        trayNode.querySelector('.y-eq').textContent = fmt(t.vapEquilibrium*100, 1) + '%';
+        trayNode.querySelector('.T').textContent = fmt(displayValue(t.temperature, 'temperature'), 0);
+        trayNode.querySelector('.P').textContent = fmt(displayValue(t.pressure, 'pressure'), 1);
+        trayNode.querySelector('.L').textContent = fmt(displayValue(t.liqRate, 'molarFlow'), 1);
+        trayNode.querySelector('.V').textContent = fmt(displayValue(t.vapRate, 'molarFlow'), 1);
+        setCompositionBars(trayNode, t.liqComp, t.vapComp);
     }
 }
 
-function updateReboilerData(reboilerData,rateData,lightAntConsts,heavyAntConsts) {
+/**
+ * calculates the reboiler duty from the latent heat of the boil up or from the energy balance around the column
+ * duty is kBTU/hr
+ * @param {object} reboilerData reboiler stage from generateColumnData
+ * @param {object} rateData 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {number|array[number]} pressure 
+ * @param {object} activityModel 
+ * @param {object} condenser 
+ * @param {object} energyBalance 
+ * @returns {number}
+ */
+function reboilerHeatDuty(reboilerData,rateData,lightAntConsts,heavyAntConsts,pressure,activityModel,condenser = TOTAL_CONDENSER,energyBalance = CONSTANT_MOLAL_OVERFLOW) {
+    const reboilerFeedRate = rateData.btmsRate * reboilerData.boilUp;
+    return energyBalance.type === 'rigorous' ?
+        energyReboilerDuty(reboilerData.refluxRatio,rateData.distRate,rateData.btmsRate,rateData.distComp,rateData.btmsComp,rateData.feedComp,rateData.feedQ,feedTrayInput.valueAsNumber,pressure,lightAntConsts,heavyAntConsts,activityModel,condenser,rateData.sideDraws,rateData.sideFeeds) :
+        calculateDuty(reboilerFeedRate, reboilerData.liqComp, lightAntConsts, heavyAntConsts);
+}
+
+/**
+ * calculates the condenser duty from the latent heat of the condensed vapor or from the enthalpies of the streams around it
+ * duty is kBTU/hr
+ * @param {object} rateData 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {object} condenser 
+ * @param {object} energyBalance 
+ * @returns {number}
+ */
+function condenserHeatDuty(rateData,pressure,lightAntConsts,heavyAntConsts,activityModel,condenser = TOTAL_CONDENSER,energyBalance = CONSTANT_MOLAL_OVERFLOW) {
+    const refluxComp = condenserRefluxComposition(rateData.distComp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel);
+    return energyBalance.type === 'rigorous' ?
+        energyCondenserDuty(rateData.distRate,rateData.refluxRate / rateData.distRate,rateData.distComp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel) :
+        condenserDuty(rateData.distRate,rateData.refluxRate / rateData.distRate,refluxComp,condenser,lightAntConsts,heavyAntConsts);
+}
+
+function updateReboilerData(reboilerData,rateData,lightAntConsts,heavyAntConsts,pressure,activityModel,condenser = TOTAL_CONDENSER,energyBalance = CONSTANT_MOLAL_OVERFLOW) {
     const reboilerNode = document.querySelector('[data-stage="reboiler"]');
     if (!reboilerNode) return;
     
     reboilerNode.querySelector('.x').textContent = fmt(reboilerData.liqComp*100, 1) + '%';
     reboilerNode.querySelector('.y').textContent = fmt(reboilerData.vapComp*100, 1) + '%';
-    reboilerNode.querySelector('.T').textContent = fmt(reboilerData.temperature, 0);
+    reboilerNode.querySelector('.T').textContent = fmt(displayValue(reboilerData.temperature, 'temperature'), 0);
+    reboilerNode.querySelector('.P').textContent = fmt(displayValue(reboilerData.pressure, 'pressure'), 1);
+    setCompositionBars(reboilerNode, reboilerData.liqComp, reboilerData.vapComp);
     
-    // Update composition bars
-    const xBar = reboilerNode.querySelector('.x-bar');
-    const yBar = reboilerNode.querySelector('.y-bar');
-    if (xBar && Number.isFinite(reboilerData.liqComp)) {
-        xBar.style.height = `${Math.max(0, Math.min(100, reboilerData.liqComp * 100))}%`;
-    }
-    if (yBar && Number.isFinite(reboilerData.vapComp)) {
-        yBar.style.height = `${Math.max(0, Math.min(100, reboilerData.vapComp * 100))}%`;
-    }
-    
-    // Calculate and display heat duty (simplified)
-    const reboilerFeedRate = rateData.btmsRate * reboilerData.boilUp;
-    const heatDuty = calculateDuty(reboilerFeedRate, reboilerData.liqComp, lightAntConsts, heavyAntConsts);
+    const heatDuty = reboilerHeatDuty(reboilerData,rateData,lightAntConsts,heavyAntConsts,pressure,activityModel,condenser,energyBalance);
     const dutyValueEl = reboilerNode.querySelector('.duty-value');
     if (dutyValueEl) {
-        dutyValueEl.textContent = fmt(heatDuty, 0);
+        dutyValueEl.textContent = fmt(displayValue(heatDuty, 'duty'), 0);
     }
 }
 
-function updateCondenserData(condenserData, pressure, rateData,lightAntConsts,heavyAntConsts) {
-    // condenser has same inlet vap and outlet liq composition
-    // temperature is based on bubble point of liquid
-    const temperature = equilibriumTemperatureFromX(pressure,condenserData.vapComp,lightAntConsts,heavyAntConsts)
+function updateCondenserData(condenserData, pressure, rateData,lightAntConsts,heavyAntConsts,activityModel,condenser = TOTAL_CONDENSER,energyBalance = CONSTANT_MOLAL_OVERFLOW) {
+    // the vapor in comes from the top tray, the reflux leaves at the distillate composition for a total condenser
+    // or in equilibrium with the vapor distillate for a partial condenser
+    // temperature is based on bubble point of the reflux less any subcooling
+    const refluxComp = condenserRefluxComposition(rateData.distComp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel);
+    const temperature = equilibriumTemperatureFromX(stagePressure(pressure,0),refluxComp,lightAntConsts,heavyAntConsts,activityModel) - (condenser.subcooling || 0);
     const condenserNode = document.querySelector('[data-stage="condenser"]');
     if (!condenserNode) return;
 
-    condenserNode.querySelector('.x').textContent = fmt(condenserData.vapComp*100, 1) + '%';
+    const titles = { total: 'Condenser', partial: 'Partial Condenser', mixed: 'Mixed Condenser' };
+    condenserNode.querySelector('.title').textContent = titles[condenser.type];
+    condenserNode.querySelector('.x').textContent = fmt(refluxComp*100, 1) + '%';
     condenserNode.querySelector('.y').textContent = fmt(condenserData.vapComp*100, 1) + '%';
-    condenserNode.querySelector('.T').textContent = fmt(temperature, 0);
-
-    // Update composition bars
-    const xBar = condenserNode.querySelector('.x-bar');
-    const yBar = condenserNode.querySelector('.y-bar');
-    if (xBar && Number.isFinite(condenserData.liqComp)) {
-        xBar.style.height = `${Math.max(0, Math.min(100, condenserData.liqComp * 100))}%`;
-    }
-    if (yBar && Number.isFinite(condenserData.vapComp)) {
-        yBar.style.height = `${Math.max(0, Math.min(100, condenserData.vapComp * 100))}%`;
-    }
+    condenserNode.querySelector('.T').textContent = fmt(displayValue(temperature, 'temperature'), 0);
+    condenserNode.querySelector('.P').textContent = fmt(displayValue(stagePressure(pressure,0), 'pressure'), 1);
+    setCompositionBars(condenserNode, refluxComp, condenserData.vapComp);
 
-    const condenserFeedRate = rateData.distRate * condenserData.refluxRatio;
-    const duty = calculateDuty(condenserFeedRate,condenserData.vapComp,lightAntConsts,heavyAntConsts);
-    // Calculate and display heat duty (simplified)
+    const duty = condenserHeatDuty(rateData,pressure,lightAntConsts,heavyAntConsts,activityModel,condenser,energyBalance);
     const dutyValueEl = condenserNode.querySelector('.duty-value');
     if (dutyValueEl) {
-        dutyValueEl.textContent = fmt(duty, 0);
+        dutyValueEl.textContent = fmt(displayValue(duty, 'duty'), 0);
     }
 }
 
@@ -151,13 +835,28 @@ function populateColumnElement(numTrays) {
         const node = template.content.firstElementChild.cloneNode(true);
         node.dataset.stage = i;
 
-        const feedTrayNum = feedTrayInput?.valueAsNumber || 5;
-        const title = i === feedTrayNum ? `Tray ${i} (FEED)` : `Tray ${i}`;
-        node.querySelector('.title').textContent = title;
-
         frag.appendChild(node);
     }
     columnEl.appendChild(frag);
+    updateTrayTitles();
+}
+
+/**
+ * labels each tray with the feeds and side draws on it, the feeds are numbered when there is more than one
+ */
+function updateTrayTitles() {
+    const feedTrayNum = feedTrayInput?.valueAsNumber || 5;
+    const sideDraws = selectedSideDraws();
+    const sideFeeds = selectedSideFeeds();
+    document.querySelectorAll('#column .tray').forEach(node => {
+        const tray = Number(node.dataset.stage);
+        const streams = new Set();
+        if (tray === feedTrayNum) streams.add(sideFeeds.length ? 'FEED 1' : 'FEED');
+        sideFeeds.forEach((f, i) => { if (f.tray === tray) streams.add(`FEED ${i + 2}`); });
+        sideDraws.filter(d => d.tray === tray).forEach(d => streams.add(d.phase === 'vapor' ? 'VAP DRAW' : 'LIQ DRAW'));
+        node.querySelector('.title').textContent = streams.size ? `Tray ${tray} (${[...streams].join(', ')})` : `Tray ${tray}`;
+        node.classList.toggle('side-draw-tray', sideDraws.some(d => d.tray === tray));
+    });
 }
 
 function setMsgById(id, text) {
@@ -175,8 +874,43 @@ function fmt(num, decimalPlaces) {
 // function for validating inputs
 function validateRawInputs() {
     ids.forEach(id => {els[id].setCustomValidity(''); setMsgById(id,'');});
+    // check components
+    const [light, heavy] = selectedComponents();
+    if (light && heavy) {
+        if (light === heavy) {
+            const msg = 'The light and heavy keys must be different components.';
+            heavyKeyInput.setCustomValidity(msg);
+            setMsgByObject(heavyKeyInput,msg);
+        } else if (Number.isFinite(columnPressureInput.valueAsNumber) &&
+            boilingPointTemperature(inputBaseValue(columnPressureInput), light) >= boilingPointTemperature(inputBaseValue(columnPressureInput), heavy)) {
+            const msg = `The light key (${light.name}) must be more volatile than the heavy key (${heavy.name}) at the column pressure.`;
+            lightKeyInput.setCustomValidity(msg);
+            setMsgByObject(lightKeyInput,msg);
+        }
+    }
+
+    // check activity model parameters
+    const activityModel = selectedActivityModel();
+    const modelInfo = ACTIVITY_MODELS[activityModel.type];
+    if (modelInfo.params.some(param => !Number.isFinite(activityModel[param]))) {
+        const msg = `Enter every ${modelInfo.name} parameter.`;
+        activityModelInput.setCustomValidity(msg);
+        setMsgByObject(activityModelInput,msg);
+    } else if (activityModel.type === 'wilson' && (activityModel.V1 <= 0 || activityModel.V2 <= 0)) {
+        const msg = 'The Wilson molar volumes must be positive.';
+        activityModelInput.setCustomValidity(msg);
+        setMsgByObject(activityModelInput,msg);
+    } else if (activityModel.type === 'nrtl' && activityModel.alpha <= 0) {
+        const msg = 'The NRTL non-randomness factor must be positive.';
+        activityModelInput.setCustomValidity(msg);
+        setMsgByObject(activityModelInput,msg);
+    }
+
+    // the product purities are only specified in design mode
+    const design = operatingModeInput.value === 'design';
+
     // check compositions
-    if (Number.isFinite(distCompositionInput.valueAsNumber) && Number.isFinite(btmsCompositionInput.valueAsNumber)) {
+    if (design && Number.isFinite(distCompositionInput.valueAsNumber) && Number.isFinite(btmsCompositionInput.valueAsNumber)) {
         if (distCompositionInput.valueAsNumber <= btmsCompositionInput.valueAsNumber){
             const msg = 'Distillate Composition must be greater than the bottoms composition.';
             distCompositionInput.setCustomValidity(msg);
@@ -184,7 +918,7 @@ function validateRawInputs() {
         }
     }
 
-    if (Number.isFinite(distCompositionInput.valueAsNumber) && Number.isFinite(feedCompositionInput.valueAsNumber)){
+    if (design && Number.isFinite(distCompositionInput.valueAsNumber) && Number.isFinite(feedCompositionInput.valueAsNumber)){
         if (distCompositionInput.valueAsNumber <= feedCompositionInput.valueAsNumber){
             const msg = 'Distillate Composition must be greater than the feed composition.';
             distCompositionInput.setCustomValidity(msg);
@@ -192,7 +926,7 @@ function validateRawInputs() {
         }
     }
 
-    if (Number.isFinite(btmsCompositionInput.valueAsNumber) && Number.isFinite(feedCompositionInput.valueAsNumber)){
+    if (design && Number.isFinite(btmsCompositionInput.valueAsNumber) && Number.isFinite(feedCompositionInput.valueAsNumber)){
         if (btmsCompositionInput.valueAsNumber >= feedCompositionInput.valueAsNumber){
             const msg = 'Bottoms Composition must be less than the feed composition.';
             btmsCompositionInput.setCustomValidity(msg);
@@ -200,6 +934,33 @@ function validateRawInputs() {
         }
     }
 
+    // check product specs against azeotropes at the column pressure
+    const keysValid = lightKeyInput.validity.valid && heavyKeyInput.validity.valid && activityModelInput.validity.valid;
+    const pressure = inputBaseValue(columnPressureInput);
+    const azeotropes = keysValid && Number.isFinite(pressure) ? findAzeotropes(pressure, light, heavy, activityModel) : [];
+    setAzeotropeInfo(azeotropes.map(az => describeAzeotrope(az, light)).join('; '));
+    const xFeed = feedCompositionInput.valueAsNumber;
+    for (const az of azeotropes) {
+        const xAzeotrope = az.composition * 100;
+        if (design && distCompositionInput.validity.valid && xAzeotrope > xFeed && xAzeotrope < distCompositionInput.valueAsNumber) {
+            const msg = `Distillate Composition is past the ${describeAzeotrope(az, light)} and must be less than ${fmt(xAzeotrope, 1)}%.`;
+            distCompositionInput.setCustomValidity(msg);
+            setMsgByObject(distCompositionInput,msg);
+        }
+        if (design && btmsCompositionInput.validity.valid && xAzeotrope < xFeed && xAzeotrope > btmsCompositionInput.valueAsNumber) {
+            const msg = `Bottoms Composition is past the ${describeAzeotrope(az, light)} and must be greater than ${fmt(xAzeotrope, 1)}%.`;
+            btmsCompositionInput.setCustomValidity(msg);
+            setMsgByObject(btmsCompositionInput,msg);
+        }
+    }
+    if (azeotropes.length > 0 && feedCompositionInput.validity.valid && Number.isFinite(xFeed) &&
+        vapMolFraction(pressure, xFeed / 100, light, heavy, activityModel) < xFeed / 100) {
+        const nearest = azeotropes.reduce((a, b) => Math.abs(a.composition * 100 - xFeed) < Math.abs(b.composition * 100 - xFeed) ? a : b);
+        const msg = `The feed is beyond the ${describeAzeotrope(nearest, light)}, where ${light.name} is the less volatile component.`;
+        feedCompositionInput.setCustomValidity(msg);
+        setMsgByObject(feedCompositionInput,msg);
+    }
+
     // check trays
     if (Number.isFinite(feedTrayInput.valueAsNumber) && Number.isFinite(totalTraysInput.valueAsNumber)) {
         if (feedTrayInput.valueAsNumber > totalTraysInput.valueAsNumber || feedTrayInput.valueAsNumber < 1) {
@@ -209,7 +970,81 @@ function validateRawInputs() {
         }
     }
 
-    const minTrays = minimumTrays(distCompositionInput.valueAsNumber/100,btmsCompositionInput.valueAsNumber/100,columnPressureInput.valueAsNumber+ 14.7, propaneConstants,butaneConstants) -1;
+    // check side draws, they are added to the form so they are not in ids
+    const drawRows = [...document.querySelectorAll('#side-draw-list .side-draw')];
+    const sideDraws = selectedSideDraws();
+    drawRows.forEach(row => row.querySelectorAll('input').forEach(input => input.setCustomValidity('')));
+    setSideDrawMessage('');
+    sideDraws.forEach((draw, i) => {
+        const trayInput = drawRows[i].querySelector('input[data-field="tray"]');
+        if (Number.isFinite(draw.tray) && Number.isFinite(totalTraysInput.valueAsNumber) && (draw.tray < 1 || draw.tray > totalTraysInput.valueAsNumber)) {
+            const msg = `Side draw ${i + 1} must be on a tray between 1 and ${totalTraysInput.valueAsNumber}.`;
+            trayInput.setCustomValidity(msg);
+            setSideDrawMessage(msg);
+        }
+    });
+    const totalDrawRate = sideDraws.reduce((sum, d) => sum + d.massRate, 0);
+    const totalFeedRate = inputBaseValue(feedRateInput) + selectedSideFeeds().reduce((sum, f) => sum + (f.massRate || 0), 0);
+    if (drawRows.length > 0 && Number.isFinite(totalFeedRate) && totalDrawRate >= totalFeedRate) {
+        const msg = 'The side draws must total less than the feed rates.';
+        drawRows[drawRows.length - 1].querySelector('input[data-field="rate"]').setCustomValidity(msg);
+        setSideDrawMessage(msg);
+    }
+    drawRows.forEach((row, i) => row.querySelectorAll('input').forEach(input => {
+        if (!input.validity.valid && !document.getElementById('sideDraws-msg').textContent) {
+            setSideDrawMessage(`Side draw ${i + 1}: ${input.validationMessage}`);
+        }
+    }));
+
+    // check the feed thermal condition
+    const feedTemperatureMsg = 'A subcooled or superheated feed needs liquid and vapor heat capacities for both components.';
+    if (keysValid && feedConditionInput.value === 'temperature' && feedTemperatureInput.validity.valid &&
+        feedCompositionInput.validity.valid && Number.isFinite(pressure)) {
+        const { q } = feedThermalCondition(pressure, xFeed / 100, light, heavy, activityModel);
+        if (!Number.isFinite(q)) {
+            feedTemperatureInput.setCustomValidity(feedTemperatureMsg);
+            setMsgByObject(feedTemperatureInput,feedTemperatureMsg);
+        }
+    }
+
+    // check the feeds after the main feed, they are added to the form so they are not in ids
+    const feedRows = [...document.querySelectorAll('#side-feed-list .side-feed')];
+    feedRows.forEach(row => row.querySelectorAll('input').forEach(input => input.setCustomValidity('')));
+    setSideFeedMessage('');
+    selectedSideFeeds().forEach((feed, i) => {
+        const input = field => feedRows[i].querySelector(`input[data-field="${field}"]`);
+        if (Number.isFinite(feed.tray) && Number.isFinite(totalTraysInput.valueAsNumber) && (feed.tray < 1 || feed.tray > totalTraysInput.valueAsNumber)) {
+            const msg = `Feed ${i + 2} must be on a tray between 1 and ${totalTraysInput.valueAsNumber}.`;
+            input('tray').setCustomValidity(msg);
+            setSideFeedMessage(msg);
+        }
+        if (keysValid && feed.condition.type === 'temperature' && input('temperature').validity.valid &&
+            input('composition').validity.valid && Number.isFinite(pressure) &&
+            !Number.isFinite(feedThermalCondition(pressure, feed.composition, light, heavy, activityModel, feed.condition).q)) {
+            input('temperature').setCustomValidity(feedTemperatureMsg);
+            setSideFeedMessage(`Feed ${i + 2}: ${feedTemperatureMsg}`);
+        }
+    });
+    feedRows.forEach((row, i) => row.querySelectorAll('input').forEach(input => {
+        if (!input.validity.valid && !document.getElementById('sideFeeds-msg').textContent) {
+            setSideFeedMessage(`Feed ${i + 2}: ${input.validationMessage}`);
+        }
+    }));
+
+    // check the reflux subcooling
+    if (keysValid && refluxSubcoolingInput.valueAsNumber > 0 && [light, heavy].some(c => !Number.isFinite(c.cpLiq))) {
+        const msg = 'Subcooled reflux needs liquid heat capacities for both components.';
+        refluxSubcoolingInput.setCustomValidity(msg);
+        setMsgByObject(refluxSubcoolingInput,msg);
+    }
+    // the enthalpies need both heat capacities of both components
+    if (keysValid && energyBalanceInput.value === 'rigorous' && [light, heavy].some(c => !Number.isFinite(c.cpLiq) || !Number.isFinite(c.cpVap))) {
+        const msg = 'The rigorous energy balance needs liquid and vapor heat capacities for both components.';
+        energyBalanceInput.setCustomValidity(msg);
+        setMsgByObject(energyBalanceInput,msg);
+    }
+
+    const minTrays = keysValid && design ? minimumTrays(distCompositionInput.valueAsNumber/100,btmsCompositionInput.valueAsNumber/100,inputBaseValue(columnPressureInput), light, heavy, activityModel) -1 : NaN;
     if (Number.isFinite(totalTraysInput.valueAsNumber) && totalTraysInput.valueAsNumber < Math.round(minTrays)){
         const msg = `The total trays must be greater than the minimum required number of trays: ${Math.round(minTrays)}.`
         totalTraysInput.setCustomValidity(msg);
@@ -225,57 +1060,629 @@ function validateRawInputs() {
     return form.checkValidity()
 }
 
-function runSimulation() {
-    lastSimulationFailed = false;
-    const molarFeedRate = massToMolar(feedRateInput.valueAsNumber,feedCompositionInput.valueAsNumber/100,propaneConstants,butaneConstants);
-    
-    const refluxRatio = columnSolver(
+/**
+ * solves for the operating point, the reflux ratio in design mode or the product purities in rating mode
+ * @param {number} molarFeedRate 
+ * @param {number} xFeed 
+ * @param {number} pressure 
+ * @param {object} light 
+ * @param {object} heavy 
+ * @param {object} activityModel 
+ * @param {number} feedQ 
+ * @param {object} efficiency 
+ * @param {object} condenser 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @param {object} energyBalance 
+ * @returns {array} external reflux ratio, distillate and bottoms mole fractions, the side draws and the columnSolver result,
+ * design mode settles the side draws at their tray compositions, rating mode has no solver result
+ */
+function solveOperatingPoint(molarFeedRate, xFeed, pressure, light, heavy, activityModel, feedQ, efficiency, condenser, sideDraws, sideFeeds, energyBalance) {
+    if (operatingModeInput.value === 'rating') {
+        const refluxRatio = refluxRatioInput.valueAsNumber;
+        const [xDistillate, xBottoms] = columnRating(
+            molarFeedRate,
+            xFeed,
+            refluxRatio,
+            inputBaseValue(reboilerDutyInput),
+            pressure,
+            feedTrayInput.valueAsNumber,
+            totalTraysInput.valueAsNumber + 1,
+            light,
+            heavy,
+            activityModel,
+            feedQ,
+            efficiency,
+            condenser,
+            sideDraws,
+            sideFeeds,
+            energyBalance
+        ) || [NaN, NaN];
+        return [refluxRatio, xDistillate, xBottoms, sideDraws, null];
+    }
+    const xDistillate = distCompositionInput.valueAsNumber/100;
+    const xBottoms = btmsCompositionInput.valueAsNumber/100;
+    const result = columnSolver(
         molarFeedRate,
-        feedCompositionInput.valueAsNumber/100,
-        distCompositionInput.valueAsNumber/100,
-        btmsCompositionInput.valueAsNumber/100,
-        columnPressureInput.valueAsNumber + 14.7,
+        xFeed,
+        xDistillate,
+        xBottoms,
+        pressure,
         feedTrayInput.valueAsNumber,
         totalTraysInput.valueAsNumber + 1,
-        propaneConstants,
-        butaneConstants
+        light,
+        heavy,
+        activityModel,
+        feedQ,
+        efficiency,
+        condenser,
+        sideDraws,
+        sideFeeds,
+        energyBalance
     );
+    return [result.refluxRatio, xDistillate, xBottoms, result.sideDraws, result];
+}
 
-    if (refluxRatio <= 0) {
-        const columnEl = document.getElementById('column');
-        columnEl.innerHTML = '<h2>WARNING!</h2><p class="error">The specified conditions are not feasible. Please adjust your inputs.</p>';
-        lastSimulationFailed = true;
-        return;
+/**
+ * explains why the design solve failed and what to change
+ * @param {object} diagnostics result of columnSolver
+ * @param {number} xFeed 
+ * @param {number} feedQ 
+ * @param {number|array[number]} pressure 
+ * @param {object} light 
+ * @param {object} heavy 
+ * @param {object} activityModel 
+ * @returns {array[string]} advice, most specific first
+ */
+function solverAdvice(diagnostics, xFeed, feedQ, pressure, light, heavy, activityModel) {
+    const totalTrays = totalTraysInput.valueAsNumber;
+    const feedTray = feedTrayInput.valueAsNumber;
+    const [lo, hi] = diagnostics.bracket;
+    const minTrays = Math.ceil(diagnostics.minimumTrays);
+    const needsTrays = Number.isFinite(minTrays) && totalTrays <= minTrays ?
+        [`The specs need at least ${minTrays} trays at total reflux, so at least ${minTrays + 1} at a finite reflux ratio. The column has ${totalTrays}.`] : [];
+    // the best feed tray holds liquid closest to where the q-line meets the equilibrium curve
+    const target = suggestedFeedTray(diagnostics.profile, xFeed, feedQ, pressure, light, heavy, activityModel);
+    const moveFeed = Number.isFinite(target) && target !== feedTray ? `try moving the feed tray toward tray ${target}` : '';
+    switch (diagnostics.status) {
+    case 'product-rates':
+        return ['The side draws take more of a key than the product specs leave for the distillate and bottoms. Lower the side draw rates or loosen the product specs.'];
+    case 'spec-unreachable':
+        return [...needsTrays, `The reflux bracket was exceeded: even a reflux ratio of ${fmt(lo, 1)} does not reach the distillate spec. Add trays${moveFeed ? ` or ${moveFeed}` : ''}.`];
+    case 'minimum-reflux':
+        return [`The distillate spec is met at the minimum reflux ratio of ${fmt(diagnostics.minimumRefluxRatio, 2)}, so the column has more trays than the specs need. Remove trays or tighten the product specs.`];
+    case 'max-iterations':
+        return [...needsTrays, `The reflux ratio did not settle in ${diagnostics.iterations} iterations between ${fmt(lo, 2)} and ${Number.isFinite(hi) ? fmt(hi, 2) : 'no upper limit'}.${moveFeed ? ` Check the specs, or ${moveFeed}.` : ' Check the product specs.'}`];
+    case 'bubble-point':
+        return ['A stage bubble point could not be found. Check the column pressure against the vapor pressures of the key components.'];
+    case 'side-draws':
+        return ['The side draw compositions did not settle. Move the side draws away from the feed tray or lower their rates.'];
+    default:
+        return [...needsTrays, `The stage compositions did not converge${Number.isFinite(lo) ? ` above a reflux ratio of ${fmt(lo, 2)}` : ''}.${moveFeed ? ` Add trays or ${moveFeed}.` : ' Add trays or adjust the product specs.'}`];
+    }
+}
+
+/**
+ * finds the tray whose liquid is closest to where the feed q-line meets the equilibrium curve
+ * @param {object|null} profile meshColumn profile
+ * @param {number} xFeed 
+ * @param {number} feedQ 
+ * @param {number|array[number]} pressure 
+ * @param {object} light 
+ * @param {object} heavy 
+ * @param {object} activityModel 
+ * @returns {number} tray number, NaN without a profile
+ */
+function suggestedFeedTray(profile, xFeed, feedQ, pressure, light, heavy, activityModel) {
+    if (!profile) return NaN;
+    const [xPinch] = qLineIntersection(xFeed, feedQ, stagePressure(pressure, feedTrayInput.valueAsNumber), light, heavy, activityModel);
+    let best = 1;
+    // the reboiler is the last stage and cannot take the feed
+    for (let tray = 2; tray < profile.liqComp.length - 1; tray++) {
+        if (Math.abs(profile.liqComp[tray] - xPinch) < Math.abs(profile.liqComp[best] - xPinch)) best = tray;
     }
+    return best;
+}
 
-    const trays = generateColumnData(
-        molarFeedRate,
-        feedCompositionInput.valueAsNumber/100,
+/**
+ * reads the feeds after the main one with their molar rates and q at the pressure of their tray
+ * @param {number|array[number]} pressure 
+ * @param {object} light 
+ * @param {object} heavy 
+ * @param {object} activityModel 
+ * @returns {array[object]}
+ */
+function molarSideFeeds(pressure, light, heavy, activityModel) {
+    return selectedSideFeeds().map(feed => ({
+        ...feed,
+        rate: massToMolar(feed.massRate, feed.composition, light, heavy),
+        q: feedThermalCondition(stagePressure(pressure, feed.tray), feed.composition, light, heavy, activityModel, feed.condition).q
+    }));
+}
+
+/**
+ * solves the design case with the main feed on each tray for the feed tray search
+ * the side draws keep the molar rates and compositions of the last solve, or are taken at the feed composition before there is one
+ * @returns {object|string} the trials and the current feed tray, or why the search cannot run
+ */
+function searchFeedTrays() {
+    if (operatingModeInput.value !== 'design') return 'The feed tray search solves for the reflux ratio, switch to design mode to run it.';
+    if (!validateRawInputs()) return 'Correct the inputs before searching the feed trays.';
+    const [light, heavy] = selectedComponents();
+    const activityModel = selectedActivityModel();
+    const pressure = selectedPressureProfile();
+    const totalTrays = totalTraysInput.valueAsNumber;
+    const xFeed = feedCompositionInput.valueAsNumber/100;
+    // the main feed is flashed at the pressure of whichever tray it enters
+    const feedQ = Array.from({ length: totalTrays + 1 }, (_, tray) => feedThermalCondition(stagePressure(pressure, tray), xFeed, light, heavy, activityModel).q);
+    const selectedDraws = selectedSideDraws();
+    const sideDraws = lastSimulation && lastSimulation.sideDraws.length === selectedDraws.length ?
+        lastSimulation.sideDraws :
+        selectedDraws.map(draw => ({ ...draw, composition: xFeed, rate: massToMolar(draw.massRate, xFeed, light, heavy) }));
+    const trials = feedTraySearch(
+        massToMolar(inputBaseValue(feedRateInput), xFeed, light, heavy),
+        xFeed,
         distCompositionInput.valueAsNumber/100,
         btmsCompositionInput.valueAsNumber/100,
-        columnPressureInput.valueAsNumber+14.7,
-        feedTrayInput.valueAsNumber,
-        totalTraysInput.valueAsNumber,
-        refluxRatio,
-        propaneConstants,
-        butaneConstants
+        pressure,
+        totalTrays + 1,
+        light,
+        heavy,
+        activityModel,
+        feedQ,
+        selectedEfficiency(),
+        selectedCondenser(),
+        sideDraws,
+        molarSideFeeds(pressure, light, heavy, activityModel),
+        selectedEnergyBalance()
     );
-    const rates = productRates(molarFeedRate,feedCompositionInput.valueAsNumber/100,distCompositionInput.valueAsNumber/100,btmsCompositionInput.valueAsNumber/100);
+    // the search is cleared when the units change, so its duties are kept in the units shown
+    return { trials: trials.map(t => ({ ...t, reboilerDuty: displayValue(t.reboilerDuty, 'duty') })), feedTray: feedTrayInput.valueAsNumber };
+}
+
+/**
+ * moves the main feed to a tray and solves the column there
+ * @param {number} feedTray 
+ */
+function applyFeedTray(feedTray) {
+    feedTrayInput.value = feedTray;
+    renderPage();
+}
+
+/**
+ * solves the column for the current inputs without touching the outputs
+ * @returns {object} the solved case with converged set, or when it did not converge the columnSolver result
+ * and what solverAdvice needs to explain it
+ */
+function solveCase() {
+    const [light, heavy] = selectedComponents();
+    const activityModel = selectedActivityModel();
+    // each stage is solved at its own pressure, the feeds are flashed at the pressure of their tray
+    const pressure = selectedPressureProfile();
+    const xFeed = feedCompositionInput.valueAsNumber/100;
+    const molarFeedRate = massToMolar(inputBaseValue(feedRateInput),xFeed,light,heavy);
+    const { q: feedQ } = feedThermalCondition(stagePressure(pressure, feedTrayInput.valueAsNumber), xFeed, light, heavy, activityModel);
+    const efficiency = selectedEfficiency();
+    const condenser = selectedCondenser();
+    const energyBalance = selectedEnergyBalance();
+    // each feed after the main one adds its own intermediate section
+    const sideFeeds = molarSideFeeds(pressure, light, heavy, activityModel);
+
+    // design mode solves for the reflux ratio, rating mode solves for the product purities
+    // the side draw compositions come from the tray profile so the column is solved again until they settle,
+    // their mass rates are set so the molar rates move with them
+    let sideDraws = selectedSideDraws().map(draw => ({ ...draw, composition: xFeed }));
+    let refluxRatio, xDistillate, xBottoms, trays, diagnostics;
+    let converged = false;
+    let previousGuess = null;
+    let previousDrawn = null;
+    for (let k = 0; k < MAXITERATIONS && !converged; k++) {
+        const guessed = sideDraws.map(draw => ({ ...draw, rate: massToMolar(draw.massRate, draw.composition, light, heavy) }));
+        [refluxRatio, xDistillate, xBottoms, sideDraws, diagnostics] = solveOperatingPoint(molarFeedRate, xFeed, pressure, light, heavy, activityModel, feedQ, efficiency, condenser, guessed, sideFeeds, energyBalance);
+        if (diagnostics && !diagnostics.converged) break;
+        if (!(refluxRatio > 0) || !Number.isFinite(xDistillate)) break;
+        trays = generateColumnData(
+            molarFeedRate,
+            xFeed,
+            xDistillate,
+            xBottoms,
+            pressure,
+            feedTrayInput.valueAsNumber,
+            totalTraysInput.valueAsNumber,
+            refluxRatio,
+            light,
+            heavy,
+            activityModel,
+            feedQ,
+            efficiency,
+            condenser,
+            sideDraws,
+            sideFeeds,
+            energyBalance
+        );
+        if (!trays) break;
+        const drawn = sideDrawCompositions(sideDraws, trays);
+        converged = drawn.every((draw, i) => Math.abs(draw.composition - guessed[i].composition) < TOL);
+        if (converged) break;
+        const nextGuess = drawn.map((draw, i) => ({
+            ...draw,
+            composition: previousGuess ? Math.min(1, Math.max(0, wegsteinUpdate(guessed[i].composition, draw.composition, previousGuess[i].composition, previousDrawn[i].composition))) : draw.composition
+        }));
+        previousGuess = guessed;
+        previousDrawn = drawn;
+        sideDraws = nextGuess;
+    }
+
+    if (!converged) {
+        return { converged: false, diagnostics, light, heavy, activityModel, pressure, xFeed, feedQ };
+    }
+
+    const rates = productRates(molarFeedRate,xFeed,xDistillate,xBottoms,sideDraws,sideFeeds);
     const refluxRate = rates[0]*refluxRatio;
     const rateData = {
         "feedRate" : molarFeedRate,
+        "feedComp": xFeed,
+        "feedQ": feedQ,
         "distRate" : rates[0],
         "btmsRate" : rates[1],
-        "distComp": distCompositionInput.valueAsNumber/100,
-        "btmsComp":  btmsCompositionInput.valueAsNumber/100,
-        "refluxRate": refluxRate
+        "distComp": xDistillate,
+        "btmsComp":  xBottoms,
+        "refluxRate": refluxRate,
+        "sideDraws": sideDraws,
+        "sideFeeds": sideFeeds
+    }
+    const xReflux = condenserRefluxComposition(xDistillate, condenser, pressure, light, heavy, activityModel);
+    const internalReflux = internalRefluxRatio(refluxRatio, xReflux, condenser, light, heavy);
+    const boilUp = trays[trays.length - 1].boilUp;
+    const sections = operatingSections(trays, rates[0], xDistillate, rates[1], xBottoms, feedTrayInput.valueAsNumber, sideDraws, sideFeeds);
+    // with the rigorous energy balance the flows change on every tray and the operating curve runs through each tray
+    const operatingCurvePoints = operatingPoints(trays, xDistillate, xReflux, xBottoms);
+    const operatingVapor = energyBalance.type === 'rigorous' ? operatingCurveThrough(operatingCurvePoints) : operatingCurve(sections);
+    // the reboiler and a partial condenser are equilibrium stages in both counts
+    const theoreticalTrays = theoreticalStages(internalReflux, boilUp, xDistillate, xBottoms, pressure, light, heavy, activityModel, xReflux, operatingVapor) - 1;
+    return {
+        converged: true,
+        light,
+        heavy,
+        activityModel,
+        // the diagrams are drawn at the feed tray pressure
+        pressure: stagePressure(pressure, feedTrayInput.valueAsNumber),
+        stagePressures: pressure,
+        feedQ,
+        feedTray: feedTrayInput.valueAsNumber,
+        totalTrays: totalTraysInput.valueAsNumber,
+        xFeed,
+        xDistillate,
+        xBottoms,
+        refluxRatio,
+        internalReflux,
+        xReflux,
+        condenser,
+        efficiency,
+        sideDraws,
+        sideFeeds,
+        energyBalance,
+        sections,
+        operatingPoints: operatingCurvePoints,
+        theoreticalTrays,
+        trays,
+        rateData,
+        reboilerDuty: reboilerHeatDuty(trays[trays.length - 1], rateData, light, heavy, pressure, activityModel, condenser, energyBalance),
+        condenserDuty: condenserHeatDuty(rateData, pressure, light, heavy, activityModel, condenser, energyBalance)
+    };
+}
+
+const CASE_STUDY_INPUTS = ['totalTrays', 'feedTray', 'columnPressure', 'trayPressureDrop', 'columnPressureDrop', 'feedRate', 'feedComposition', 'feedVaporFraction', 'feedTemperature', 'distillateComposition', 'bottomsComposition', 'refluxRatio', 'reboilerDuty', 'trayEfficiency', 'rectifyingEfficiency', 'strippingEfficiency', 'traySpacing', 'weirHeight', 'systemFactor', 'floodTarget', 'refluxSubcooling', 'distillateVaporFraction'];
+
+/**
+ * lists the form inputs a case study can sweep, inputs the current modes disable are left out
+ * @returns {array[object]} id, label, units, current value, limits and whether it only takes whole numbers
+ */
+function caseStudyVariables() {
+    return CASE_STUDY_INPUTS.map(id => document.getElementById(id)).filter(input => input && !input.disabled).map(input => ({
+        id: input.id,
+        label: document.querySelector(`label[for="${input.id}"]`).textContent,
+        units: input.parentElement.querySelector('.units')?.textContent.trim() || '',
+        value: Number.isFinite(input.valueAsNumber) ? input.valueAsNumber : 0,
+        min: input.min === '' ? -Infinity : Number(input.min),
+        max: input.max === '' ? Infinity : Number(input.max),
+        integer: input.step === '1'
+    }));
+}
+
+/**
+ * solves the column with some inputs changed for a case study point, then puts the form back as it was
+ * @param {object} values input values by id
+ * @returns {object} status, a message when the point failed and the outputs when it solved
+ */
+function solveCaseStudyPoint(values) {
+    const saved = Object.keys(values).map(id => [id, document.getElementById(id).value]);
+    Object.entries(values).forEach(([id, value]) => document.getElementById(id).value = value);
+    try {
+        if (!validateRawInputs()) {
+            const message = [...document.querySelectorAll('#input-form ~ .input-messages .msg:not(.warning)')].map(m => m.textContent).find(Boolean);
+            return { status: 'invalid', message: message || 'The inputs are not valid.', outputs: {} };
+        }
+        const simulation = solveCase();
+        if (!simulation.converged) {
+            const { diagnostics, light, heavy, activityModel, pressure, xFeed, feedQ } = simulation;
+            return {
+                status: diagnostics?.status || 'not-feasible',
+                message: diagnostics ? solverAdvice(diagnostics, xFeed, feedQ, pressure, light, heavy, activityModel)[0] : 'The specified conditions are not feasible.',
+                outputs: {}
+            };
+        }
+        const { rateData, light, heavy } = simulation;
+        return {
+            status: 'converged',
+            message: '',
+            outputs: {
+                refluxRatio: simulation.refluxRatio,
+                reboilerDuty: displayValue(simulation.reboilerDuty, 'duty'),
+                condenserDuty: displayValue(simulation.condenserDuty, 'duty'),
+                distillateComposition: simulation.xDistillate * 100,
+                bottomsComposition: simulation.xBottoms * 100,
+                distillateRate: displayValue(molarToMass(rateData.distRate, rateData.distComp, light, heavy), 'massFlow'),
+                theoreticalTrays: simulation.theoreticalTrays
+            }
+        };
+    } finally {
+        saved.forEach(([id, value]) => document.getElementById(id).value = value);
+        validateRawInputs();
+    }
+}
+
+/**
+ * solves the column for the current inputs and updates the outputs
+ * @returns {object|null} the solved case for the diagram panels, null when the case is not feasible
+ */
+function runSimulation() {
+    lastSimulationFailed = false;
+    const simulation = solveCase();
+    if (!simulation.converged) {
+        const { diagnostics, light, heavy, activityModel, pressure, xFeed, feedQ } = simulation;
+        const columnEl = document.getElementById('column');
+        columnEl.innerHTML = '<h2>WARNING!</h2>';
+        // the solver says why a design case failed, rating mode and the side draw loop only know that it did
+        const advice = diagnostics && !diagnostics.converged ?
+            solverAdvice(diagnostics, xFeed, feedQ, pressure, light, heavy, activityModel) :
+            [operatingModeInput.value === 'rating' ?
+                'The column cannot run at this reflux ratio and reboiler duty. Together they must leave both a distillate and a bottoms product.' :
+                'The specified conditions are not feasible. Please adjust your inputs.'];
+        for (const text of advice) {
+            const note = document.createElement('p');
+            note.className = 'error';
+            note.textContent = text;
+            columnEl.appendChild(note);
+        }
+        if (diagnostics && !diagnostics.converged) {
+            const [lo, hi] = diagnostics.bracket;
+            const details = document.createElement('p');
+            details.className = 'solver-diagnostics';
+            details.textContent = `Solver status ${diagnostics.status} after ${diagnostics.iterations} iterations, ` +
+                `residual ${Number.isFinite(diagnostics.residual) ? diagnostics.residual.toExponential(1) : '-'}, ` +
+                `reflux bracket ${fmt(lo, 2)} to ${Number.isFinite(hi) ? fmt(hi, 2) : '∞'}, ` +
+                `minimum reflux ${fmt(diagnostics.minimumRefluxRatio, 2)}, minimum trays ${fmt(diagnostics.minimumTrays, 1)}.`;
+            columnEl.appendChild(details);
+        }
+        const azeotropes = findAzeotropes(stagePressure(pressure, 0), light, heavy, activityModel);
+        if (azeotropes.length > 0) {
+            const note = document.createElement('p');
+            note.className = 'error';
+            note.textContent = `The separation is limited by the ${azeotropes.map(az => describeAzeotrope(az, light)).join(' and the ')}.`;
+            columnEl.appendChild(note);
+        }
+        updateEfficiencyInfo(NaN, NaN);
+        updateSideDrawData([], light, heavy);
+        lastSimulationFailed = true;
+        return null;
+    }
+
+    const { light, heavy, activityModel, stagePressures, trays, rateData, sideDraws, condenser, energyBalance } = simulation;
+    updateProductRates(rateData,light,heavy);
+    updateSideDrawData(sideDraws,light,heavy);
+    updateAntoineRangeWarning(trays, [light, heavy]);
+    updateTrayData(trays, stagePressures, rateData, light, heavy, activityModel, condenser, energyBalance);
+    updateEfficiencyInfo(simulation.theoreticalTrays, totalTraysInput.valueAsNumber);
+    // the reboiler is the last stage and has no tray to size
+    simulation.hydraulics = trayHydraulics(trays.slice(0, -1), light, heavy, selectedHydraulics());
+    return simulation;
+}
+
+/**
+ * collects the key pair and compositions for the phase diagram
+ * the diagram only needs valid components, so it is drawn even when the column is not feasible
+ * @returns {object|null}
+ */
+function phaseDiagramSystem() {
+    const keysValid = lightKeyInput.validity.valid && heavyKeyInput.validity.valid && activityModelInput.validity.valid;
+    const pressure = inputBaseValue(columnPressureInput);
+    if (!keysValid || !Number.isFinite(pressure)) return null;
+    const [light, heavy] = selectedComponents();
+    return {
+        light,
+        heavy,
+        activityModel: selectedActivityModel(),
+        pressure,
+        xFeed: feedCompositionInput.valueAsNumber/100,
+        // rating mode only knows the product purities once the column is solved
+        xDistillate: operatingModeInput.value === 'design' ? distCompositionInput.valueAsNumber/100 : lastSimulation?.xDistillate,
+        xBottoms: operatingModeInput.value === 'design' ? btmsCompositionInput.valueAsNumber/100 : lastSimulation?.xBottoms
+    };
+}
+
+/**
+ * collects the feed, product specs and column set up for the shortcut design
+ * the tray count and feed tray are what the shortcut suggests, so they do not have to be valid
+ * @returns {object|null}
+ */
+function shortcutSystem() {
+    const inputs = [lightKeyInput, heavyKeyInput, activityModelInput, columnPressureInput, feedRateInput, feedCompositionInput, feedVaporFractionInput, feedTemperatureInput, trayEfficiencyInput, rectifyingEfficiencyInput, strippingEfficiencyInput, distillateVaporFractionInput];
+    if (!inputs.every(input => input.validity.valid)) return null;
+    const design = operatingModeInput.value === 'design';
+    if (design && !(distCompositionInput.validity.valid && btmsCompositionInput.validity.valid)) return null;
+    // rating mode only knows the product purities once the column is solved
+    const xDistillate = design ? distCompositionInput.valueAsNumber/100 : lastSimulation?.xDistillate;
+    const xBottoms = design ? btmsCompositionInput.valueAsNumber/100 : lastSimulation?.xBottoms;
+    const xFeed = feedCompositionInput.valueAsNumber/100;
+    if (!(xBottoms < xFeed && xFeed < xDistillate)) return null;
+    const [light, heavy] = selectedComponents();
+    const activityModel = selectedActivityModel();
+    const pressure = inputBaseValue(columnPressureInput);
+    const { q: feedQ } = feedThermalCondition(pressure, xFeed, light, heavy, activityModel);
+    if (!Number.isFinite(feedQ)) return null;
+    return {
+        light,
+        heavy,
+        activityModel,
+        pressure,
+        feedRate: massToMolar(inputBaseValue(feedRateInput), xFeed, light, heavy),
+        xFeed,
+        feedQ,
+        xDistillate,
+        xBottoms,
+        efficiency: selectedEfficiency(),
+        condenser: selectedCondenser(),
+        sideStreams: selectedSideDraws().length + selectedSideFeeds().length > 0
+    };
+}
+
+/**
+ * copies the shortcut tray count and feed tray into the column inputs and solves the column with them
+ * @param {object} design result of shortcutDesign
+ */
+function applyShortcutDesign(design) {
+    totalTraysInput.value = design.totalTrays;
+    feedTrayInput.value = design.feedTray;
+    renderPage();
+}
+
+/**
+ * carries the economic optimum into the shortcut design panel and builds the column it sizes
+ * @param {object} design shortcut design at the optimum reflux ratio
+ */
+function applyEconomicOptimum(design) {
+    document.getElementById('shortcutRefluxFactor').value = +(design.refluxRatio / design.minRefluxRatio).toFixed(3);
+    applyShortcutDesign(design);
+}
+
+/**
+ * collects every input on the main form into a case, with the custom components it uses
+ * @param {string} name
+ * @returns {object}
+ */
+function currentCase(name = '') {
+    const inputs = Object.fromEntries([...form.querySelectorAll('input[id], select[id]')].map(el => [el.id, el.value]));
+    const components = selectedComponents().filter((c, i, all) => c?.custom && all.findIndex(other => other?.id === c.id) === i);
+    return createCase(inputs, components, name);
+}
+
+/**
+ * sets an input from a saved value, a select keeps its value when the saved option no longer exists
+ * @param {HTMLElement} el
+ * @param {string} value
+ */
+function setInputValue(el, value) {
+    if (el.tagName === 'SELECT' && ![...el.options].some(option => option.value === value)) return;
+    el.value = value;
+}
+
+/**
+ * fills the main form with a case, inputs the case does not have keep their page defaults
+ * @param {object} caseData
+ */
+function applyCase(caseData) {
+    const ids = importCaseComponents(caseData.components);
+    const inputs = { lightKey: DEFAULT_LIGHT_KEY, heavyKey: DEFAULT_HEAVY_KEY, ...caseData.inputs };
+    for (const key of ['lightKey', 'heavyKey']) inputs[key] = ids[inputs[key]] ?? inputs[key];
+    // the reset puts the values back in the units of the markup, the case's units are then shown from there
+    showUnits(DEFAULT_UNITS);
+    form.reset();
+    showUnits(Object.fromEntries(unitSelects().map(select => {
+        const quantity = select.dataset.unitQuantity;
+        return [quantity, Object.hasOwn(UNIT_QUANTITIES[quantity].units, inputs[select.id] ?? '') ? inputs[select.id] : DEFAULT_UNITS[quantity]];
+    })), DEFAULT_UNITS);
+    populateComponentOptions();
+    renderCustomComponentList();
+    setInputValue(lightKeyInput, inputs.lightKey);
+    setInputValue(heavyKeyInput, inputs.heavyKey);
+
+    // the case's activity model is shown without replacing the parameters saved for the pair
+    const type = inputs.activityModel;
+    if (Object.hasOwn(ACTIVITY_MODELS, type)) {
+        renderActivityModelInputs({ type, ...Object.fromEntries(ACTIVITY_MODELS[type].params.map(param => [param, parseFloat(inputs[`activity-${param}`])])) });
+    } else {
+        loadPairActivityModel();
     }
-    updateProductRates(rateData,propaneConstants,butaneConstants);
-    updateTrayData(trays, columnPressureInput.valueAsNumber+14.7, rateData, propaneConstants, butaneConstants);
+
+    // the rows are added first so their numbered inputs exist to be filled
+    document.getElementById('side-draw-list').replaceChildren();
+    document.getElementById('side-feed-list').replaceChildren();
+    for (let i = 1; `sideDraw${i}-tray` in inputs; i++) addSideDraw();
+    for (let i = 1; `sideFeed${i}-tray` in inputs; i++) addSideFeed();
+    form.querySelectorAll('input[id], select[id]').forEach(el => {
+        if (Object.hasOwn(inputs, el.id)) setInputValue(el, inputs[el.id]);
+    });
+    document.querySelectorAll('#side-feed-list .side-feed').forEach(updateSideFeedConditionInputs);
+    updateFeedConditionInputs();
+    updateOperatingModeInputs();
+    updateEfficiencyInputs();
+    updateCondenserInputs();
+    updatePressureDropInputs();
+    // the panels that follow the main form listen for its change event
+    form.dispatchEvent(new Event('change'));
+}
+
+/**
+ * fills the main form with the case in the URL hash
+ * @returns {boolean} whether a case was loaded
+ */
+function loadLinkedCase() {
+    const linked = decodeCaseHash(location.hash);
+    if (!linked) return false;
+    setCaseMessages(linked.errors);
+    if (linked.caseData) applyCase(linked.caseData);
+    return Boolean(linked.caseData);
+}
+
+/**
+ * lists the enabled inputs on the main form with their labels and units for a report
+ * @returns {array[object]} label, value as shown and units
+ */
+function reportInputs() {
+    return [...form.querySelectorAll('input[id], select[id]')].filter(el => !el.disabled).map(el => {
+        let label = form.querySelector(`label[for="${el.id}"]`)?.textContent.trim() || el.id;
+        // the side rows only number their tray label, so the other fields take the row name
+        const row = el.closest('.side-draw, .side-feed');
+        if (row && el.dataset.field !== 'tray') label = `${row.querySelector('.side-draw-label, .side-feed-label').textContent.replace(/ Tray$/, '')} ${label}`;
+        return {
+            label,
+            value: el.tagName === 'SELECT' ? el.selectedOptions[0]?.textContent ?? '' : el.value,
+            units: el.parentElement.querySelector('.units')?.textContent.trim() || ''
+        };
+    });
+}
+
+/**
+ * collects the solved column and the case it was solved at for export
+ * @returns {object|null} null when the column did not solve
+ */
+function currentReport() {
+    if (!lastSimulation) return null;
+    return columnReport(lastSimulation, reportInputs(), currentCase(document.getElementById('caseName').value.trim()));
+}
+
+/**
+ * keeps the current case in the URL hash so the page link restores it
+ */
+function updateCaseLink() {
+    if (typeof history === 'undefined' || !history.replaceState) return;
+    history.replaceState(null, '', `#${encodeCaseHash(currentCase())}`);
 }
 
 function renderPage() {
     const valid = validateRawInputs();
+    setAntoineRangeWarning('');
     const currentTrayCount = totalTraysInput.valueAsNumber || 8;
     const currentFeedTray = feedTrayInput.valueAsNumber || 5;
     if ((currentTrayCount !== previousTrayCount) || (currentFeedTray !== previousFeedTray)) {
@@ -283,21 +1690,59 @@ function renderPage() {
         previousTrayCount = currentTrayCount;
         previousFeedTray = currentFeedTray;
     }
+    updateComponentLabels();
     if (lastSimulationFailed) {
         populateColumnElement(currentTrayCount);
     }
+    updateTrayTitles();
     updateFeedInfo();
-    if(valid) {
-        runSimulation();
-    }
+    lastSimulation = valid ? runSimulation() : null;
+    renderMcCabeThiele(lastSimulation);
+    renderPhaseDiagram(phaseDiagramSystem());
+    renderShortcutDesign(shortcutSystem());
+    renderHydraulics(lastSimulation);
+    renderEconomics(lastSimulation, shortcutSystem(), selectedHydraulics());
+    renderReportActions(lastSimulation);
+    renderUnitLabels();
+    updateCaseLink();
 }
 
 // Only add event listener in browser environment
 if (typeof document !== 'undefined' && form) {
+    setupUnitInputs();
+    populateComponentOptions();
+    setupActivityModelInputs();
+    feedConditionInput.addEventListener('change', updateFeedConditionInputs);
+    operatingModeInput.addEventListener('change', updateOperatingModeInputs);
+    efficiencyModeInput.addEventListener('change', updateEfficiencyInputs);
+    condenserTypeInput.addEventListener('change', updateCondenserInputs);
+    pressureDropModeInput.addEventListener('change', updatePressureDropInputs);
+    setupSideDraws();
+    setupSideFeeds();
+    setupStageLinks();
+    setupPhaseDiagramControls(phaseDiagramSystem);
+    setupShortcutControls(shortcutSystem, applyShortcutDesign);
+    setupEconomicsControls(() => [lastSimulation, shortcutSystem(), selectedHydraulics()], applyEconomicOptimum);
+    const clearFeedTraySearch = setupFeedTrayControls(searchFeedTrays, applyFeedTray);
+    const refreshCaseStudy = setupCaseStudyControls(caseStudyVariables, solveCaseStudyPoint);
+    const syncDynamics = setupDynamicControls(() => lastSimulation, renderPage);
+    updateFeedConditionInputs();
+    updateOperatingModeInputs();
+    updateEfficiencyInputs();
+    updateCondenserInputs();
+    updatePressureDropInputs();
+    setupComponentEditor();
+    setupCaseControls(currentCase, applyCase);
+    setupReportControls(currentReport);
     form.addEventListener('change', renderPage);
+    form.addEventListener('change', clearFeedTraySearch);
+    form.addEventListener('change', refreshCaseStudy);
+    form.addEventListener('change', syncDynamics);
     populateColumnElement(totalTraysInput.valueAsNumber || 8)
     previousTrayCount = totalTraysInput.valueAsNumber || 8;
     previousFeedTray = feedTrayInput.valueAsNumber || 5;
-    renderPage();
+    window.addEventListener('hashchange', loadLinkedCase);
+    if (!loadLinkedCase()) renderPage();
+    syncDynamics();
 }
 
@@ -0,0 +1,279 @@
+/**
+ * Saved cases, every input on the main form with the custom components it uses
+ *
+ * a case is stored as { version, name, savedAt, inputs, components }, inputs are the form values keyed by element id
+ * so side draw, side feed and activity model rows are kept by their numbered ids
+ */
+
+const CASE_SCHEMA_VERSION = 1;
+const SAVED_CASES_KEY = 'distillation.savedCases';
+
+/**
+ * upgrades a case from the schema version it is keyed by to the next one,
+ * add an entry here whenever the case layout changes so older links and files keep loading
+ */
+const CASE_MIGRATIONS = {};
+
+/**
+ * builds a case at the current schema version
+ * @param {object} inputs form values keyed by element id
+ * @param {array[object]} components custom components the case uses
+ * @param {string} name
+ * @returns {object}
+ */
+function createCase(inputs, components, name = '') {
+    return { version: CASE_SCHEMA_VERSION, name, savedAt: new Date().toISOString(), inputs, components };
+}
+
+/**
+ * checks that data read from a link, file or localStorage is a case this page can load
+ * @param {object} data
+ * @returns {array[string]}
+ */
+function caseErrors(data) {
+    if (!data || typeof data !== 'object' || !data.inputs || typeof data.inputs !== 'object' || Array.isArray(data.inputs)) return ['This is not a saved column case.'];
+    // cases written before the version field are read as the first schema
+    const version = data.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) return [`The case has an unknown schema version: ${version}.`];
+    if (version > CASE_SCHEMA_VERSION) {
+        return [`The case was saved by a newer version of the simulator (schema ${version}, this page reads up to ${CASE_SCHEMA_VERSION}).`];
+    }
+    return [];
+}
+
+/**
+ * brings a valid case up to the current schema version
+ * @param {object} data
+ * @returns {object}
+ */
+function migrateCase(data) {
+    let migrated = { ...data, version: data.version ?? 1 };
+    while (migrated.version < CASE_SCHEMA_VERSION) {
+        migrated = { ...CASE_MIGRATIONS[migrated.version](migrated), version: migrated.version + 1 };
+    }
+    return {
+        version: migrated.version,
+        name: typeof migrated.name === 'string' ? migrated.name : '',
+        savedAt: migrated.savedAt,
+        inputs: Object.fromEntries(Object.entries(migrated.inputs).map(([id, value]) => [id, String(value)])),
+        components: Array.isArray(migrated.components) ? migrated.components : []
+    };
+}
+
+/**
+ * checks and migrates a case
+ * @param {object} data
+ * @returns {object} the case, null when it cannot be loaded, and the problems found
+ */
+function readCase(data) {
+    const errors = caseErrors(data);
+    return { caseData: errors.length ? null : migrateCase(data), errors };
+}
+
+/**
+ * reads a case from the text of a downloaded case file, or of a results file which holds the case it was solved at
+ * @param {string} text
+ * @returns {object} the case and the problems found
+ */
+function parseCaseFile(text) {
+    try {
+        const data = JSON.parse(text);
+        return readCase(data?.case ?? data);
+    } catch (e) {
+        return { caseData: null, errors: ['The file is not valid JSON.'] };
+    }
+}
+
+/**
+ * writes a case into a URL hash, one parameter per input so the link stays readable
+ * @param {object} caseData
+ * @returns {string} hash without the leading #
+ */
+function encodeCaseHash(caseData) {
+    const params = new URLSearchParams({ version: caseData.version, ...caseData.inputs });
+    if (caseData.components.length) params.set('components', JSON.stringify(caseData.components));
+    return params.toString();
+}
+
+/**
+ * reads a case from a URL hash written by encodeCaseHash
+ * @param {string} hash
+ * @returns {object|null} the case and the problems found, null when the hash holds no case
+ */
+function decodeCaseHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    if (!params.has('version')) return null;
+    const inputs = Object.fromEntries(params);
+    const version = Number(inputs.version);
+    delete inputs.version;
+    delete inputs.components;
+    try {
+        return readCase({ version, inputs, components: JSON.parse(params.get('components') || '[]') });
+    } catch (e) {
+        return { caseData: null, errors: ['The custom components in the link could not be read.'] };
+    }
+}
+
+/**
+ * reads the named cases saved in localStorage
+ * @returns {object} cases keyed by name
+ */
+function loadSavedCases() {
+    if (typeof localStorage === 'undefined') return {};
+    try {
+        const saved = JSON.parse(localStorage.getItem(SAVED_CASES_KEY) || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function storeSavedCases(cases) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(SAVED_CASES_KEY, JSON.stringify(cases));
+}
+
+/**
+ * saves a case under its name, replacing any case with the same name
+ * @param {object} caseData
+ */
+function saveNamedCase(caseData) {
+    storeSavedCases({ ...loadSavedCases(), [caseData.name]: caseData });
+}
+
+/**
+ * removes a named case from localStorage
+ * @param {string} name
+ */
+function deleteSavedCase(name) {
+    const cases = loadSavedCases();
+    delete cases[name];
+    storeSavedCases(cases);
+}
+
+/**
+ * adds the custom components of a case that are not saved here yet
+ *
+ * a component saved under the same name keeps its own id and constants, so the case is pointed at it instead
+ * @param {array[object]} components
+ * @returns {object} ids in the case mapped to the ids they are saved under
+ */
+function importCaseComponents(components) {
+    const saved = loadCustomComponents();
+    const ids = {};
+    for (const component of components) {
+        const valid = typeof component?.name === 'string' && typeof component.id === 'string' &&
+            [component.A, component.B, component.C, component.mol_wt, component.hVap].every(Number.isFinite);
+        if (!valid) continue;
+        const existing = saved.find(c => c.id === component.id) || saved.find(c => c.name.toLowerCase() === component.name.toLowerCase());
+        if (existing) {
+            ids[component.id] = existing.id;
+            continue;
+        }
+        saved.push({ ...component, custom: true });
+        ids[component.id] = component.id;
+    }
+    storeCustomComponents(saved);
+    return ids;
+}
+
+/**
+ * saves text to the user's downloads
+ * @param {string} fileName
+ * @param {string} text
+ * @param {string} type MIME type
+ */
+function downloadFile(fileName, text, type) {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+function setCaseMessages(messages) {
+    const list = document.getElementById('case-form-msgs');
+    list.replaceChildren(...messages.map(text => {
+        const li = document.createElement('li');
+        li.className = 'msg';
+        li.textContent = text;
+        return li;
+    }));
+}
+
+/**
+ * lists the saved cases by name
+ * @param {string} selected name to select, the current selection is kept by default
+ */
+function renderSavedCaseList(selected) {
+    const select = document.getElementById('savedCase');
+    const names = Object.keys(loadSavedCases()).sort((a, b) => a.localeCompare(b));
+    const current = selected ?? select.value;
+    select.replaceChildren(...names.map(name => new Option(name, name)));
+    if (names.includes(current)) select.value = current;
+    document.getElementById('case-load').disabled = names.length === 0;
+    document.getElementById('case-delete').disabled = names.length === 0;
+}
+
+/**
+ * saves, loads, downloads and shares cases
+ * @param {function} currentCase takes a name and returns the case on the main form
+ * @param {function} applyCase takes a case and fills the main form with it
+ */
+function setupCaseControls(currentCase, applyCase) {
+    const caseForm = document.getElementById('case-form');
+    if (!caseForm) return;
+    const nameInput = document.getElementById('caseName');
+    const load = (result, source) => {
+        setCaseMessages(result.errors);
+        if (!result.caseData) return;
+        applyCase(result.caseData);
+        if (result.caseData.name) nameInput.value = result.caseData.name;
+        setCaseMessages([`Loaded ${result.caseData.name || source}.`]);
+    };
+
+    caseForm.addEventListener('submit', event => {
+        event.preventDefault();
+        const name = nameInput.value.trim();
+        if (!name) {
+            setCaseMessages(['A case name is required.']);
+            return;
+        }
+        saveNamedCase(currentCase(name));
+        renderSavedCaseList(name);
+        setCaseMessages([`Saved ${name}.`]);
+    });
+    document.getElementById('case-load').addEventListener('click', () => {
+        const name = document.getElementById('savedCase').value;
+        if (name) load(readCase(loadSavedCases()[name]), name);
+    });
+    document.getElementById('case-delete').addEventListener('click', () => {
+        const name = document.getElementById('savedCase').value;
+        if (!name) return;
+        deleteSavedCase(name);
+        renderSavedCaseList();
+        setCaseMessages([`Deleted ${name}.`]);
+    });
+    document.getElementById('case-download').addEventListener('click', () => {
+        const name = nameInput.value.trim();
+        downloadFile(`${name || 'column-case'}.json`, JSON.stringify(currentCase(name), null, 2), 'application/json');
+    });
+    const fileInput = document.getElementById('caseFile');
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        if (!file) return;
+        load(parseCaseFile(await file.text()), file.name);
+        fileInput.value = '';
+    });
+    document.getElementById('case-link').addEventListener('click', async () => {
+        // the address bar always holds the current case, so the link is just the page URL
+        try {
+            await navigator.clipboard.writeText(location.href);
+            setCaseMessages(['Link copied.']);
+        } catch (e) {
+            setCaseMessages(['The link could not be copied, copy it from the address bar instead.']);
+        }
+    });
+    renderSavedCaseList();
+}
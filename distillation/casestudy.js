@@ -0,0 +1,363 @@
+/**
+ * Case study panel, sweeps one or two form inputs over a range and solves the column at each point
+ */
+
+const CASE_STUDY_OUTPUTS = {
+    refluxRatio: { label: 'Reflux ratio', units: 'L/D', digits: 2 },
+    reboilerDuty: { label: 'Reboiler duty', get units() { return unitLabel('duty'); }, digits: 0 },
+    condenserDuty: { label: 'Condenser duty', get units() { return unitLabel('duty'); }, digits: 0 },
+    distillateComposition: { label: 'Distillate', units: 'mol%', digits: 2 },
+    bottomsComposition: { label: 'Bottoms', units: 'mol%', digits: 2 },
+    distillateRate: { label: 'Distillate rate', get units() { return unitLabel('massFlow'); }, digits: 0 },
+    theoreticalTrays: { label: 'Theoretical trays', units: '', digits: 1 }
+};
+
+/**
+ * spreads a number of points evenly over a range, integer inputs are rounded and repeats dropped
+ * @param {number} from
+ * @param {number} to
+ * @param {number} points
+ * @param {boolean} integer
+ * @returns {array[number]}
+ */
+function caseStudyValues(from, to, points, integer) {
+    const values = Array.from({ length: points }, (_, i) => points === 1 ? from : from + (to - from) * i / (points - 1));
+    return integer ? [...new Set(values.map(Math.round))] : values;
+}
+
+/**
+ * solves every point of the sweep a slice at a time so the page keeps responding
+ * a point that fails is kept with its status, the sweep carries on past it
+ * @param {array[object]} axes id and values of each swept input
+ * @param {function} solvePoint takes input values by id and returns the status, message and outputs
+ * @param {function} onProgress called with the points solved and the total after each slice
+ * @param {function} onDone called with the results
+ * @returns {function} stops the sweep
+ */
+function sweepCaseStudy(axes, solvePoint, onProgress, onDone) {
+    const points = axes.length === 1 ?
+        axes[0].values.map(v => [v]) :
+        axes[0].values.flatMap(a => axes[1].values.map(b => [a, b]));
+    const results = [];
+    let stopped = false;
+    const step = () => {
+        if (stopped) return;
+        const started = Date.now();
+        while (results.length < points.length && Date.now() - started < 100) {
+            const values = points[results.length];
+            results.push({ values, ...solvePoint(Object.fromEntries(axes.map((axis, i) => [axis.id, values[i]]))) });
+        }
+        if (results.length < points.length) {
+            onProgress(results.length, points.length);
+            setTimeout(step, 0);
+        } else {
+            onDone(results);
+        }
+    };
+    setTimeout(step, 0);
+    return () => stopped = true;
+}
+
+/**
+ * plots one output of the case study
+ * one input gives a line of the output against it, two give a map of the output with contour lines
+ * @param {object|null} study axes and results
+ * @param {string} output key of CASE_STUDY_OUTPUTS
+ * @param {string} message shown instead of the chart when there is no study
+ */
+function renderCaseStudyChart(study, output, message = 'Choose the inputs to sweep and run the case study.') {
+    const container = document.getElementById('case-study-chart');
+    if (!container) return;
+    if (!study) {
+        showChartMessage(container, message);
+        return;
+    }
+    const { axes, results } = study;
+    const { label, units, digits } = CASE_STUDY_OUTPUTS[output];
+    const outputLabel = units ? `${label}, ${units}` : label;
+    const values = results.map(r => r.outputs[output]).filter(Number.isFinite);
+    if (values.length === 0) {
+        showChartMessage(container, 'None of the points could be solved, see the table for why.');
+        return;
+    }
+    const axisRange = axis => {
+        const low = Math.min(...axis.values);
+        const high = Math.max(...axis.values);
+        const pad = high > low ? 0 : Math.max(Math.abs(low) * 0.05, 1);
+        return [low - pad, high + pad];
+    };
+    const axisLabel = axis => axis.units ? `${axis.label}, ${axis.units}` : axis.label;
+    const describe = r => `${r.values.map((v, i) => `${axes[i].label} ${fmt(v, axes[i].integer ? 0 : 2)}`).join(', ')}: ` +
+        (r.status === 'converged' ? `${label.toLowerCase()} ${fmt(r.outputs[output], digits)}` : r.message);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+
+    if (axes.length === 1) {
+        const pad = Math.max((high - low) * 0.05, Math.abs(high) * 0.01, 1e-6);
+        const chart = createChart(container, {
+            xRange: axisRange(axes[0]),
+            yRange: [low - pad, high + pad],
+            xLabel: axisLabel(axes[0]),
+            yLabel: outputLabel,
+            height: 320,
+            yTickFormat: v => fmt(v, digits)
+        });
+        // the line breaks at points that could not be solved
+        let segment = [];
+        for (const r of results) {
+            if (Number.isFinite(r.outputs[output])) {
+                segment.push([r.values[0], r.outputs[output]]);
+                continue;
+            }
+            if (segment.length) plotLine(chart, segment, 'case-line');
+            segment = [];
+        }
+        if (segment.length) plotLine(chart, segment, 'case-line');
+        for (const r of results) {
+            const feasible = Number.isFinite(r.outputs[output]);
+            const marker = plotMarker(chart, r.values[0], feasible ? r.outputs[output] : low - pad / 2, feasible ? '' : '×', feasible ? 'case-marker' : 'infeasible-marker');
+            setTooltip(marker, describe(r));
+        }
+        addLegend(container, [[label, 'case-line'], ['Not solved', 'infeasible-marker']]);
+        return;
+    }
+
+    const [xs, ys] = axes.map(axis => axis.values);
+    const chart = createChart(container, {
+        xRange: axisRange(axes[0]),
+        yRange: axisRange(axes[1]),
+        xLabel: axisLabel(axes[0]),
+        yLabel: axisLabel(axes[1]),
+        height: 360
+    });
+    // each point fills the cell reaching half way to its neighbours, shaded from the lowest value to the highest
+    const edges = v => v.map((value, i) => [
+        i > 0 ? (value + v[i - 1]) / 2 : value - (v.length > 1 ? (v[1] - v[0]) / 2 : 0.5),
+        i < v.length - 1 ? (value + v[i + 1]) / 2 : value + (v.length > 1 ? (v[i] - v[i - 1]) / 2 : 0.5)
+    ]);
+    const [xEdges, yEdges] = [edges(xs), edges(ys)];
+    const grid = xs.map((_, i) => ys.map((_, j) => results[i * ys.length + j].outputs[output]));
+    results.forEach((r, k) => {
+        const [i, j] = [Math.floor(k / ys.length), k % ys.length];
+        const [x0, x1] = xEdges[i].map(chart.scaleX);
+        const [y1, y0] = yEdges[j].map(chart.scaleY);
+        const value = r.outputs[output];
+        const cell = svgElement('rect', {
+            x: Math.min(x0, x1),
+            y: Math.min(y0, y1),
+            width: Math.abs(x1 - x0),
+            height: Math.abs(y1 - y0),
+            class: Number.isFinite(value) ? 'case-cell' : 'case-cell infeasible-cell'
+        });
+        if (Number.isFinite(value)) cell.style.fill = caseStudyColor(high > low ? (value - low) / (high - low) : 0.5);
+        setTooltip(cell, describe(r));
+        chart.plot.appendChild(cell);
+    });
+    for (const level of niceTicks(low, high, 6).filter(level => level > low && level < high)) {
+        const lines = svgElement('g', { class: 'contour' });
+        for (const segment of contourSegments(xs, ys, grid, level)) plotLine(chart, segment, 'contour-line', lines);
+        setTooltip(lines, `${label} ${fmt(level, digits)}`);
+        chart.plot.appendChild(lines);
+    }
+    addLegend(container, [
+        [`${label} ${fmt(low, digits)}`, 'case-low'],
+        [fmt(high, digits), 'case-high'],
+        ['Contours', 'contour-line'],
+        ['Not solved', 'infeasible-cell']
+    ]);
+}
+
+/**
+ * shades a value between the lowest and the highest of the case study
+ * @param {number} t 0 for the lowest value, 1 for the highest
+ * @returns {string} css color
+ */
+function caseStudyColor(t) {
+    return `hsl(${Math.round(180 - 180 * t)}, 100%, ${Math.round(20 + 20 * t)}%)`;
+}
+
+/**
+ * traces a contour level through a grid by marching squares, the cells with a point that was not solved are skipped
+ * @param {array[number]} xs
+ * @param {array[number]} ys
+ * @param {array[array[number]]} grid value at each x and y
+ * @param {number} level
+ * @returns {array[array[array[number]]]} line segments as pairs of [x, y] points
+ */
+function contourSegments(xs, ys, grid, level) {
+    const segments = [];
+    const crossing = (xa, ya, va, xb, yb, vb) => {
+        const t = (level - va) / (vb - va);
+        return [xa + t * (xb - xa), ya + t * (yb - ya)];
+    };
+    for (let i = 0; i < xs.length - 1; i++) {
+        for (let j = 0; j < ys.length - 1; j++) {
+            const corners = [[i, j], [i + 1, j], [i + 1, j + 1], [i, j + 1]].map(([a, b]) => [xs[a], ys[b], grid[a][b]]);
+            if (!corners.every(([, , v]) => Number.isFinite(v))) continue;
+            const points = [];
+            corners.forEach((corner, k) => {
+                const next = corners[(k + 1) % 4];
+                if ((corner[2] < level) !== (next[2] < level)) points.push(crossing(...corner, ...next));
+            });
+            // a saddle crosses all four edges and is split into two segments
+            for (let k = 0; k + 1 < points.length; k += 2) segments.push([points[k], points[k + 1]]);
+        }
+    }
+    return segments;
+}
+
+/**
+ * lists every point of the case study in a table that sorts on any column
+ * @param {object|null} study axes and results
+ * @param {object} sort key and direction, the sweep order when there is no key
+ * @param {function} onSort called with the column key when a header is clicked
+ */
+function renderCaseStudyTable(study, sort, onSort) {
+    const container = document.getElementById('case-study-table');
+    if (!container) return;
+    if (!study) {
+        container.replaceChildren();
+        return;
+    }
+    const { axes, results } = study;
+    const columns = [
+        ...axes.map((axis, i) => ({ key: `input${i}`, label: axis.label, units: axis.units, value: r => r.values[i], digits: axis.integer ? 0 : 2 })),
+        ...Object.entries(CASE_STUDY_OUTPUTS).map(([key, out]) => ({ key, label: out.label, units: out.units, value: r => r.outputs[key], digits: out.digits })),
+        { key: 'status', label: 'Status', units: '', value: r => r.status === 'converged' ? 'solved' : r.status }
+    ];
+    const rows = [...results];
+    const column = columns.find(c => c.key === sort.key);
+    if (column) {
+        const direction = sort.descending ? -1 : 1;
+        rows.sort((a, b) => {
+            const [va, vb] = [column.value(a), column.value(b)];
+            if (typeof va === 'string') return direction * va.localeCompare(vb);
+            // points without a value go last whichever way the column is sorted
+            if (!Number.isFinite(va) || !Number.isFinite(vb)) return Number.isFinite(va) ? -1 : Number.isFinite(vb) ? 1 : 0;
+            return direction * (va - vb);
+        });
+    }
+
+    const table = document.createElement('table');
+    table.className = 'case-table';
+    const header = table.createTHead().insertRow();
+    for (const c of columns) {
+        const th = document.createElement('th');
+        th.textContent = c.units ? `${c.label} (${c.units})` : c.label;
+        th.dataset.key = c.key;
+        if (c.key === sort.key) th.setAttribute('aria-sort', sort.descending ? 'descending' : 'ascending');
+        th.addEventListener('click', () => onSort(c.key));
+        header.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const r of rows) {
+        const row = body.insertRow();
+        if (r.status !== 'converged') {
+            row.className = 'infeasible-row';
+            row.title = r.message;
+        }
+        for (const c of columns) {
+            const value = c.value(r);
+            row.insertCell().textContent = typeof value === 'string' ? value : fmt(value, c.digits);
+        }
+    }
+    container.replaceChildren(table);
+}
+
+/**
+ * wires up the case study controls
+ * @param {function} listVariables returns the id, label, units, current value and limits of each input that can be swept
+ * @param {function} solvePoint takes input values by id and returns the status, message and outputs
+ * @returns {function} refreshes the inputs to choose from and stops a sweep once the form changes
+ */
+function setupCaseStudyControls(listVariables, solvePoint) {
+    const controls = document.getElementById('case-study-controls');
+    if (!controls) return () => {};
+    const runButton = document.getElementById('case-study-run');
+    const outputInput = document.getElementById('caseOutput');
+    outputInput.replaceChildren(...Object.entries(CASE_STUDY_OUTPUTS).map(([key, out]) => new Option(out.label, key)));
+    let study = null;
+    let sort = { key: null, descending: false };
+    let stop = null;
+
+    const axisInputs = n => ['caseVariable', 'caseFrom', 'caseTo', 'casePoints'].map(id => document.getElementById(`${id}${n}`));
+    const render = message => {
+        renderCaseStudyChart(study, outputInput.value, message);
+        renderCaseStudyTable(study, sort, key => {
+            sort = { key, descending: sort.key === key && !sort.descending };
+            render();
+        });
+    };
+    // a new variable starts from a range around its current value
+    const fillRange = n => {
+        const [select, from, to] = axisInputs(n);
+        controls.querySelectorAll(`[data-case-axis="${n}"]`).forEach(el => el.hidden = !select.value);
+        controls.querySelectorAll(`[data-case-axis="${n}"] input`).forEach(el => el.disabled = !select.value);
+        const variable = listVariables().find(v => v.id === select.value);
+        controls.querySelectorAll(`[data-case-units="${n}"]`).forEach(el => el.textContent = variable?.units || '');
+        if (!variable) return;
+        const span = variable.integer ? 3 : Math.max(Math.abs(variable.value) * 0.2, 1);
+        from.value = Math.max(variable.min, variable.value - span);
+        to.value = Math.min(variable.max, variable.value + span);
+        [from, to].forEach(input => input.step = variable.integer ? '1' : 'any');
+    };
+    const outputUnits = () => Object.values(CASE_STUDY_OUTPUTS).map(out => out.units).join('|');
+    const refresh = () => {
+        for (const n of [1, 2]) {
+            const select = axisInputs(n)[0];
+            const previous = select.value;
+            const variables = listVariables();
+            select.replaceChildren(...(n === 2 ? [new Option('None', '')] : []), ...variables.map(v => new Option(v.label, v.id)));
+            select.value = variables.some(v => v.id === previous) ? previous : select.options[0]?.value ?? '';
+            // a range entered in other units starts again around the current value
+            const units = variables.find(v => v.id === select.value)?.units ?? '';
+            if (select.value !== previous || units !== controls.querySelector(`[data-case-units="${n}"]`).textContent) fillRange(n);
+        }
+        if (study && study.outputUnits !== outputUnits()) {
+            study = null;
+            render('The units changed, run the case study again.');
+        }
+        if (stop) {
+            stop();
+            stop = null;
+            runButton.disabled = false;
+            study = null;
+            render('The inputs changed during the sweep, run it again.');
+        }
+    };
+
+    controls.addEventListener('change', event => {
+        if (event.target.id === 'caseVariable1') fillRange(1);
+        else if (event.target.id === 'caseVariable2') fillRange(2);
+        else if (event.target === outputInput) render();
+    });
+    runButton.addEventListener('click', () => {
+        if (!controls.checkValidity()) {
+            render('Enter a range and number of points for each input swept.');
+            return;
+        }
+        const variables = listVariables();
+        const axes = [1, 2].map(axisInputs).filter(([select]) => select.value).map(([select, from, to, points]) => {
+            const variable = variables.find(v => v.id === select.value);
+            return { ...variable, values: caseStudyValues(from.valueAsNumber, to.valueAsNumber, points.valueAsNumber, variable.integer) };
+        });
+        if (axes.length === 2 && axes[0].id === axes[1].id) {
+            render('Choose two different inputs to sweep.');
+            return;
+        }
+        runButton.disabled = true;
+        stop = sweepCaseStudy(axes, solvePoint,
+            (done, total) => showChartMessage(document.getElementById('case-study-chart'), `Solving point ${done + 1} of ${total}...`),
+            results => {
+                stop = null;
+                runButton.disabled = false;
+                study = { axes, results, outputUnits: outputUnits() };
+                sort = { key: null, descending: false };
+                render();
+            });
+    });
+    refresh();
+    fillRange(2);
+    render();
+    return refresh;
+}
@@ -0,0 +1,200 @@
+/**
+ * SVG chart helpers shared by the diagram panels
+ *
+ * a chart is a plain object holding the svg element, the plot group and the functions that map data to pixels
+ */
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_MARGIN = { top: 12, right: 16, bottom: 40, left: 52 };
+
+/**
+ * creates an svg element with attributes
+ * @param {string} tag
+ * @param {object} attributes
+ * @returns {SVGElement}
+ */
+function svgElement(tag, attributes = {}) {
+    const el = document.createElementNS(SVG_NS, tag);
+    for (const [name, value] of Object.entries(attributes)) {
+        el.setAttribute(name, value);
+    }
+    return el;
+}
+
+/**
+ * picks round tick values covering a range
+ * @param {number} min
+ * @param {number} max
+ * @param {number} count approximate number of ticks
+ * @returns {array[number]}
+ */
+function niceTicks(min, max, count = 5) {
+    const span = max - min;
+    if (!(span > 0)) return [min];
+    const rawStep = span / count;
+    const magnitude = 10 ** Math.floor(Math.log10(rawStep));
+    const step = [1, 2, 2.5, 5, 10].map(m => m * magnitude).find(s => s >= rawStep);
+    const ticks = [];
+    for (let t = Math.ceil(min / step) * step; t <= max + step * 1e-9; t += step) {
+        ticks.push(Math.abs(t) < step * 1e-9 ? 0 : t);
+    }
+    return ticks;
+}
+
+/**
+ * creates an empty chart with axes, ticks and labels inside a container
+ * @param {HTMLElement} container
+ * @param {object} options xRange, yRange, xLabel, yLabel, width, height, xTickFormat, yTickFormat
+ * @returns {object}
+ */
+function createChart(container, options) {
+    const width = options.width || 420;
+    const height = options.height || 420;
+    const [xMin, xMax] = options.xRange;
+    const [yMin, yMax] = options.yRange;
+    const plotWidth = width - CHART_MARGIN.left - CHART_MARGIN.right;
+    const plotHeight = height - CHART_MARGIN.top - CHART_MARGIN.bottom;
+    const scaleX = v => CHART_MARGIN.left + (v - xMin) / (xMax - xMin) * plotWidth;
+    const scaleY = v => CHART_MARGIN.top + (1 - (v - yMin) / (yMax - yMin)) * plotHeight;
+    const xTickFormat = options.xTickFormat || (v => `${+v.toFixed(3)}`);
+    const yTickFormat = options.yTickFormat || (v => `${+v.toFixed(3)}`);
+
+    const svg = svgElement('svg', { viewBox: `0 0 ${width} ${height}`, class: 'chart', role: 'img' });
+    const axes = svgElement('g', { class: 'chart-axes' });
+    axes.appendChild(svgElement('rect', { x: CHART_MARGIN.left, y: CHART_MARGIN.top, width: plotWidth, height: plotHeight, class: 'chart-frame' }));
+    for (const t of options.xTicks || niceTicks(xMin, xMax)) {
+        const px = scaleX(t);
+        axes.appendChild(svgElement('line', { x1: px, x2: px, y1: CHART_MARGIN.top, y2: CHART_MARGIN.top + plotHeight, class: 'chart-grid' }));
+        const label = svgElement('text', { x: px, y: CHART_MARGIN.top + plotHeight + 14, 'text-anchor': 'middle', class: 'chart-tick' });
+        label.textContent = xTickFormat(t);
+        axes.appendChild(label);
+    }
+    for (const t of options.yTicks || niceTicks(yMin, yMax)) {
+        const py = scaleY(t);
+        axes.appendChild(svgElement('line', { x1: CHART_MARGIN.left, x2: CHART_MARGIN.left + plotWidth, y1: py, y2: py, class: 'chart-grid' }));
+        const label = svgElement('text', { x: CHART_MARGIN.left - 6, y: py + 4, 'text-anchor': 'end', class: 'chart-tick' });
+        label.textContent = yTickFormat(t);
+        axes.appendChild(label);
+    }
+    const xLabel = svgElement('text', { x: CHART_MARGIN.left + plotWidth / 2, y: height - 6, 'text-anchor': 'middle', class: 'chart-label' });
+    xLabel.textContent = options.xLabel || '';
+    const yLabel = svgElement('text', { x: 0, y: 0, 'text-anchor': 'middle', class: 'chart-label',
+        transform: `translate(14 ${CHART_MARGIN.top + plotHeight / 2}) rotate(-90)` });
+    yLabel.textContent = options.yLabel || '';
+    axes.append(xLabel, yLabel);
+
+    // clip the plotted data to the frame
+    const clipId = `clip-${container.id || Math.random().toString(36).slice(2)}`;
+    const defs = svgElement('defs');
+    const clip = svgElement('clipPath', { id: clipId });
+    clip.appendChild(svgElement('rect', { x: CHART_MARGIN.left, y: CHART_MARGIN.top, width: plotWidth, height: plotHeight }));
+    defs.appendChild(clip);
+    const plot = svgElement('g', { class: 'chart-plot', 'clip-path': `url(#${clipId})` });
+
+    svg.append(defs, axes, plot);
+    container.replaceChildren(svg);
+    return { svg, plot, scaleX, scaleY, width, height, plotWidth, plotHeight };
+}
+
+/**
+ * draws a polyline through data points
+ * @param {object} chart
+ * @param {array[array[number]]} points [x, y] pairs in data units
+ * @param {string} className
+ * @param {SVGElement} parent defaults to the plot group
+ * @returns {SVGElement}
+ */
+function plotLine(chart, points, className, parent = chart.plot) {
+    const finite = points.filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y));
+    const line = svgElement('polyline', {
+        points: finite.map(([x, y]) => `${chart.scaleX(x)},${chart.scaleY(y)}`).join(' '),
+        class: className
+    });
+    parent.appendChild(line);
+    return line;
+}
+
+/**
+ * draws a bar rising from zero to a value, centred on x
+ * @param {object} chart
+ * @param {number} x
+ * @param {number} y
+ * @param {number} width bar width in data units
+ * @param {string} className
+ * @returns {SVGElement}
+ */
+function plotBar(chart, x, y, width, className) {
+    const top = chart.scaleY(Math.max(y, 0));
+    const bottom = chart.scaleY(Math.min(y, 0));
+    const bar = svgElement('rect', {
+        x: chart.scaleX(x - width / 2),
+        y: top,
+        width: chart.scaleX(x + width / 2) - chart.scaleX(x - width / 2),
+        height: bottom - top,
+        class: className
+    });
+    chart.plot.appendChild(bar);
+    return bar;
+}
+
+/**
+ * draws a labelled marker at a data point
+ * @param {object} chart
+ * @param {number} x
+ * @param {number} y
+ * @param {string} label
+ * @param {string} className
+ * @returns {SVGElement}
+ */
+function plotMarker(chart, x, y, label, className) {
+    const group = svgElement('g', { class: className });
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return group;
+    group.appendChild(svgElement('circle', { cx: chart.scaleX(x), cy: chart.scaleY(y), r: 4 }));
+    if (label) {
+        const text = svgElement('text', { x: chart.scaleX(x) + 6, y: chart.scaleY(y) - 6, class: 'chart-marker-label' });
+        text.textContent = label;
+        group.appendChild(text);
+    }
+    chart.plot.appendChild(group);
+    return group;
+}
+
+/**
+ * adds a hover tooltip to an svg element
+ * @param {SVGElement} element
+ * @param {string} text
+ */
+function setTooltip(element, text) {
+    const title = svgElement('title');
+    title.textContent = text;
+    element.appendChild(title);
+}
+
+/**
+ * replaces a chart container's contents with a message
+ * @param {HTMLElement} container
+ * @param {string} text
+ */
+function showChartMessage(container, text) {
+    const p = document.createElement('p');
+    p.className = 'chart-message';
+    p.textContent = text;
+    container.replaceChildren(p);
+}
+
+/**
+ * draws a legend below the chart
+ * @param {HTMLElement} container
+ * @param {array[array[string]]} entries [label, className] pairs
+ */
+function addLegend(container, entries) {
+    const legend = document.createElement('ul');
+    legend.className = 'chart-legend';
+    for (const [label, className] of entries) {
+        const li = document.createElement('li');
+        const swatch = document.createElement('span');
+        swatch.className = `chart-swatch ${className}`;
+        li.append(swatch, label);
+        legend.appendChild(li);
+    }
+    container.appendChild(legend);
+}
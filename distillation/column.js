@@ -4,24 +4,6 @@
 const MAXITERATIONS = 100;
 const TOL = 0.001;
 
-/**
- * Antoine Equation Constants
- */
-const propaneConstants = {
-    A: 4.53678,
-    B: 1149.36,
-    C: 24.906,
-    mol_wt: 44.097,
-    hVap: 6986.24159
-}
-const butaneConstants = {
-    A: 4.35576,
-    B: 1175.581,
-    C: -2.071,
-    mol_wt: 58.12,
-    hVap: 9630.26533
-}
-
 /**
  * Utility functions 
  */
@@ -88,67 +70,211 @@ function vaporPressure(temperature, antConsts) {
     return Pbar * 14.503773773;
 }
 
+/**
+ * Liquid activity coefficient models
+ * 
+ * a model is an object with a type and the binary interaction parameters for the pair, component 1 is the light key
+ *  raoult     ideal liquid, both activity coefficients are 1
+ *  margules2  two-suffix Margules, A (dimensionless)
+ *  margules3  three-suffix Margules, A12 and A21 (dimensionless)
+ *  wilson     Wilson, a12 and a21 energy parameters (cal/mol), V1 and V2 liquid molar volumes (cm3/mol)
+ *  nrtl       NRTL, b12 and b21 energy parameters (cal/mol), alpha non-randomness factor
+ */
+const RAOULT = { type: 'raoult' };
+const GAS_CONSTANT = 1.98720425864; // cal/(mol K)
+
+const ACTIVITY_MODELS = {
+    raoult: { name: "Ideal (Raoult's law)", params: [] },
+    margules2: { name: 'Margules (two-suffix)', params: ['A'] },
+    margules3: { name: 'Margules (three-suffix)', params: ['A12', 'A21'] },
+    wilson: { name: 'Wilson', params: ['a12', 'a21', 'V1', 'V2'] },
+    nrtl: { name: 'NRTL', params: ['b12', 'b21', 'alpha'] }
+};
+
+/**
+ * calculates the liquid activity coefficients of a binary mixture
+ * 
+ * temperature is F
+ * @param {number} liqMolFrac light key mole fraction 
+ * @param {number} temperature 
+ * @param {object} activityModel 
+ * @returns {array[number]} light and heavy key activity coefficients
+ */
+function activityCoefficients(liqMolFrac, temperature, activityModel = RAOULT) {
+    const x1 = liqMolFrac;
+    const x2 = 1 - liqMolFrac;
+    const RT = GAS_CONSTANT * ((temperature - 32) * 5 / 9 + 273.15);
+    let lnGamma1 = 0;
+    let lnGamma2 = 0;
+    switch (activityModel.type) {
+        case 'margules2': {
+            lnGamma1 = activityModel.A * x2 * x2;
+            lnGamma2 = activityModel.A * x1 * x1;
+            break;
+        }
+        case 'margules3': {
+            const { A12, A21 } = activityModel;
+            lnGamma1 = x2 * x2 * (A12 + 2 * (A21 - A12) * x1);
+            lnGamma2 = x1 * x1 * (A21 + 2 * (A12 - A21) * x2);
+            break;
+        }
+        case 'wilson': {
+            const lambda12 = activityModel.V2 / activityModel.V1 * Math.exp(-activityModel.a12 / RT);
+            const lambda21 = activityModel.V1 / activityModel.V2 * Math.exp(-activityModel.a21 / RT);
+            const term = lambda12 / (x1 + x2 * lambda12) - lambda21 / (x2 + x1 * lambda21);
+            lnGamma1 = -Math.log(x1 + x2 * lambda12) + x2 * term;
+            lnGamma2 = -Math.log(x2 + x1 * lambda21) - x1 * term;
+            break;
+        }
+        case 'nrtl': {
+            const tau12 = activityModel.b12 / RT;
+            const tau21 = activityModel.b21 / RT;
+            const G12 = Math.exp(-activityModel.alpha * tau12);
+            const G21 = Math.exp(-activityModel.alpha * tau21);
+            lnGamma1 = x2 * x2 * (tau21 * (G21 / (x1 + x2 * G21)) ** 2 + G12 * tau12 / (x2 + x1 * G12) ** 2);
+            lnGamma2 = x1 * x1 * (tau12 * (G12 / (x2 + x1 * G12)) ** 2 + G21 * tau21 / (x1 + x2 * G21) ** 2);
+            break;
+        }
+    }
+    return [Math.exp(lnGamma1), Math.exp(lnGamma2)];
+}
+
 /**
  * helper equation for solving for equilibrium mixture conditions
- * Raoult's law for binary mixture
+ * modified Raoult's law for binary mixture
  * @param {number} temperature 
  * @param {number} pressure 
  * @param {number} liqMolFrac 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function binaryequilibriumEquationFromX(temperature, pressure, liqMolFrac, lightAntConsts, heavyAntConsts) {
-    const param1 = liqMolFrac * vaporPressure(temperature,lightAntConsts);
-    const param2 = (1 - liqMolFrac) * vaporPressure(temperature, heavyAntConsts);
+function binaryequilibriumEquationFromX(temperature, pressure, liqMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const [gamma1, gamma2] = activityCoefficients(liqMolFrac, temperature, activityModel);
+    const param1 = liqMolFrac * gamma1 * vaporPressure(temperature,lightAntConsts);
+    const param2 = (1 - liqMolFrac) * gamma2 * vaporPressure(temperature, heavyAntConsts);
     return pressure - (param1 + param2);
 }
 
+/**
+ * finds the liquid in equilibrium with a vapor at a given temperature and pressure
+ * the activity coefficients depend on the unknown liquid so it is found by successive substitution
+ * 
+ * the returned mole fractions only sum to 1 at the dew point temperature
+ * @param {number} temperature 
+ * @param {number} pressure 
+ * @param {number} vaporMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {array[number]} light and heavy key liquid mole fractions
+ */
+function dewLiquidComposition(temperature, pressure, vaporMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const k1 = pressure / vaporPressure(temperature, lightAntConsts);
+    const k2 = pressure / vaporPressure(temperature, heavyAntConsts);
+    let x1 = vaporMolFrac * k1;
+    let x2 = (1 - vaporMolFrac) * k2;
+    if (activityModel.type === 'raoult') return [x1, x2];
+    for (let i = 0; i < MAXITERATIONS; i++) {
+        const [gamma1, gamma2] = activityCoefficients(x1 / (x1 + x2), temperature, activityModel);
+        const next1 = vaporMolFrac * k1 / gamma1;
+        const next2 = (1 - vaporMolFrac) * k2 / gamma2;
+        const change = Math.abs(next1 - x1) + Math.abs(next2 - x2);
+        x1 = next1;
+        x2 = next2;
+        if (change < 1e-10) break;
+    }
+    return [x1, x2];
+}
+
 /**
  * helper equation for solving for equilibrium mixture conditions
- * Raoult's law for binary mixture
+ * modified Raoult's law for binary mixture
  * @param {number} temperature 
  * @param {number} pressure 
  * @param {number} vapMolFrac 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function binaryequilibriumEquationFromY(temperature, pressure, vaporMolFrac, lightAntConsts, heavyAntConsts) {
-    const param1 = vaporMolFrac * pressure / vaporPressure(temperature,lightAntConsts);
-    const param2 = (1 - vaporMolFrac) * pressure / vaporPressure(temperature, heavyAntConsts);
+function binaryequilibriumEquationFromY(temperature, pressure, vaporMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const [param1, param2] = dewLiquidComposition(temperature, pressure, vaporMolFrac, lightAntConsts, heavyAntConsts, activityModel);
     return param1 + param2 - 1;
 }
 
 /**
- * calculates the equilibrium temperature for a binary mixture at a given pressure and liquid composition
+ * finds temperatures that bracket a bubble or dew point for the bisection solvers
  * 
+ * starts from the pure component boiling points and widens the bracket until the residual changes sign,
+ * a non-ideal mixture can boil outside the range of its pure components
  * @param {number} pressure 
- * @param {number} liquidMolFrac 
+ * @param {function} residual positive below the equilibrium temperature and negative above it 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @returns {array[number]} low and high temperature, NaN when no bracket is found
+ */
+function equilibriumTemperatureBracket(pressure, residual, lightAntConsts, heavyAntConsts) {
+    const boilingPoints = [boilingPointTemperature(pressure, lightAntConsts), boilingPointTemperature(pressure, heavyAntConsts)];
+    let lowT = Math.min(...boilingPoints);
+    let highT = Math.max(...boilingPoints);
+    let step = Math.max(1, highT - lowT);
+    for (let k = 0; k < 10 && !(residual(lowT) > 0); k++) {
+        lowT -= step;
+        step *= 2;
+    }
+    step = Math.max(1, highT - lowT);
+    for (let k = 0; k < 10 && !(residual(highT) < 0); k++) {
+        highT += step;
+        step *= 2;
+    }
+    if (!(residual(lowT) > 0 && residual(highT) < 0)) return [NaN, NaN];
+    return [lowT, highT];
+}
+
+/**
+ * bisection on a bubble or dew point residual
+ * stops after MAXITERATIONS halvings, the bracket is narrower than a double can resolve well before that
+ * @param {function} residual positive below the equilibrium temperature and negative above it 
+ * @param {number} lowT 
+ * @param {number} highT 
  * @returns {number}
  */
-function equilibriumTemperatureFromX(pressure, liquidMolFrac, lightAntConsts, heavyAntConsts) {
-    // solve using bisection
-    // need to get bracketing temperatures for this pressure
-    let maxT = boilingPointTemperature(pressure, lightAntConsts);
-    let minT = boilingPointTemperature(pressure, heavyAntConsts);
-    let tempGuess= (maxT + minT) / 2;
-    let result = 0;
-    while (Math.abs(result = binaryequilibriumEquationFromX(tempGuess,pressure,liquidMolFrac,lightAntConsts,heavyAntConsts)) > TOL) {
-        // if negative then need to reduce T. if positive need to increase T
+function bisectEquilibriumTemperature(residual, lowT, highT) {
+    if (!Number.isFinite(lowT) || !Number.isFinite(highT)) return NaN;
+    let tempGuess = (lowT + highT) / 2;
+    for (let i = 0; i < MAXITERATIONS; i++) {
+        const result = residual(tempGuess);
+        if (Math.abs(result) <= TOL) break;
+        // if positive the temperature is too low, if negative it is too high
         if (result > 0) {
-            maxT = tempGuess;
-            tempGuess = (minT + tempGuess) / 2;
+            lowT = tempGuess;
         } else {
-            minT = tempGuess;
-            tempGuess = (maxT + tempGuess) / 2;
+            highT = tempGuess;
         }
+        tempGuess = (lowT + highT) / 2;
     }
     return tempGuess;
 }
 
+/**
+ * calculates the equilibrium temperature for a binary mixture at a given pressure and liquid composition
+ * 
+ * @param {number} pressure 
+ * @param {number} liquidMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number}
+ */
+function equilibriumTemperatureFromX(pressure, liquidMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    // solve using bisection
+    const residual = t => binaryequilibriumEquationFromX(t,pressure,liquidMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+    const [lowT, highT] = equilibriumTemperatureBracket(pressure, residual, lightAntConsts, heavyAntConsts);
+    return bisectEquilibriumTemperature(residual, lowT, highT);
+}
+
 /**
  * calculates the equilibrium temperature for a binary mixture at a given pressure and vapor composition
  * 
@@ -156,26 +282,14 @@ function equilibriumTemperatureFromX(pressure, liquidMolFrac, lightAntConsts, he
  * @param {number} vaporMolFrac 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function equilibriumTemperatureFromY(pressure, vaporMolFrac, lightAntConsts, heavyAntConsts) {
+function equilibriumTemperatureFromY(pressure, vaporMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
     // solve using bisection
-    // need to get bracketing temperatures for this pressure
-    let maxT = boilingPointTemperature(pressure, lightAntConsts);
-    let minT = boilingPointTemperature(pressure, heavyAntConsts);
-    let tempGuess= (maxT + minT) / 2;
-    let result = 0;
-    while (Math.abs(result = binaryequilibriumEquationFromY(tempGuess,pressure,vaporMolFrac,lightAntConsts,heavyAntConsts)) > TOL) {
-        // if negative then need to reduce T. if positive need to increase T
-        if (result > 0) {
-            maxT = tempGuess;
-            tempGuess = (minT + tempGuess) / 2;
-        } else {
-            minT = tempGuess;
-            tempGuess = (maxT + tempGuess) / 2;
-        }
-    }
-    return tempGuess;
+    const residual = t => binaryequilibriumEquationFromY(t,pressure,vaporMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+    const [lowT, highT] = equilibriumTemperatureBracket(pressure, residual, lightAntConsts, heavyAntConsts);
+    return bisectEquilibriumTemperature(residual, lowT, highT);
 }
 
 /**
@@ -184,11 +298,13 @@ function equilibriumTemperatureFromY(pressure, vaporMolFrac, lightAntConsts, hea
  * @param {number} vaporMolFrac 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function liqMolFraction(pressure, vaporMolFrac, lightAntConsts, heavyAntConsts) {
-    const temperature = equilibriumTemperatureFromY(pressure,vaporMolFrac,lightAntConsts,heavyAntConsts);
-    return vaporMolFrac * pressure / vaporPressure(temperature,lightAntConsts);
+function liqMolFraction(pressure, vaporMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const temperature = equilibriumTemperatureFromY(pressure,vaporMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+    const [x1, x2] = dewLiquidComposition(temperature,pressure,vaporMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+    return x1 / (x1 + x2);
 }
 
 /**
@@ -197,302 +313,2221 @@ function liqMolFraction(pressure, vaporMolFrac, lightAntConsts, heavyAntConsts)
  * @param {number} liquidMolFrac 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function vapMolFraction(pressure,liquidMolFrac, lightAntConsts, heavyAntConsts) {
-    const temperature = equilibriumTemperatureFromX(pressure,liquidMolFrac,lightAntConsts,heavyAntConsts);
-    return liquidMolFrac * vaporPressure(temperature, lightAntConsts) / pressure;
+function vapMolFraction(pressure,liquidMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const temperature = equilibriumTemperatureFromX(pressure,liquidMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+    const [gamma1] = activityCoefficients(liquidMolFrac, temperature, activityModel);
+    return liquidMolFrac * gamma1 * vaporPressure(temperature, lightAntConsts) / pressure;
 }
 
-
 /**
- * Distillation Material Balance Equations
+ * calculates the bubble point pressure for a binary mixture at a given temperature and liquid composition
+ *
+ * pressure is psia
+ * @param {number} temperature 
+ * @param {number} liquidMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number}
  */
-
+function bubblePointPressure(temperature, liquidMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const [gamma1, gamma2] = activityCoefficients(liquidMolFrac, temperature, activityModel);
+    return liquidMolFrac * gamma1 * vaporPressure(temperature, lightAntConsts) +
+        (1 - liquidMolFrac) * gamma2 * vaporPressure(temperature, heavyAntConsts);
+}
 
 /**
- * calculates distillate and bottoms product rates given feed rate/composition and product specs
- * @param {number} feedRate 
- * @param {number} feedXp 
- * @param {number} distillateXp 
- * @param {number} bottomsXp 
+ * calculates the dew point pressure for a binary mixture at a given temperature and vapor composition
+ * the activity coefficients depend on the unknown liquid so it is found by successive substitution
+ *
+ * pressure is psia
+ * @param {number} temperature 
+ * @param {number} vaporMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function productRates(feedRate, feedXp, distillateXp, bottomsXp) {
-    const distillateRate = feedRate * (feedXp - bottomsXp) / (distillateXp - bottomsXp);
-    const bottomsRate = feedRate - distillateRate;
-    return [distillateRate, bottomsRate];
+function dewPointPressure(temperature, vaporMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const p1 = vaporPressure(temperature, lightAntConsts);
+    const p2 = vaporPressure(temperature, heavyAntConsts);
+    let gamma1 = 1;
+    let gamma2 = 1;
+    let pressure = 1 / (vaporMolFrac / p1 + (1 - vaporMolFrac) / p2);
+    if (activityModel.type === 'raoult') return pressure;
+    for (let i = 0; i < MAXITERATIONS; i++) {
+        const x1 = vaporMolFrac * pressure / (gamma1 * p1);
+        const x2 = (1 - vaporMolFrac) * pressure / (gamma2 * p2);
+        [gamma1, gamma2] = activityCoefficients(x1 / (x1 + x2), temperature, activityModel);
+        const next = 1 / (vaporMolFrac / (gamma1 * p1) + (1 - vaporMolFrac) / (gamma2 * p2));
+        const change = Math.abs(next - pressure);
+        pressure = next;
+        if (change < TOL) break;
+    }
+    return pressure;
 }
 
 /**
- * calculates the boil up ratio 
- * @param {number} refluxRatio 
- * @param {number} distillateRate 
- * @param {number} bottomsRate 
+ * calculates the relative volatility of the light key to the heavy key at a liquid composition and temperature
+ * @param {number} temperature 
+ * @param {number} liquidMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function boilUpRatio(refluxRatio, distillateRate, bottomsRate) {
-    return (refluxRatio + 1) * distillateRate / bottomsRate;
+function relativeVolatility(temperature, liquidMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const [gamma1, gamma2] = activityCoefficients(liquidMolFrac, temperature, activityModel);
+    return gamma1 * vaporPressure(temperature, lightAntConsts) / (gamma2 * vaporPressure(temperature, heavyAntConsts));
 }
 
 /**
- * calculates the McCabe-Thiele operating line for the recetifying section
- * @param {*} refluxRatio 
- * @param {*} distillateMolFrac 
- * @param {*} liquidMolFrac 
- * @returns {number}
+ * scans the x-y curve at a given pressure for azeotropes, where the equilibrium vapor and liquid compositions are equal
+ * 
+ * a minimum-boiling azeotrope has y > x below it and y < x above it, a maximum-boiling azeotrope is the reverse
+ * @param {number} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number} gridPoints number of intervals used for the scan
+ * @returns {array[object]} composition, temperature and type of each azeotrope
  */
-function rectifyingOperatingLine(refluxRatio, distillateMolFrac, liquidMolFrac) {
-    return refluxRatio / (refluxRatio + 1) * liquidMolFrac + distillateMolFrac / (refluxRatio + 1);
+function findAzeotropes(pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT, gridPoints = 100) {
+    const deviation = x => vapMolFraction(pressure, x, lightAntConsts, heavyAntConsts, activityModel) - x;
+    const azeotropes = [];
+    let xPrev = 0.5 / (gridPoints + 1);
+    let fPrev = deviation(xPrev);
+    for (let i = 1; i <= gridPoints; i++) {
+        const x = (i + 0.5) / (gridPoints + 1);
+        const f = deviation(x);
+        if (Number.isFinite(f) && Number.isFinite(fPrev) && Math.sign(f) !== Math.sign(fPrev) && f !== 0) {
+            // refine the crossing with bisection
+            let lo = xPrev;
+            let hi = x;
+            for (let k = 0; k < MAXITERATIONS && hi - lo > 1e-6; k++) {
+                const mid = (lo + hi) / 2;
+                if (Math.sign(deviation(mid)) === Math.sign(fPrev)) lo = mid;
+                else hi = mid;
+            }
+            const composition = (lo + hi) / 2;
+            azeotropes.push({
+                composition,
+                temperature: equilibriumTemperatureFromX(pressure, composition, lightAntConsts, heavyAntConsts, activityModel),
+                type: fPrev > 0 ? 'minimum-boiling' : 'maximum-boiling'
+            });
+        }
+        xPrev = x;
+        fPrev = f;
+    }
+    return azeotropes;
 }
 
 /**
- * calculates the McCabe-Thiele operating line for the stripping section
- * @param {number} boilUpRatio 
- * @param {number} bottomsMolFrac 
- * @param {number} vaporMolFraction
+ * Feed Thermal Condition
+ * 
+ * q is the fraction of the feed that joins the liquid flowing down the column
+ *  q > 1 subcooled liquid, q = 1 saturated liquid, 0 < q < 1 two-phase, q = 0 saturated vapor, q < 0 superheated vapor
+ */
+
+/**
+ * finds the liquid composition that boils at a given temperature and pressure
+ * searches the range below the feed composition where the two-phase liquid lies
+ * @param {number} temperature 
+ * @param {number} pressure 
+ * @param {number} feedMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function strippingOperatingLine(boilUpRatio, bottomsMolFrac, vaporMolFraction) {
-    return (vaporMolFraction + bottomsMolFrac / boilUpRatio) * boilUpRatio / (boilUpRatio + 1);
+function bubbleCompositionAtTemperature(temperature, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    let lo = 0;
+    let hi = feedMolFrac;
+    for (let i = 0; i < MAXITERATIONS && hi - lo > 1e-7; i++) {
+        const mid = (lo + hi) / 2;
+        // bubble temperature falls as the light key fraction rises
+        if (equilibriumTemperatureFromX(pressure, mid, lightAntConsts, heavyAntConsts, activityModel) > temperature) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
 }
 
-// use operating line to get y. use equilibrium to x
-// operating line y_(i+1) = R / (R + 1) * x_i + x_D/(R+1)
-// operating line y_(i) = (S + 1) / S * x_(i+1) - x_B/S 
-
 /**
- * solves the material balance and VLE equations for the rectifying section and returns the liquid molar composition for the feed tray
- * starts at the top tray and alternatively uses the VLE equation and material balance to find the conditions for the next tray
- * @param {number} refluxRatio 
+ * finds the vapor composition that condenses at a given temperature and pressure
+ * searches the range above the feed composition where the two-phase vapor lies
+ * @param {number} temperature 
  * @param {number} pressure 
- * @param {number} distillateMolFrac 
- * @param {number} feedTray 
+ * @param {number} feedMolFrac 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function rectifyingSection(refluxRatio, pressure, distillateMolFrac, feedTray, lightAntConsts, heavyAntConsts) {
-    let vapMolFrac = distillateMolFrac;
-    // first tray do not need to do mass balance
-    let liqMolFrac = liqMolFraction(pressure,distillateMolFrac,lightAntConsts,heavyAntConsts);
-    for (let i = 2; i <= feedTray; i++) {
-        vapMolFrac = rectifyingOperatingLine(refluxRatio,distillateMolFrac,liqMolFrac);
-        liqMolFrac = liqMolFraction(pressure,vapMolFrac,lightAntConsts,heavyAntConsts);
+function dewCompositionAtTemperature(temperature, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    let lo = feedMolFrac;
+    let hi = 1;
+    for (let i = 0; i < MAXITERATIONS && hi - lo > 1e-7; i++) {
+        const mid = (lo + hi) / 2;
+        if (equilibriumTemperatureFromY(pressure, mid, lightAntConsts, heavyAntConsts, activityModel) > temperature) lo = mid;
+        else hi = mid;
     }
-    return liqMolFrac;
+    return (lo + hi) / 2;
 }
 
 /**
- * solves the material balance and VLE equations for the stripping section and returns the liquid molar composition for the feed tray
- * starts at the reboiler and alternatively uses the VLE equation and material balance to find the conditions for the next tray
- * @param {number} boilUpRatio 
+ * calculates the fraction of the feed vaporized in an isothermal flash at the column pressure
+ * @param {number} temperature 
  * @param {number} pressure 
- * @param {number} bottomsMolFrac 
- * @param {number} feedTray 
- * @param {number} totalTrays 
+ * @param {number} feedMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number} 0 at or below the bubble point, 1 at or above the dew point
+ */
+function flashVaporFraction(temperature, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    if (temperature <= equilibriumTemperatureFromX(pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel)) return 0;
+    if (temperature >= equilibriumTemperatureFromY(pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel)) return 1;
+    const x = bubbleCompositionAtTemperature(temperature, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    const y = dewCompositionAtTemperature(temperature, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    return (feedMolFrac - x) / (y - x);
+}
+
+/**
+ * calculates the feed temperature that gives a vapor fraction in an isothermal flash at the column pressure
+ * @param {number} vaporFraction 
+ * @param {number} pressure 
+ * @param {number} feedMolFrac 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function strippingSection(boilUpRatio, pressure, bottomsMolFrac, feedTray, totalTrays, lightAntConsts, heavyAntConsts) {
-    let liqMolFrac = bottomsMolFrac;
-    let vapMolFrac = vapMolFraction(pressure,liqMolFrac,lightAntConsts,heavyAntConsts);
-    for(let i = totalTrays; i >= feedTray; i--) {
-        liqMolFrac = strippingOperatingLine(boilUpRatio,bottomsMolFrac,vapMolFrac);
-        vapMolFrac = vapMolFraction(pressure,liqMolFrac,lightAntConsts,heavyAntConsts);
+function flashTemperature(vaporFraction, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    let lowT = equilibriumTemperatureFromX(pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    let highT = equilibriumTemperatureFromY(pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    if (vaporFraction <= 0) return lowT;
+    if (vaporFraction >= 1) return highT;
+    for (let i = 0; i < MAXITERATIONS && highT - lowT > TOL; i++) {
+        const midT = (lowT + highT) / 2;
+        if (flashVaporFraction(midT, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel) < vaporFraction) lowT = midT;
+        else highT = midT;
     }
-    return liqMolFrac;
+    return (lowT + highT) / 2;
 }
 
 /**
- * determines the reflux ratio required to achieve the specified product outputs given the feed conditions and column set up
- * with the McCabe-Thiele assumptions, the column is fully determined with these givens and the reflux ratio
- * 
- * A guess for the reflux ratio is used to find the feed tray liquid composition based on the stripping section and the rectifying section.
- * The reflux ratio is adjusted until the feed tray composition converges.
+ * calculates the feed thermal condition q from the feed temperature
  * 
- * The solving approach is to use the bisection method bracketed by the minimum reflux ratio and 5 times the min. reflux ratio. This covers
- * most cases.
- * 
- * @param {number} feedRate 
- * @param {number} xFeed 
- * @param {number} xDistillate 
- * @param {number} xBottoms 
+ * subcooled liquid and superheated vapor use the sensible heat relative to the mixture latent heat,
+ * two-phase feeds use the liquid fraction from an isothermal flash
+ * @param {number} temperature 
  * @param {number} pressure 
- * @param {number} feedTray 
- * @param {number} totalTrays 
+ * @param {number} feedMolFrac 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function columnSolver(feedRate,xFeed,xDistillate,xBottoms,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts) {
-    /*
-        Column is fully determined if the reflux rate is found
-        Bracket the operating conditions with the minimum reflux ratio and a reasonable max R.
-        Max R is found by progressively increasing it until the residual error changes sign.
-        Use bisection method to iterate and find the actual reflux ratio
-    */
-    let minR = minimumRefluxRatio(xFeed,xDistillate,pressure,lightAntConsts,heavyAntConsts);
-    minR = Math.max(1e-8, minR);
-    let residualLo = feedTrayDelta(minR,feedRate,xFeed,xDistillate,xBottoms,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts);
-    if (Math.abs(residualLo) < TOL) return minR;
-
-    let maxR = minR;
-    let residualHi = residualLo;
-
-    for (let k = 0; k < MAXITERATIONS; k++) {
-        maxR *= 2;
-        residualHi = feedTrayDelta(maxR,feedRate,xFeed,xDistillate,xBottoms,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts);
-        if (!Number.isFinite(residualHi)) continue;
-        if (Math.abs(residualHi) < TOL) return maxR;
-        if (Math.sign(residualHi) !== Math.sign(residualLo)) break;
+function feedQFromTemperature(temperature, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const latentHeat = feedMolFrac * lightAntConsts.hVap + (1 - feedMolFrac) * heavyAntConsts.hVap;
+    const bubbleT = equilibriumTemperatureFromX(pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    if (temperature < bubbleT) {
+        const cpLiq = feedMolFrac * lightAntConsts.cpLiq + (1 - feedMolFrac) * heavyAntConsts.cpLiq;
+        return 1 + cpLiq * (bubbleT - temperature) / latentHeat;
     }
-
-    if (!Number.isFinite(residualHi) || Math.sign(residualHi) === Math.sign(residualLo)) {
-        return -1;
+    const dewT = equilibriumTemperatureFromY(pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    if (temperature > dewT) {
+        const cpVap = feedMolFrac * lightAntConsts.cpVap + (1 - feedMolFrac) * heavyAntConsts.cpVap;
+        return -cpVap * (temperature - dewT) / latentHeat;
     }
-    let guessR = (minR + maxR) / 2;
-    let error = 0;
+    return 1 - flashVaporFraction(temperature, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+}
 
-    for (let i = 0; i < MAXITERATIONS; i++) {
-        error = feedTrayDelta(guessR,feedRate,xFeed,xDistillate,xBottoms,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts);
-        if (Math.abs(error) < TOL) {
-            console.log(`Number of iterations: ${i}. RR: ${guessR}`);
-            return guessR;
-        }
-        if (error < 0 ) {
-            maxR = guessR;
-            guessR = (maxR + minR) / 2;
-        } else {
-            minR = guessR;
-            guessR = (maxR + minR) / 2;
-        }
-    }
-    console.log("Reached max iterations");
-    return -1; // return -1 to show that it ran out of iterations
+/**
+ * Pressure profile
+ *
+ * the column pressure is either one pressure for every stage or an array of stage pressures, psia,
+ * from the condenser (stage 0) down through the trays to the reboiler (the last stage)
+ * functions that solve across several stages take either, functions for a single stage take a number
+ */
+
+/**
+ * builds the stage pressures of a column from the condenser pressure and the pressure drop across each stage below it
+ * @param {number} condenserPressure psia
+ * @param {number} trayPressureDrop psi per stage
+ * @param {number} totalTrays trays in the column, not counting the reboiler
+ * @returns {array[number]} condenser, tray and reboiler pressures
+ */
+function pressureProfile(condenserPressure, trayPressureDrop, totalTrays) {
+    return Array.from({ length: totalTrays + 2 }, (_, stage) => condenserPressure + stage * trayPressureDrop);
 }
 
-function feedTrayDelta(guessR,feedRate,xFeed,xDistillate,xBottoms,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts) {
-    const [distillateRate, bottomsRate] = productRates(feedRate,xFeed,xDistillate,xBottoms)
-    const xRectifying = rectifyingSection(guessR,pressure,xDistillate,feedTray,lightAntConsts,heavyAntConsts);
-    const boilUp = boilUpRatio(guessR,distillateRate,bottomsRate);
-    const xStripping = strippingSection(boilUp,pressure,xBottoms,feedTray,totalTrays,lightAntConsts,heavyAntConsts);
-    return xRectifying - xStripping;
+/**
+ * picks the pressure of one stage, stages past the reboiler are at the reboiler pressure
+ * @param {number|array[number]} pressure 
+ * @param {number} stage 0 for the condenser, the tray number, negative counts up from the reboiler at -1
+ * @returns {number}
+ */
+function stagePressure(pressure, stage) {
+    if (!Array.isArray(pressure)) return pressure;
+    return pressure.at(Math.min(stage, pressure.length - 1));
 }
 
+/**
+ * Condenser
+ *
+ * a condenser is an object with a type, the fraction of the distillate drawn as vapor and the reflux subcooling (F)
+ *  total    condenses all the overhead vapor, the reflux and distillate are liquid at the distillate composition
+ *  partial  condenses only the reflux, the distillate is vapor and the condenser is an equilibrium stage
+ *  mixed    draws part of the distillate as vapor and the rest as liquid, the condenser is an equilibrium stage
+ */
+const TOTAL_CONDENSER = { type: 'total', vaporFraction: 0, subcooling: 0 };
 
 /**
- * Determines the minimum reflux ratio to achieve product specifications. Used to check if the specified problem is feasible
- * @param {number} feedXp 
- * @param {number} distillateXp 
- * @param {number} pressure 
+ * the fraction of the distillate leaving the condenser as vapor
+ * @param {object} condenser 
+ * @returns {number}
+ */
+function distillateVaporFraction(condenser) {
+    if (condenser.type === 'partial') return 1;
+    if (condenser.type === 'mixed') return condenser.vaporFraction;
+    return 0;
+}
+
+/**
+ * calculates the composition of the liquid leaving the condenser as reflux
+ * 
+ * a partial or mixed condenser is an equilibrium stage, the vapor distillate is in equilibrium with the reflux
+ * and the overall distillate composition is the vapor and liquid draws combined
+ * @param {number} distillateMolFrac 
+ * @param {object} condenser 
+ * @param {number|array[number]} pressure 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
  * @returns {number}
  */
-function minimumRefluxRatio(feedXp, distillateXp, pressure, lightAntConsts, heavyAntConsts){
-    const equilibriumYp = vapMolFraction(pressure,feedXp,lightAntConsts,heavyAntConsts);
-    // solve for x
-    const slope = (distillateXp - equilibriumYp) / (distillateXp - feedXp);
-    return slope / (1 - slope); 
+function condenserRefluxComposition(distillateMolFrac, condenser, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    pressure = stagePressure(pressure, 0);
+    const vaporFraction = distillateVaporFraction(condenser);
+    if (!(vaporFraction > 0)) return distillateMolFrac;
+    if (vaporFraction >= 1) return liqMolFraction(pressure,distillateMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+    const residual = x => vaporFraction * vapMolFraction(pressure,x,lightAntConsts,heavyAntConsts,activityModel) + (1 - vaporFraction) * x - distillateMolFrac;
+    let lo = 0;
+    let hi = distillateMolFrac;
+    for (let i = 0; i < MAXITERATIONS && hi - lo > 1e-7; i++) {
+        const mid = (lo + hi) / 2;
+        if (residual(mid) < 0) lo = mid;
+        else hi = mid;
+    }
+    return (lo + hi) / 2;
 }
 
 /**
- * Determines the minimum number of trays to achieve product specficiations. Used to check it the specified problem is feasible.
- * @param {number} distillateXp 
- * @param {number} bottomsXp 
- * @param {number} pressure 
+ * calculates the internal reflux ratio below the top tray
+ * subcooled reflux condenses vapor on the top tray until it reaches its bubble point
+ * @param {number} refluxRatio external reflux ratio
+ * @param {number} refluxMolFrac 
+ * @param {object} condenser 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
  * @returns {number}
  */
-function minimumTrays(distillateXp, bottomsXp, pressure, lightAntConsts, heavyAntConsts) {
-    const topTemp = equilibriumTemperatureFromX(pressure,distillateXp,lightAntConsts,heavyAntConsts);
-    const alphaTop = vaporPressure(topTemp,lightAntConsts) / vaporPressure(topTemp, heavyAntConsts);
-    const bottomTemp = equilibriumTemperatureFromX(pressure,bottomsXp,lightAntConsts,heavyAntConsts);
-    const alphaBottom = vaporPressure(bottomTemp,lightAntConsts) / vaporPressure(bottomTemp, heavyAntConsts);
-    const averageAlpha = Math.sqrt(alphaTop * alphaBottom);
-    return (Math.log((distillateXp/(1 - distillateXp) * (1-bottomsXp) / bottomsXp)) / Math.log(averageAlpha));
+function internalRefluxRatio(refluxRatio, refluxMolFrac, condenser, lightAntConsts, heavyAntConsts) {
+    if (!(condenser.subcooling > 0)) return refluxRatio;
+    const latentHeat = refluxMolFrac * lightAntConsts.hVap + (1 - refluxMolFrac) * heavyAntConsts.hVap;
+    const cpLiq = refluxMolFrac * lightAntConsts.cpLiq + (1 - refluxMolFrac) * heavyAntConsts.cpLiq;
+    return refluxRatio * (1 + cpLiq * condenser.subcooling / latentHeat);
 }
 
 /**
- * Data utility functions
+ * calculates the condenser duty from the liquid it condenses, the reflux and any liquid distillate, and the subcooling
+ * 
+ * duty is kBTU/hr
+ * @param {number} distillateRate 
+ * @param {number} refluxRatio external reflux ratio
+ * @param {number} refluxMolFrac 
+ * @param {object} condenser 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @returns {number}
+ */
+function condenserDuty(distillateRate, refluxRatio, refluxMolFrac, condenser, lightAntConsts, heavyAntConsts) {
+    const condensedRate = (refluxRatio + 1 - distillateVaporFraction(condenser)) * distillateRate;
+    const latentDuty = calculateDuty(condensedRate, refluxMolFrac, lightAntConsts, heavyAntConsts);
+    if (!(condenser.subcooling > 0)) return latentDuty;
+    const cpLiq = refluxMolFrac * lightAntConsts.cpLiq + (1 - refluxMolFrac) * heavyAntConsts.cpLiq;
+    return latentDuty + condensedRate * cpLiq * condenser.subcooling / 1000;
+}
+
+/**
+ * Enthalpy
+ *
+ * enthalpies are BTU/lb-mol relative to the liquid at ENTHALPY_REFERENCE_TEMPERATURE, mixtures are ideal with no heat of mixing
+ * the liquid uses cpLiq, the vapor is liquid heated to the normal boiling point, vaporized with hVap and heated as an ideal gas
  */
+const ENTHALPY_REFERENCE_TEMPERATURE = 77; // F
+const JOULES_PER_MOL_TO_BTU_PER_LBMOL = 0.429922614;
 
 /**
- * helper function to create objects with tray information
- * @param {number} trayNumber 
+ * the energy balance used to find the liquid and vapor flows from tray to tray
+ *  cmo        constant molal overflow, the flows only change where streams enter or leave the column
+ *  rigorous   each tray balances enthalpy so the flows change with the latent heat and sensible heat down the column
+ */
+const CONSTANT_MOLAL_OVERFLOW = { type: 'cmo' };
+const RIGOROUS_ENERGY_BALANCE = { type: 'rigorous' };
+
+/**
+ * calculates the enthalpy change of a component heated as an ideal gas
+ * @param {object} component 
+ * @param {number} fromTemperature F
+ * @param {number} toTemperature F
+ * @returns {number} BTU/lb-mol
+ */
+function idealGasEnthalpyChange(component, fromTemperature, toTemperature) {
+    if (!component.cpIdealGas) return component.cpVap * (toTemperature - fromTemperature);
+    const [a, b, c, d] = component.cpIdealGas;
+    const integral = t => a * t + b * t ** 2 / 2 + c * t ** 3 / 3 + d * t ** 4 / 4;
+    const toKelvin = t => (t - 32) * 5 / 9 + 273.15;
+    return (integral(toKelvin(toTemperature)) - integral(toKelvin(fromTemperature))) * JOULES_PER_MOL_TO_BTU_PER_LBMOL;
+}
+
+/**
+ * calculates the enthalpy of a liquid mixture
  * @param {number} temperature 
- * @param {number} liqComp 
- * @param {number} vapComp 
- * @param {number} refluxRatio 
- * @param {number} boilUp 
- * @returns {object}
+ * @param {number} liqMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @returns {number} BTU/lb-mol
  */
-function createTrayObject(trayNumber,temperature,liqComp,vapComp,refluxRatio,boilUp) {
-    return {
-        trayNumber,temperature,liqComp,vapComp, refluxRatio, boilUp
-    }
+function liquidEnthalpy(temperature, liqMolFrac, lightAntConsts, heavyAntConsts) {
+    const cpLiq = liqMolFrac * lightAntConsts.cpLiq + (1 - liqMolFrac) * heavyAntConsts.cpLiq;
+    return cpLiq * (temperature - ENTHALPY_REFERENCE_TEMPERATURE);
 }
 
 /**
- * creates an array of the tray objects with correct information
- * @param {number} feedRate 
- * @param {number} xFeed 
- * @param {number} xDistillate 
- * @param {number} xBottoms 
+ * calculates the enthalpy of a vapor mixture
+ * @param {number} temperature 
+ * @param {number} vapMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @returns {number} BTU/lb-mol
+ */
+function vaporEnthalpy(temperature, vapMolFrac, lightAntConsts, heavyAntConsts) {
+    const pureVapor = component => {
+        const boilingPoint = boilingPointTemperature(14.696, component);
+        return component.cpLiq * (boilingPoint - ENTHALPY_REFERENCE_TEMPERATURE) + component.hVap +
+            idealGasEnthalpyChange(component, boilingPoint, temperature);
+    };
+    return vapMolFrac * pureVapor(lightAntConsts) + (1 - vapMolFrac) * pureVapor(heavyAntConsts);
+}
+
+/**
+ * calculates the enthalpy of a liquid at its bubble point
  * @param {number} pressure 
- * @param {number} feedTray 
- * @param {number} totalTrays 
- * @param {number} refluxRatio 
+ * @param {number} liqMolFrac 
  * @param {object} lightAntConsts 
  * @param {object} heavyAntConsts 
- * @returns {array[object]}
+ * @param {object} activityModel 
+ * @returns {number} BTU/lb-mol
  */
-function generateColumnData(feedRate,xFeed,xDistillate,xBottoms,pressure,feedTray,totalTrays,refluxRatio,lightAntConsts,heavyAntConsts){
-    const [distillateRate, bottomsRate] = productRates(feedRate,xFeed,xDistillate,xBottoms);
-    const boilUp = boilUpRatio(refluxRatio,distillateRate,bottomsRate);
-    const trays = new Array(totalTrays + 1);
-    let vapComp = 0;
-    let liqComp = xDistillate;
-    let temp = 0;
-    // solve trays in rectifying section
-    for (let i = 1; i <= feedTray; i++) {
-        vapComp = rectifyingOperatingLine(refluxRatio,xDistillate,liqComp);
-        liqComp = liqMolFraction(pressure,vapComp,lightAntConsts,heavyAntConsts);
-        temp = equilibriumTemperatureFromX(pressure,liqComp,lightAntConsts,heavyAntConsts);
-        trays[i-1] = createTrayObject(i,temp,liqComp,vapComp,refluxRatio,boilUp)
-    }
-    // solve trays in stripping section
-    vapComp = xBottoms;
-    for (let i = totalTrays + 1; i > feedTray; i--) {
-        liqComp = strippingOperatingLine(boilUp,xBottoms,vapComp);
-        vapComp = vapMolFraction(pressure,liqComp,lightAntConsts,heavyAntConsts);
-        temp = equilibriumTemperatureFromX(pressure,liqComp,lightAntConsts,heavyAntConsts);
-        trays[i-1] = createTrayObject(i,temp,liqComp,vapComp,refluxRatio,boilUp);
+function saturatedLiquidEnthalpy(pressure, liqMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const temperature = equilibriumTemperatureFromX(pressure, liqMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    return liquidEnthalpy(temperature, liqMolFrac, lightAntConsts, heavyAntConsts);
+}
+
+/**
+ * calculates the enthalpy of a vapor at its dew point
+ * a tray short of equilibrium leaves its vapor a little off the dew point, the difference is small next to the latent heat
+ * @param {number} pressure 
+ * @param {number} vapMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number} BTU/lb-mol
+ */
+function saturatedVaporEnthalpy(pressure, vapMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const temperature = equilibriumTemperatureFromY(pressure, vapMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    return vaporEnthalpy(temperature, vapMolFrac, lightAntConsts, heavyAntConsts);
+}
+
+/**
+ * calculates the enthalpy of a feed from its thermal condition
+ * q is the heat to vaporize the feed over the latent heat, q = (H_V - h_F) / (H_V - h_L) with the saturated enthalpies at the feed composition
+ * @param {number} feedQ 
+ * @param {number} pressure 
+ * @param {number} feedMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number} BTU/lb-mol
+ */
+function feedEnthalpy(feedQ, pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const saturatedVapor = saturatedVaporEnthalpy(pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    const saturatedLiquid = saturatedLiquidEnthalpy(pressure, feedMolFrac, lightAntConsts, heavyAntConsts, activityModel);
+    return saturatedVapor - feedQ * (saturatedVapor - saturatedLiquid);
+}
+
+/**
+ * calculates the enthalpy of the reflux, at its bubble point less any subcooling
+ * @param {number} refluxMolFrac 
+ * @param {object} condenser 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number} BTU/lb-mol
+ */
+function refluxEnthalpy(refluxMolFrac, condenser, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const temperature = equilibriumTemperatureFromX(stagePressure(pressure, 0), refluxMolFrac, lightAntConsts, heavyAntConsts, activityModel) - (condenser.subcooling || 0);
+    return liquidEnthalpy(temperature, refluxMolFrac, lightAntConsts, heavyAntConsts);
+}
+
+/**
+ * Side draws
+ *
+ * a side draw takes liquid or vapor off a tray as a product, { tray, phase: 'liquid' | 'vapor', rate, composition }
+ * the rate is lb-mol/hr and the composition is the light key mole fraction of the tray liquid or vapor it is drawn from
+ */
+
+/**
+ * totals the side draws taken off a tray for each phase
+ * @param {array[object]} sideDraws 
+ * @param {number} tray 
+ * @returns {object} liquid and vapor rates
+ */
+function sideDrawRates(sideDraws, tray) {
+    const rates = { liquid: 0, vapor: 0 };
+    for (const draw of sideDraws) {
+        if (draw.tray === tray) rates[draw.phase] += draw.rate;
+    }
+    return rates;
+}
+
+/**
+ * totals the light key leaving in the side draws on a range of trays
+ * @param {array[object]} sideDraws 
+ * @param {number} fromTray 
+ * @param {number} toTray 
+ * @returns {number} 
+ */
+function sideDrawLightKey(sideDraws, fromTray = -Infinity, toTray = Infinity) {
+    return sideDraws.filter(d => d.tray >= fromTray && d.tray <= toTray).reduce((sum, d) => sum + d.rate * d.composition, 0);
+}
+
+/**
+ * reads the side draw compositions off a tray profile
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} trays 
+ * @returns {array[object]} copies of the side draws with the tray liquid or vapor composition
+ */
+function sideDrawCompositions(sideDraws, trays) {
+    return sideDraws.map(draw => {
+        const tray = trays[draw.tray - 1];
+        return { ...draw, composition: draw.phase === 'vapor' ? tray.vapComp : tray.liqComp };
+    });
+}
+
+/**
+ * Side feeds
+ *
+ * a side feed enters a tray other than the main feed tray, { tray, rate, composition, q }
+ * like the main feed, q of it joins the liquid flowing down and the rest joins the vapor rising
+ */
+
+/**
+ * totals the side feeds entering a tray
+ * @param {array[object]} sideFeeds 
+ * @param {number} tray 
+ * @returns {object} rates added to the liquid and vapor and the light key they carry
+ */
+function sideFeedRates(sideFeeds, tray) {
+    const rates = { liquid: 0, vapor: 0, lightKey: 0 };
+    for (const feed of sideFeeds) {
+        if (feed.tray !== tray) continue;
+        rates.liquid += feed.q * feed.rate;
+        rates.vapor += (1 - feed.q) * feed.rate;
+        rates.lightKey += feed.rate * feed.composition;
+    }
+    return rates;
+}
+
+/**
+ * totals the light key entering in the side feeds on a range of trays
+ * @param {array[object]} sideFeeds 
+ * @param {number} fromTray 
+ * @param {number} toTray 
+ * @returns {number}
+ */
+function sideFeedLightKey(sideFeeds, fromTray = -Infinity, toTray = Infinity) {
+    return sideFeeds.filter(f => f.tray >= fromTray && f.tray <= toTray).reduce((sum, f) => sum + f.rate * f.composition, 0);
+}
+
+/**
+ * totals the rate of a list of side draws or side feeds
+ * @param {array[object]} streams 
+ * @returns {number}
+ */
+function totalRate(streams) {
+    return streams.reduce((sum, s) => sum + s.rate, 0);
+}
+
+/**
+ * totals the vapor leaving in side draws or entering in side feeds
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @returns {array[number]} vapor drawn and vapor fed
+ */
+function sideVaporRates(sideDraws, sideFeeds) {
+    const vaporDrawn = totalRate(sideDraws.filter(d => d.phase === 'vapor'));
+    const vaporFed = sideFeeds.reduce((sum, f) => sum + (1 - f.q) * f.rate, 0);
+    return [vaporDrawn, vaporFed];
+}
+
+/**
+ * finds the smallest internal reflux ratio that keeps liquid and vapor flowing across every cut between trays
+ *
+ * liquid drawn above the feeds has to come out of the reflux and a vapor feed needs enough reflux
+ * to keep the vapor rising from the trays below it positive
+ * @param {number} distillateRate 
+ * @param {number} feedRate 
+ * @param {number} feedQ 
+ * @param {number} feedTray 
+ * @param {number} totalTrays 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @returns {number}
+ */
+function minimumRefluxForFlows(distillateRate, feedRate, feedQ, feedTray, totalTrays, sideDraws = [], sideFeeds = []) {
+    // flows across each cut per unit of internal reflux are L = R D + liquid and V = (R + 1) D + vapor
+    let liquid = 0;
+    let vapor = 0;
+    let minR = -Infinity;
+    for (let n = 1; n < totalTrays; n++) {
+        const draw = sideDrawRates(sideDraws, n);
+        const feed = sideFeedRates(sideFeeds, n);
+        const mainFeed = n === feedTray ? feedRate : 0;
+        liquid += feed.liquid + feedQ * mainFeed - draw.liquid;
+        vapor += draw.vapor - feed.vapor - (1 - feedQ) * mainFeed;
+        minR = Math.max(minR, -liquid / distillateRate, -vapor / distillateRate - 1);
+    }
+    return minR;
+}
+
+/**
+ * finds the next guess for a value solved by successive substitution, x = g(x), with Wegstein's method
+ * the slope of g through the last two guesses extrapolates toward the fixed point, which settles values
+ * that plain substitution would oscillate between
+ * @param {number} guess 
+ * @param {number} result g(guess)
+ * @param {number} previousGuess 
+ * @param {number} previousResult 
+ * @returns {number} 
+ */
+function wegsteinUpdate(guess, result, previousGuess, previousResult) {
+    const slope = (result - previousResult) / (guess - previousGuess);
+    if (!Number.isFinite(slope)) return result;
+    // q below 0 accelerates a slow approach and q above 0 damps an oscillation,
+    // bound it so a poor slope estimate cannot throw the guess far off
+    const q = Math.min(0.9, Math.max(-5, slope / (slope - 1)));
+    return q * guess + (1 - q) * result;
+}
+
+/**
+ * Distillation Material Balance Equations
+ */
+
+
+/**
+ * calculates distillate and bottoms product rates given feed rate/composition and product specs
+ * the side draws leave with their own rate and composition and the distillate and bottoms split the rest
+ * of the main feed and any side feeds
+ * @param {number} feedRate 
+ * @param {number} feedXp 
+ * @param {number} distillateXp 
+ * @param {number} bottomsXp 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @returns {number}
+ */
+function productRates(feedRate, feedXp, distillateXp, bottomsXp, sideDraws = [], sideFeeds = []) {
+    const totalFeed = feedRate + totalRate(sideFeeds);
+    const feedLightKey = feedRate * feedXp + sideFeedLightKey(sideFeeds);
+    const drawRate = totalRate(sideDraws);
+    const drawLightKey = sideDrawLightKey(sideDraws);
+    const distillateRate = (feedLightKey - totalFeed * bottomsXp - (drawLightKey - drawRate * bottomsXp)) / (distillateXp - bottomsXp);
+    const bottomsRate = totalFeed - drawRate - distillateRate;
+    return [distillateRate, bottomsRate];
+}
+
+/**
+ * calculates the boil up ratio
+ * the vapor leaving the stripping section is the rectifying vapor less the vapor part of the feeds, plus any vapor drawn on the way up
+ * @param {number} refluxRatio 
+ * @param {number} distillateRate 
+ * @param {number} bottomsRate 
+ * @param {number} feedQ 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @returns {number}
+ */
+function boilUpRatio(refluxRatio, distillateRate, bottomsRate, feedQ = 1, sideDraws = [], sideFeeds = []) {
+    const [vaporDrawRate, vaporFeedRate] = sideVaporRates(sideDraws, sideFeeds);
+    const feedRate = distillateRate + bottomsRate + totalRate(sideDraws) - totalRate(sideFeeds);
+    return ((refluxRatio + 1) * distillateRate - (1 - feedQ) * feedRate - vaporFeedRate + vaporDrawRate) / bottomsRate;
+}
+
+/**
+ * Energy Balance Equations
+ *
+ * the rigorous energy balance follows the net flows of material, light key and enthalpy through each cut between trays,
+ * they only change where a stream enters or leaves so the liquid and vapor crossing a cut can be solved from them
+ */
+
+/**
+ * totals the enthalpy leaving in side draws less the enthalpy entering in side feeds on a range of trays
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number} fromTray 
+ * @param {number} toTray 
+ * @returns {number} BTU/hr
+ */
+function sideStreamEnthalpy(sideDraws, sideFeeds, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT, fromTray = -Infinity, toTray = Infinity) {
+    const onTrays = s => s.tray >= fromTray && s.tray <= toTray;
+    const drawn = sideDraws.filter(onTrays).reduce((sum, d) => sum + d.rate * (d.phase === 'vapor' ?
+        saturatedVaporEnthalpy(stagePressure(pressure, d.tray), d.composition, lightAntConsts, heavyAntConsts, activityModel) :
+        saturatedLiquidEnthalpy(stagePressure(pressure, d.tray), d.composition, lightAntConsts, heavyAntConsts, activityModel)), 0);
+    const fed = sideFeeds.filter(onTrays).reduce((sum, f) => sum + f.rate * feedEnthalpy(f.q, stagePressure(pressure, f.tray), f.composition, lightAntConsts, heavyAntConsts, activityModel), 0);
+    return drawn - fed;
+}
+
+/**
+ * calculates the net enthalpy rising through the cut below the condenser, the condenser duty and the enthalpy of the distillate
+ * @param {number} refluxRatio external reflux ratio
+ * @param {number} distillateRate 
+ * @param {number} distillateXp 
+ * @param {object} condenser 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number} BTU/hr
+ */
+function topEnthalpyRate(refluxRatio, distillateRate, distillateXp, condenser, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const refluxXp = condenserRefluxComposition(distillateXp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel);
+    const topVaporXp = (refluxRatio * refluxXp + distillateXp) / (refluxRatio + 1);
+    return distillateRate * ((refluxRatio + 1) * saturatedVaporEnthalpy(stagePressure(pressure, 1),topVaporXp,lightAntConsts,heavyAntConsts,activityModel) -
+        refluxRatio * refluxEnthalpy(refluxXp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel));
+}
+
+/**
+ * solves the liquid and vapor crossing a cut from the vapor composition below it
+ *
+ * the net flows falling through the cut are L - V, L x - V y and L h - V H
+ * @param {number} vapMolFrac vapor rising through the cut
+ * @param {number} netRate 
+ * @param {number} netLightKey 
+ * @param {number} netEnthalpy 
+ * @param {number} vapRate starting guess
+ * @param {number} liqPressure pressure of the tray above the cut
+ * @param {number} vapPressure pressure of the tray below the cut
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {object} liquid and vapor rates, NaN when no positive flows balance
+ */
+function strippingCutFlows(vapMolFrac, netRate, netLightKey, netEnthalpy, vapRate, liqPressure, vapPressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const vapEnthalpy = saturatedVaporEnthalpy(vapPressure,vapMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+    for (let k = 0; k < MAXITERATIONS; k++) {
+        const liqMolFrac = (vapRate * vapMolFrac + netLightKey) / (vapRate + netRate);
+        if (!(liqMolFrac >= 0 && liqMolFrac <= 1)) break;
+        const liqEnthalpy = saturatedLiquidEnthalpy(liqPressure,liqMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+        const next = (netRate * liqEnthalpy - netEnthalpy) / (vapEnthalpy - liqEnthalpy);
+        if (!(next > 0 && next + netRate > 0)) break;
+        const change = Math.abs(next - vapRate);
+        vapRate = next;
+        if (change < TOL * vapRate) return { liqRate: vapRate + netRate, vapRate };
+    }
+    return { liqRate: NaN, vapRate: NaN };
+}
+
+/**
+ * finds the boil up ratio a reboiler duty gives with the rigorous energy balance
+ * the reboiler vapor and the liquid leaving the bottom tray balance the duty less the heat leaving with the bottoms
+ * @param {number} reboilerDuty kBTU/hr
+ * @param {number} bottomsRate 
+ * @param {number} bottomsXp 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number}
+ */
+function reboilerBoilUp(reboilerDuty, bottomsRate, bottomsXp, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const reboilerPressure = stagePressure(pressure, -1);
+    const boilUpXp = vapMolFraction(reboilerPressure,bottomsXp,lightAntConsts,heavyAntConsts,activityModel);
+    const bottomsEnthalpy = saturatedLiquidEnthalpy(reboilerPressure,bottomsXp,lightAntConsts,heavyAntConsts,activityModel);
+    const netEnthalpy = bottomsRate * bottomsEnthalpy - reboilerDuty * 1000;
+    const guess = reboilerDuty / calculateDuty(1,bottomsXp,lightAntConsts,heavyAntConsts);
+    const { vapRate } = strippingCutFlows(boilUpXp,bottomsRate,bottomsRate * bottomsXp,netEnthalpy,guess,stagePressure(pressure, -2),reboilerPressure,lightAntConsts,heavyAntConsts,activityModel);
+    return vapRate / bottomsRate;
+}
+
+/**
+ * calculates the reboiler duty from an energy balance around the whole column
+ *
+ * duty is kBTU/hr
+ * @param {number} refluxRatio external reflux ratio
+ * @param {number} distillateRate 
+ * @param {number} bottomsRate 
+ * @param {number} distillateXp 
+ * @param {number} bottomsXp 
+ * @param {number} feedXp 
+ * @param {number} feedQ 
+ * @param {number} feedTray 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {object} condenser 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @returns {number}
+ */
+function energyReboilerDuty(refluxRatio, distillateRate, bottomsRate, distillateXp, bottomsXp, feedXp, feedQ, feedTray, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT, condenser = TOTAL_CONDENSER, sideDraws = [], sideFeeds = []) {
+    const feedRate = distillateRate + bottomsRate + totalRate(sideDraws) - totalRate(sideFeeds);
+    const duty = topEnthalpyRate(refluxRatio,distillateRate,distillateXp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel) +
+        bottomsRate * saturatedLiquidEnthalpy(stagePressure(pressure, -1),bottomsXp,lightAntConsts,heavyAntConsts,activityModel) +
+        sideStreamEnthalpy(sideDraws,sideFeeds,pressure,lightAntConsts,heavyAntConsts,activityModel) -
+        feedRate * feedEnthalpy(feedQ,stagePressure(pressure, feedTray),feedXp,lightAntConsts,heavyAntConsts,activityModel);
+    return duty / 1000;
+}
+
+/**
+ * calculates the boil up ratio with the rigorous energy balance, the reboiler supplies the heat the overall balance needs
+ * @param {number} refluxRatio external reflux ratio
+ * @param {number} distillateRate 
+ * @param {number} bottomsRate 
+ * @param {number} distillateXp 
+ * @param {number} bottomsXp 
+ * @param {number} feedXp 
+ * @param {number} feedQ 
+ * @param {number} feedTray 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {object} condenser 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @returns {number}
+ */
+function energyBoilUpRatio(refluxRatio, distillateRate, bottomsRate, distillateXp, bottomsXp, feedXp, feedQ, feedTray, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT, condenser = TOTAL_CONDENSER, sideDraws = [], sideFeeds = []) {
+    const duty = energyReboilerDuty(refluxRatio,distillateRate,bottomsRate,distillateXp,bottomsXp,feedXp,feedQ,feedTray,pressure,lightAntConsts,heavyAntConsts,activityModel,condenser,sideDraws,sideFeeds);
+    return reboilerBoilUp(duty,bottomsRate,bottomsXp,pressure,lightAntConsts,heavyAntConsts,activityModel);
+}
+
+/**
+ * calculates the condenser duty from the enthalpy of the vapor it takes in and the reflux and distillate it returns
+ *
+ * duty is kBTU/hr
+ * @param {number} distillateRate 
+ * @param {number} refluxRatio external reflux ratio
+ * @param {number} distillateXp 
+ * @param {object} condenser 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number}
+ */
+function energyCondenserDuty(distillateRate, refluxRatio, distillateXp, condenser, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const refluxXp = condenserRefluxComposition(distillateXp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel);
+    // a vapor distillate leaves in equilibrium with the reflux and a liquid distillate leaves with it
+    const vaporFraction = distillateVaporFraction(condenser);
+    const vaporXp = vapMolFraction(stagePressure(pressure, 0),refluxXp,lightAntConsts,heavyAntConsts,activityModel);
+    const distillateEnthalpy = vaporFraction * saturatedVaporEnthalpy(stagePressure(pressure, 0),vaporXp,lightAntConsts,heavyAntConsts,activityModel) +
+        (1 - vaporFraction) * refluxEnthalpy(refluxXp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel);
+    const topEnthalpy = topEnthalpyRate(refluxRatio,distillateRate,distillateXp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel);
+    return (topEnthalpy - distillateRate * distillateEnthalpy) / 1000;
+}
+
+/**
+ * distillate rate that closes the overall energy balance for a set reflux ratio and reboiler duty
+ * 
+ * the distillate and bottoms share the combined products so the balance is linear in the distillate rate
+ * @param {number} refluxRatio 
+ * @param {number} reboilerDuty kBTU/hr
+ * @param {number} feedRate 
+ * @param {number} feedXp 
+ * @param {number} feedQ 
+ * @param {number} feedTray 
+ * @param {number} distillateXp 
+ * @param {number} bottomsXp 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {object} condenser 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @returns {number}
+ */
+function energyDistillateRate(refluxRatio, reboilerDuty, feedRate, feedXp, feedQ, feedTray, distillateXp, bottomsXp, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT, condenser = TOTAL_CONDENSER, sideDraws = [], sideFeeds = []) {
+    const productsRate = feedRate + totalRate(sideFeeds) - totalRate(sideDraws);
+    const bottomsEnthalpy = saturatedLiquidEnthalpy(stagePressure(pressure, -1),bottomsXp,lightAntConsts,heavyAntConsts,activityModel);
+    const supplied = 1000 * reboilerDuty + feedRate * feedEnthalpy(feedQ,stagePressure(pressure, feedTray),feedXp,lightAntConsts,heavyAntConsts,activityModel) -
+        sideStreamEnthalpy(sideDraws,sideFeeds,pressure,lightAntConsts,heavyAntConsts,activityModel) - productsRate * bottomsEnthalpy;
+    return supplied / (topEnthalpyRate(refluxRatio,1,distillateXp,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel) - bottomsEnthalpy);
+}
+
+/**
+ * calculates the McCabe-Thiele operating line for the recetifying section
+ * @param {*} refluxRatio 
+ * @param {*} distillateMolFrac 
+ * @param {*} liquidMolFrac 
+ * @returns {number}
+ */
+function rectifyingOperatingLine(refluxRatio, distillateMolFrac, liquidMolFrac) {
+    return refluxRatio / (refluxRatio + 1) * liquidMolFrac + distillateMolFrac / (refluxRatio + 1);
+}
+
+/**
+ * calculates the McCabe-Thiele operating line for the stripping section
+ * @param {number} boilUpRatio 
+ * @param {number} bottomsMolFrac 
+ * @param {number} vaporMolFraction
+ * @returns {number}
+ */
+function strippingOperatingLine(boilUpRatio, bottomsMolFrac, vaporMolFraction) {
+    return (vaporMolFraction + bottomsMolFrac / boilUpRatio) * boilUpRatio / (boilUpRatio + 1);
+}
+
+/**
+ * Murphree vapor efficiency for each section of the column, as a fraction
+ * E = (y_n - y_(n+1)) / (y*_n - y_(n+1)) only moves the vapor part of the way to equilibrium with the liquid,
+ * an efficiency of 1 makes every tray an equilibrium stage
+ */
+const IDEAL_EFFICIENCY = { rectifying: 1, stripping: 1 };
+
+/**
+ * MESH solver
+ *
+ * the material balance, equilibrium, summation and heat balance equations of every stage are solved together,
+ * stage 0 is the condenser, stages 1 to totalTrays - 1 are the trays and stage totalTrays is the reboiler
+ *
+ * each pass is a Newton step on the light key balances: the equilibrium curve is linearized about the last profile
+ * at every stage, which leaves a tridiagonal system in the liquid compositions that is solved down the whole column
+ * at once, the heavy key follows from the summation equations
+ */
+
+/**
+ * solves a tridiagonal system with the Thomas algorithm
+ * row j reads lower[j] v[j - 1] + diagonal[j] v[j] + upper[j] v[j + 1] = rhs[j]
+ * @param {array[number]} lower 
+ * @param {array[number]} diagonal 
+ * @param {array[number]} upper 
+ * @param {array[number]} rhs 
+ * @returns {array[number]}
+ */
+function thomasSolve(lower, diagonal, upper, rhs) {
+    const n = diagonal.length;
+    const c = new Array(n);
+    const d = new Array(n);
+    c[0] = upper[0] / diagonal[0];
+    d[0] = rhs[0] / diagonal[0];
+    for (let j = 1; j < n; j++) {
+        const pivot = diagonal[j] - lower[j] * c[j - 1];
+        c[j] = upper[j] / pivot;
+        d[j] = (rhs[j] - lower[j] * d[j - 1]) / pivot;
+    }
+    const v = new Array(n);
+    v[n - 1] = d[n - 1];
+    for (let j = n - 2; j >= 0; j--) {
+        v[j] = d[j] - c[j] * v[j + 1];
+    }
+    return v;
+}
+
+/**
+ * calculates the bubble point of a stage liquid and the vapor in equilibrium with it
+ * the bisection leaves the bubble point within TOL of the pressure so a few Newton steps polish it, and the vapor is
+ * normalized from the K values at that temperature, which keeps it smooth enough in the liquid composition to differentiate
+ * @param {number} pressure 
+ * @param {number} liqMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {array[number]} temperature and vapor mole fraction
+ */
+function stageEquilibrium(pressure, liqMolFrac, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const residual = t => binaryequilibriumEquationFromX(t,pressure,liqMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+    let temperature = equilibriumTemperatureFromX(pressure,liqMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+    for (let i = 0; i < 3 && Number.isFinite(temperature); i++) {
+        const result = residual(temperature);
+        const slope = (residual(temperature + 0.01) - result) / 0.01;
+        if (!(slope < 0)) break;
+        temperature -= result / slope;
+    }
+    const [gamma1, gamma2] = activityCoefficients(liqMolFrac, temperature, activityModel);
+    const light = liqMolFrac * gamma1 * vaporPressure(temperature, lightAntConsts);
+    const heavy = (1 - liqMolFrac) * gamma2 * vaporPressure(temperature, heavyAntConsts);
+    return [temperature, light / (light + heavy)];
+}
+
+/**
+ * solves every stage of the column for a set reflux ratio and distillate rate
+ *
+ * with constant molal overflow the flows only change where a stream enters or leaves, with the rigorous energy balance
+ * the liquid crossing each cut is solved from the net enthalpy rising through it using the compositions of the last pass,
+ * the Murphree efficiency takes the vapor entering each tray from the last pass as well
+ *
+ * a profile from an earlier solve at nearby conditions is a much better start than the default, a straight line from the
+ * top to the bottom of the column
+ * @param {number} refluxRatio external reflux ratio
+ * @param {number} distillateRate 
+ * @param {number} feedRate 
+ * @param {number} xFeed 
+ * @param {number|array[number]} pressure 
+ * @param {number} feedTray 
+ * @param {number} totalTrays 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number} feedQ 
+ * @param {object} efficiency Murphree vapor efficiency of each section, the feed tray is in the rectifying section
+ * @param {object} condenser 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @param {object} energyBalance 
+ * @param {object|null} start stage profile to start from
+ * @returns {object} stage temperatures, liquid and vapor compositions and rates, the product compositions,
+ * the number of passes and whether they converged, with a reason when they did not
+ */
+function meshColumn(refluxRatio,distillateRate,feedRate,xFeed,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts,activityModel = RAOULT,feedQ = 1,efficiency = IDEAL_EFFICIENCY,condenser = TOTAL_CONDENSER,sideDraws = [],sideFeeds = [],energyBalance = CONSTANT_MOLAL_OVERFLOW,start = null) {
+    const stages = totalTrays + 1;
+    const bottomsRate = feedRate + totalRate(sideFeeds) - totalRate(sideDraws) - distillateRate;
+    const failure = (reason, iterations) => ({ converged: false, reason, iterations });
+    if (!(distillateRate > 0 && bottomsRate > 0)) return failure('product-rates', 0);
+    const rigorous = energyBalance.type === 'rigorous';
+    const vaporFraction = distillateVaporFraction(condenser);
+    const pressures = Array.from({ length: stages }, (_, j) => stagePressure(pressure, j));
+    // streams entering and leaving each stage, they do not change from pass to pass
+    const feeds = [{ tray: feedTray, rate: feedRate, composition: xFeed, q: feedQ }, ...sideFeeds];
+    const fed = pressures.map((p, j) => {
+        const onStage = feeds.filter(f => f.tray === j);
+        return {
+            ...sideFeedRates(onStage, j),
+            enthalpy: rigorous ? onStage.reduce((sum, f) => sum + f.rate * feedEnthalpy(f.q,p,f.composition,lightAntConsts,heavyAntConsts,activityModel), 0) : 0
+        };
+    });
+    const drawn = pressures.map((p, j) => sideDrawRates(sideDraws, j));
+    const stageEfficiency = pressures.map((p, j) => j === 0 || j === totalTrays ? 1 : j <= feedTray ? efficiency.rectifying : efficiency.stripping);
+
+    let liqComp = start ? [...start.liqComp] : pressures.map((p, j) => (1 + xFeed) / 2 - j / totalTrays * 0.5);
+    let vapComp = start ? [...start.vapComp] : [...liqComp];
+    const temperature = new Array(stages);
+    const vapEquilibrium = new Array(stages);
+    const liqRate = new Array(stages);
+    const vapRate = new Array(stages);
+    for (let k = 1; k <= MAXITERATIONS; k++) {
+        // the equilibrium curve through each stage liquid, y* = slope x + intercept
+        const slope = new Array(stages);
+        const intercept = new Array(stages);
+        for (let j = 0; j < stages; j++) {
+            [temperature[j], vapEquilibrium[j]] = stageEquilibrium(pressures[j],liqComp[j],lightAntConsts,heavyAntConsts,activityModel);
+            if (!Number.isFinite(vapEquilibrium[j])) return failure('bubble-point', k);
+            const step = liqComp[j] > 0.5 ? -1e-6 : 1e-6;
+            const [, nearby] = stageEquilibrium(pressures[j],liqComp[j] + step,lightAntConsts,heavyAntConsts,activityModel);
+            slope[j] = (nearby - vapEquilibrium[j]) / step;
+            intercept[j] = vapEquilibrium[j] - slope[j] * liqComp[j];
+        }
+
+        // flows leaving each stage, liquid down to the stage below and vapor up to the stage above, after any side draws
+        vapRate[0] = vaporFraction * distillateRate;
+        liqRate[totalTrays] = bottomsRate;
+        if (rigorous) {
+            // both phases leave at the stage temperature, the reflux leaves the condenser less any subcooling
+            const liqEnthalpy = j => liquidEnthalpy(temperature[j],liqComp[j],lightAntConsts,heavyAntConsts);
+            const vapEnthalpy = j => vaporEnthalpy(temperature[j],vapComp[j],lightAntConsts,heavyAntConsts);
+            liqRate[0] = refluxRatio * distillateRate;
+            vapRate[1] = liqRate[0] + distillateRate;
+            let netRate = distillateRate;
+            let netEnthalpy = vapRate[1] * vapEnthalpy(1) -
+                liqRate[0] * liquidEnthalpy(temperature[0] - (condenser.subcooling || 0),liqComp[0],lightAntConsts,heavyAntConsts);
+            for (let j = 1; j < totalTrays; j++) {
+                netRate += drawn[j].liquid + drawn[j].vapor - fed[j].liquid - fed[j].vapor;
+                netEnthalpy += drawn[j].liquid * liqEnthalpy(j) + drawn[j].vapor * vapEnthalpy(j) - fed[j].enthalpy;
+                liqRate[j] = (netEnthalpy - netRate * vapEnthalpy(j + 1)) / (vapEnthalpy(j + 1) - liqEnthalpy(j));
+                vapRate[j + 1] = liqRate[j] + netRate;
+            }
+        } else {
+            // a subcooled reflux condenses vapor on the top tray
+            liqRate[0] = internalRefluxRatio(refluxRatio,liqComp[0],condenser,lightAntConsts,heavyAntConsts) * distillateRate;
+            vapRate[1] = liqRate[0] + distillateRate;
+            for (let j = 1; j < totalTrays; j++) {
+                liqRate[j] = liqRate[j - 1] + fed[j].liquid - drawn[j].liquid;
+                vapRate[j + 1] = vapRate[j] + drawn[j].vapor - fed[j].vapor;
+            }
+        }
+        if (!liqRate.every(rate => rate > 0) || !vapRate.slice(1).every(rate => rate > 0)) return failure('flows', k);
+
+        // the condenser sends the liquid distillate on with the reflux and the vapor distillate out the top
+        const liqOut = liqRate.map((rate, j) => j === 0 ? rate + (1 - vaporFraction) * distillateRate : rate + drawn[j].liquid);
+        const vapOut = vapRate.map((rate, j) => j === 0 ? rate : rate + drawn[j].vapor);
+        // the vapor leaving a stage is a x + b, E of the way from the vapor entering from below to equilibrium
+        const a = slope.map((s, j) => stageEfficiency[j] * s);
+        const b = intercept.map((c, j) => stageEfficiency[j] * c + (j < totalTrays ? (1 - stageEfficiency[j]) * vapComp[j + 1] : 0));
+        const lower = liqRate.map((rate, j) => j > 0 ? liqRate[j - 1] : 0);
+        const diagonal = a.map((aj, j) => -(liqOut[j] + vapOut[j] * aj));
+        const upper = a.map((aj, j) => j < totalTrays ? vapRate[j + 1] * a[j + 1] : 0);
+        const rhs = fed.map((stream, j) => vapOut[j] * b[j] - stream.lightKey - (j < totalTrays ? vapRate[j + 1] * b[j + 1] : 0));
+        const nextLiq = thomasSolve(lower, diagonal, upper, rhs).map(x => Math.min(1, Math.max(0, x)));
+        const nextVap = nextLiq.map((x, j) => Math.min(1, Math.max(0, a[j] * x + b[j])));
+        if (!nextLiq.every(Number.isFinite)) return failure('compositions', k);
+        const change = Math.max(...nextLiq.map((x, j) => Math.abs(x - liqComp[j])), ...nextVap.map((y, j) => Math.abs(y - vapComp[j])));
+        liqComp = nextLiq;
+        vapComp = nextVap;
+        if (change < 1e-9) {
+            return {
+                converged: true,
+                reason: null,
+                iterations: k,
+                temperature,
+                pressure: pressures,
+                liqComp,
+                vapComp,
+                vapEquilibrium,
+                liqRate: [...liqRate],
+                vapRate: [...vapRate],
+                xDistillate: vaporFraction * vapComp[0] + (1 - vaporFraction) * liqComp[0],
+                xBottoms: liqComp[totalTrays]
+            };
+        }
+    }
+    return failure('stage-iterations', MAXITERATIONS);
+}
+
+/**
+ * determines the reflux ratio required to achieve the specified product outputs given the feed conditions and column set up
+ * the product specs fix the distillate rate, so the column is fully determined with these givens and the reflux ratio
+ * 
+ * Each guess for the reflux ratio solves every stage together with meshColumn and the guess is corrected by Newton's method
+ * until the distillate composition meets its spec, the slope comes from a second solve started from the first profile.
+ * The guesses are kept above the minimum reflux ratio and inside the bracket found so far, a step that leaves it bisects instead.
+ * 
+ * @param {number} feedRate 
+ * @param {number} xFeed 
+ * @param {number} xDistillate 
+ * @param {number} xBottoms 
+ * @param {number|array[number]} pressure 
+ * @param {number} feedTray 
+ * @param {number} totalTrays 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number} feedQ 
+ * @param {object} efficiency Murphree vapor efficiency of each section
+ * @param {object} condenser 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @param {object} energyBalance 
+ * @returns {object} status, the external reflux ratio, stage profile and side draws at their tray compositions,
+ * the number of Newton iterations with the reflux ratio and residual of each one, the final residual, the reflux bracket,
+ * the minimum reflux ratio and the minimum trays at total reflux.
+ * status is 'converged' or why the search stopped:
+ * 'product-rates' the side draws leave no distillate or bottoms, 'spec-unreachable' no reflux ratio reaches the distillate spec,
+ * 'minimum-reflux' the spec is met even at the minimum reflux ratio, 'max-iterations' the search ran out of iterations,
+ * 'side-draws', 'bubble-point', 'compositions' or 'stage-iterations' a stage profile could not be solved.
+ * The profile is the last one solved, so it is there for most failures as well
+ */
+function columnSolver(feedRate,xFeed,xDistillate,xBottoms,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts,activityModel = RAOULT,feedQ = 1,efficiency = IDEAL_EFFICIENCY,condenser = TOTAL_CONDENSER,sideDraws = [],sideFeeds = [],energyBalance = CONSTANT_MOLAL_OVERFLOW) {
+    const history = [];
+    let draws = sideDraws;
+    let minR = NaN;
+    // the distillate gets richer with more reflux, below the bracket it is too lean and above it too rich
+    let lo = NaN;
+    let hi = Infinity;
+    let profile = null;
+    // Fenske at total reflux, the reboiler is one of the stages
+    const minTrays = minimumTrays(xDistillate,xBottoms,stagePressure(pressure,feedTray),lightAntConsts,heavyAntConsts,activityModel) - 1;
+    const result = (status, refluxRatio = NaN) => ({
+        status,
+        converged: status === 'converged',
+        refluxRatio,
+        profile,
+        sideDraws: draws,
+        iterations: history.length,
+        residual: history.length ? history[history.length - 1].residual : NaN,
+        history,
+        bracket: [lo, hi],
+        minimumRefluxRatio: minR,
+        minimumTrays: minTrays
+    });
+    const [distillateRate, bottomsRate] = productRates(feedRate,xFeed,xDistillate,xBottoms,sideDraws,sideFeeds);
+    // side draws can take more light or heavy key than the product specs leave for them
+    if (!(distillateRate > 0 && bottomsRate > 0)) return result('product-rates');
+    minR = minimumRefluxRatio(xFeed,xDistillate,stagePressure(pressure,feedTray),lightAntConsts,heavyAntConsts,activityModel,feedQ);
+    // vapor feeds and side draws need enough reflux to keep every liquid and vapor flow positive
+    const minRForFlows = minimumRefluxForFlows(distillateRate,feedRate,feedQ,feedTray,totalTrays,sideDraws,sideFeeds);
+    minR = Math.max(1e-8, minR, minRForFlows * (1 + 1e-6) + 1e-8);
+    // the limits are on the internal reflux, subcooled reflux reaches them with less external reflux
+    const xReflux = condenserRefluxComposition(xDistillate,condenser,pressure,lightAntConsts,heavyAntConsts,activityModel);
+    minR /= internalRefluxRatio(1,xReflux,condenser,lightAntConsts,heavyAntConsts);
+
+    // side draws leave at the composition of their tray, which moves the distillate rate the specs give,
+    // so each reflux ratio settles the distillate rate and the draw compositions along with the stages
+    let settledRate = distillateRate;
+    const solve = (refluxRatio, start) => {
+        let rate = settledRate;
+        for (let k = 0; k < MAXITERATIONS; k++) {
+            const column = meshColumn(refluxRatio,rate,feedRate,xFeed,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts,activityModel,feedQ,efficiency,condenser,sideDraws,sideFeeds,energyBalance,start);
+            if (!column.converged || sideDraws.length === 0) return column;
+            const drawn = sideDraws.map(draw => ({ ...draw, composition: draw.phase === 'vapor' ? column.vapComp[draw.tray] : column.liqComp[draw.tray] }));
+            const [nextRate, nextBottoms] = productRates(feedRate,xFeed,xDistillate,xBottoms,drawn,sideFeeds);
+            if (!(nextRate > 0 && nextBottoms > 0)) return { converged: false, reason: 'product-rates', iterations: column.iterations };
+            if (Math.abs(nextRate - rate) < 1e-9 * rate) {
+                draws = drawn;
+                settledRate = rate;
+                return column;
+            }
+            rate = nextRate;
+            start = column;
+        }
+        return { converged: false, reason: 'side-draws', iterations: MAXITERATIONS };
+    };
+    lo = minR;
+    let refluxRatio = 1.5 * minR;
+    for (let k = 0; k < MAXITERATIONS; k++) {
+        const column = solve(refluxRatio, profile);
+        // the energy balance can run out of liquid or vapor below the CMO limits, that is too little reflux as well
+        if (!column.converged && column.reason !== 'flows') return result(column.reason);
+        const residual = column.converged ? column.xDistillate - xDistillate : NaN;
+        history.push({ refluxRatio, residual, stageIterations: column.iterations });
+        if (column.converged) profile = column;
+        if (Math.abs(residual) < TOL * 1e-3) return result('converged', refluxRatio);
+        if (!(residual > 0)) lo = refluxRatio;
+        else hi = refluxRatio;
+        // past a reflux ratio this high only more trays will reach the spec
+        if (lo > 1e4 * Math.max(1, minR)) return result('spec-unreachable');
+
+        let next = NaN;
+        if (column.converged) {
+            const step = 1e-4 * refluxRatio;
+            const nearby = solve(refluxRatio + step, column);
+            const slope = nearby.converged ? (nearby.xDistillate - column.xDistillate) / step : NaN;
+            next = refluxRatio - residual / slope;
+        }
+        // a spec met even at the minimum reflux leaves nothing to bracket
+        if (hi - lo < 1e-9 * hi) return result('minimum-reflux');
+        if (!(next > lo && next < hi)) next = Number.isFinite(hi) ? (lo + hi) / 2 : 2 * refluxRatio;
+        refluxRatio = next;
+    }
+    return result('max-iterations');
+}
+
+/**
+ * solves the column at the product specs with the main feed on each tray in turn, for choosing the feed tray
+ * the reboiler duty comes from the boil up and the bottoms latent heat, or from the energy balance around the column
+ * duty is kBTU/hr
+ * @param {number} feedRate 
+ * @param {number} xFeed 
+ * @param {number} xDistillate 
+ * @param {number} xBottoms 
+ * @param {number|array[number]} pressure 
+ * @param {number} totalTrays 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number|array[number]} feedQ q of the main feed, or its q on each tray when it is flashed at the tray pressure
+ * @param {object} efficiency Murphree vapor efficiency of each section
+ * @param {object} condenser 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @param {object} energyBalance 
+ * @returns {array[object]} the feed tray, solver status, external reflux ratio and reboiler duty of each tray above the reboiler
+ */
+function feedTraySearch(feedRate,xFeed,xDistillate,xBottoms,pressure,totalTrays,lightAntConsts,heavyAntConsts,activityModel = RAOULT,feedQ = 1,efficiency = IDEAL_EFFICIENCY,condenser = TOTAL_CONDENSER,sideDraws = [],sideFeeds = [],energyBalance = CONSTANT_MOLAL_OVERFLOW) {
+    const trials = [];
+    for (let feedTray = 1; feedTray < totalTrays; feedTray++) {
+        const q = Array.isArray(feedQ) ? feedQ[feedTray] : feedQ;
+        const result = columnSolver(feedRate,xFeed,xDistillate,xBottoms,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts,activityModel,q,efficiency,condenser,sideDraws,sideFeeds,energyBalance);
+        let duty = NaN;
+        if (result.converged) {
+            const [distillateRate, bottomsRate] = productRates(feedRate,xFeed,xDistillate,xBottoms,result.sideDraws,sideFeeds);
+            duty = energyBalance.type === 'rigorous' ?
+                energyReboilerDuty(result.refluxRatio,distillateRate,bottomsRate,xDistillate,xBottoms,xFeed,q,feedTray,pressure,lightAntConsts,heavyAntConsts,activityModel,condenser,result.sideDraws,sideFeeds) :
+                calculateDuty(result.profile.vapRate[totalTrays],result.profile.xBottoms,lightAntConsts,heavyAntConsts);
+        }
+        trials.push({ feedTray, status: result.status, refluxRatio: result.converged ? result.refluxRatio : NaN, reboilerDuty: duty });
+    }
+    return trials;
+}
+
+/**
+ * rates an existing column: finds the product purities given by a reflux ratio and reboiler duty
+ * 
+ * The duty and the bottoms latent heat set the boil up and, with the reflux ratio, the distillate rate.
+ * meshColumn then solves every stage at that distillate rate, which gives both product compositions. The latent heat
+ * depends on the bottoms composition so the distillate rate is updated until the bottoms composition settles.
+ * Side draws are taken at their set rates and leave the distillate and bottoms to share the rest of the feeds.
+ * With the rigorous energy balance the distillate rate comes from the overall energy balance instead of the latent heat.
+ * 
+ * duty is kBTU/hr
+ * @param {number} feedRate 
+ * @param {number} xFeed 
+ * @param {number} refluxRatio 
+ * @param {number} reboilerDuty 
+ * @param {number|array[number]} pressure 
+ * @param {number} feedTray 
+ * @param {number} totalTrays 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number} feedQ 
+ * @param {object} efficiency Murphree vapor efficiency of each section
+ * @param {object} condenser 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @param {object} energyBalance 
+ * @returns {array[number]|null} distillate and bottoms mole fractions, null when the column cannot run at these conditions
+ */
+function columnRating(feedRate,xFeed,refluxRatio,reboilerDuty,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts,activityModel = RAOULT,feedQ = 1,efficiency = IDEAL_EFFICIENCY,condenser = TOTAL_CONDENSER,sideDraws = [],sideFeeds = [],energyBalance = CONSTANT_MOLAL_OVERFLOW) {
+    const [vaporDrawRate, vaporFeedRate] = sideVaporRates(sideDraws, sideFeeds);
+    // the distillate and bottoms together carry what the side draws leave behind
+    const productsRate = feedRate + totalRate(sideFeeds) - totalRate(sideDraws);
+    const xProducts = (feedRate * xFeed + sideFeedLightKey(sideFeeds) - sideDrawLightKey(sideDraws)) / productsRate;
+    let xBottoms = xProducts / 2;
+    let xDistillate = NaN;
+    let profile = null;
+    for (let k = 0; k < MAXITERATIONS; k++) {
+        const boilUpRate = reboilerDuty / calculateDuty(1,xBottoms,lightAntConsts,heavyAntConsts);
+        if (!(boilUpRate > 0)) return null;
+        // subcooled reflux adds to the vapor condensed on the top tray
+        const xReflux = profile ? profile.liqComp[0] : xFeed;
+        const internalR = internalRefluxRatio(refluxRatio,xReflux,condenser,lightAntConsts,heavyAntConsts);
+        const distillateRate = energyBalance.type === 'rigorous' ?
+            energyDistillateRate(refluxRatio,reboilerDuty,feedRate,xFeed,feedQ,feedTray,Number.isFinite(xDistillate) ? xDistillate : xProducts,xBottoms,pressure,lightAntConsts,heavyAntConsts,activityModel,condenser,sideDraws,sideFeeds) :
+            (boilUpRate + (1 - feedQ) * feedRate + vaporFeedRate - vaporDrawRate) / (internalR + 1);
+        if (!(distillateRate > 0 && distillateRate < productsRate)) return null;
+        if (!(internalR > minimumRefluxForFlows(distillateRate,feedRate,feedQ,feedTray,totalTrays,sideDraws,sideFeeds))) return null;
+
+        const column = meshColumn(refluxRatio,distillateRate,feedRate,xFeed,pressure,feedTray,totalTrays,lightAntConsts,heavyAntConsts,activityModel,feedQ,efficiency,condenser,sideDraws,sideFeeds,energyBalance,profile);
+        if (!column.converged) return null;
+        profile = column;
+        const change = Math.abs(column.xBottoms - xBottoms);
+        xDistillate = column.xDistillate;
+        xBottoms = column.xBottoms;
+        if (change < 1e-6) return [xDistillate, xBottoms];
+    }
+    return null;
+}
+
+/**
+ * Determines the minimum reflux ratio to achieve product specifications. Used to check if the specified problem is feasible
+ * 
+ * the rectifying operating line at minimum reflux passes through the point where the q-line meets the equilibrium curve
+ * @param {number} feedXp 
+ * @param {number} distillateXp 
+ * @param {number} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number} feedQ 
+ * @returns {number}
+ */
+function minimumRefluxRatio(feedXp, distillateXp, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT, feedQ = 1){
+    const [pinchX, pinchY] = qLineIntersection(feedXp, feedQ, pressure, lightAntConsts, heavyAntConsts, activityModel);
+    // solve for x
+    const slope = (distillateXp - pinchY) / (distillateXp - pinchX);
+    return slope / (1 - slope); 
+}
+
+/**
+ * finds where the q-line, q x + (1 - q) y = xF, crosses the equilibrium curve
+ * the crossing is above the feed composition for a subcooled feed and below it for a partially vaporized feed
+ * @param {number} feedXp 
+ * @param {number} feedQ 
+ * @param {number} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {array[number]} liquid and vapor composition at the intersection
+ */
+function qLineIntersection(feedXp, feedQ, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const qLineResidual = x => feedQ * x + (1 - feedQ) * vapMolFraction(pressure,x,lightAntConsts,heavyAntConsts,activityModel) - feedXp;
+    if (feedQ === 1) return [feedXp, vapMolFraction(pressure,feedXp,lightAntConsts,heavyAntConsts,activityModel)];
+    let lo = feedQ > 1 ? feedXp : 0;
+    let hi = feedQ > 1 ? 1 : feedXp;
+    for (let i = 0; i < MAXITERATIONS && hi - lo > 1e-7; i++) {
+        const mid = (lo + hi) / 2;
+        if (qLineResidual(mid) < 0) lo = mid;
+        else hi = mid;
+    }
+    const x = (lo + hi) / 2;
+    return [x, vapMolFraction(pressure,x,lightAntConsts,heavyAntConsts,activityModel)];
+}
+
+/**
+ * Determines the minimum number of trays to achieve product specficiations. Used to check it the specified problem is feasible.
+ * @param {number} distillateXp 
+ * @param {number} bottomsXp 
+ * @param {number} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number}
+ */
+function minimumTrays(distillateXp, bottomsXp, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const averageAlpha = averageRelativeVolatility(distillateXp,bottomsXp,pressure,lightAntConsts,heavyAntConsts,activityModel);
+    return (Math.log((distillateXp/(1 - distillateXp) * (1-bottomsXp) / bottomsXp)) / Math.log(averageAlpha));
+}
+
+/**
+ * geometric mean of the relative volatility at the distillate and bottoms bubble points, the constant alpha the shortcut methods assume
+ * @param {number} distillateXp 
+ * @param {number} bottomsXp 
+ * @param {number} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @returns {number}
+ */
+function averageRelativeVolatility(distillateXp, bottomsXp, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT) {
+    const topTemp = equilibriumTemperatureFromX(pressure,distillateXp,lightAntConsts,heavyAntConsts,activityModel);
+    const alphaTop = relativeVolatility(topTemp,distillateXp,lightAntConsts,heavyAntConsts,activityModel);
+    const bottomTemp = equilibriumTemperatureFromX(pressure,bottomsXp,lightAntConsts,heavyAntConsts,activityModel);
+    const alphaBottom = relativeVolatility(bottomTemp,bottomsXp,lightAntConsts,heavyAntConsts,activityModel);
+    return Math.sqrt(alphaTop * alphaBottom);
+}
+
+/**
+ * Underwood minimum reflux ratio for a binary at constant relative volatility
+ * 
+ * the root theta between 1 and alpha of alpha zF / (alpha - theta) + (1 - zF) / (1 - theta) = 1 - q
+ * gives Rmin + 1 = alpha xD / (alpha - theta) + (1 - xD) / (1 - theta), which holds for any feed condition
+ * @param {number} feedXp 
+ * @param {number} distillateXp 
+ * @param {number} feedQ 
+ * @param {number} alpha relative volatility of the light key
+ * @returns {number} NaN when the keys do not separate
+ */
+function underwoodMinimumReflux(feedXp, distillateXp, feedQ, alpha) {
+    if (!(alpha > 1)) return NaN;
+    // the feed equation rises from -infinity to +infinity between the two volatilities
+    const feedResidual = theta => alpha * feedXp / (alpha - theta) + (1 - feedXp) / (1 - theta) - (1 - feedQ);
+    let lo = 1;
+    let hi = alpha;
+    for (let i = 0; i < MAXITERATIONS && hi - lo > 1e-12 * alpha; i++) {
+        const mid = (lo + hi) / 2;
+        if (feedResidual(mid) < 0) lo = mid;
+        else hi = mid;
+    }
+    const theta = (lo + hi) / 2;
+    return alpha * distillateXp / (alpha - theta) + (1 - distillateXp) / (1 - theta) - 1;
+}
+
+/**
+ * Gilliland correlation in the Molokanov form for the equilibrium stages at a reflux ratio
+ * 
+ * X = (R - Rmin) / (R + 1) and (N - Nmin) / (N + 1) = 1 - exp((1 + 54.4 X) / (11 + 117.2 X) (X - 1) / sqrt(X))
+ * @param {number} minimumStages Fenske stages at total reflux
+ * @param {number} refluxRatio 
+ * @param {number} minRefluxRatio 
+ * @returns {number} equilibrium stages, infinite at the minimum reflux ratio
+ */
+function gillilandStages(minimumStages, refluxRatio, minRefluxRatio) {
+    const x = (refluxRatio - minRefluxRatio) / (refluxRatio + 1);
+    if (!(x > 0)) return Infinity;
+    if (x >= 1) return minimumStages;
+    const y = 1 - Math.exp((1 + 54.4 * x) / (11 + 117.2 * x) * (x - 1) / Math.sqrt(x));
+    return (minimumStages + y) / (1 - y);
+}
+
+/**
+ * Kirkbride ratio of the stages above the feed to the stages below it
+ * 
+ * NR / NS = ((zHK / zLK) (xLK,B / xHK,D)^2 B / D)^0.206
+ * @param {number} feedXp 
+ * @param {number} distillateXp 
+ * @param {number} bottomsXp 
+ * @param {number} distillateRate 
+ * @param {number} bottomsRate 
+ * @returns {number}
+ */
+function kirkbrideFeedRatio(feedXp, distillateXp, bottomsXp, distillateRate, bottomsRate) {
+    return Math.pow((1 - feedXp) / feedXp * Math.pow(bottomsXp / (1 - distillateXp), 2) * bottomsRate / distillateRate, 0.206);
+}
+
+/**
+ * Fenske-Underwood-Gilliland shortcut design for a single feed at a multiple of the minimum reflux ratio
+ * 
+ * Fenske gives the stages at total reflux, Underwood the minimum reflux ratio and Gilliland the stages at the chosen reflux,
+ * Kirkbride then splits them above and below the feed. The stage counts include the reboiler and a partial condenser,
+ * the trays are what is left of each section divided by its Murphree efficiency.
+ * Side draws and side feeds are left out, the shortcut methods only know one feed and two products
+ * @param {number} feedRate 
+ * @param {number} xFeed 
+ * @param {number} xDistillate 
+ * @param {number} xBottoms 
+ * @param {number} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number} feedQ 
+ * @param {number} refluxFactor ratio of the reflux ratio to the minimum
+ * @param {object} efficiency Murphree vapor efficiency of each section
+ * @param {object} condenser 
+ * @returns {object|null} alpha, minimum stages and reflux ratio, the reflux ratio, stages, trays and feed tray, null when the keys do not separate
+ */
+function shortcutDesign(feedRate, xFeed, xDistillate, xBottoms, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT, feedQ = 1, refluxFactor = 1.3, efficiency = IDEAL_EFFICIENCY, condenser = TOTAL_CONDENSER) {
+    const alpha = averageRelativeVolatility(xDistillate,xBottoms,pressure,lightAntConsts,heavyAntConsts,activityModel);
+    const minimumStages = Math.log(xDistillate / (1 - xDistillate) * (1 - xBottoms) / xBottoms) / Math.log(alpha);
+    const minRefluxRatio = underwoodMinimumReflux(xFeed,xDistillate,feedQ,alpha);
+    if (!(minimumStages > 0 && minRefluxRatio > 0)) return null;
+    const refluxRatio = refluxFactor * minRefluxRatio;
+    const stages = gillilandStages(minimumStages,refluxRatio,minRefluxRatio);
+    if (!Number.isFinite(stages)) return null;
+    const [distillateRate, bottomsRate] = productRates(feedRate,xFeed,xDistillate,xBottoms);
+    const feedRatio = kirkbrideFeedRatio(xFeed,xDistillate,xBottoms,distillateRate,bottomsRate);
+    const rectifyingStages = stages * feedRatio / (1 + feedRatio);
+    // the reboiler and a partial condenser are equilibrium stages whatever the tray efficiency
+    const rectifyingTrays = (rectifyingStages - (condenser.type === 'total' ? 0 : 1)) / efficiency.rectifying;
+    const strippingTrays = (stages - rectifyingStages - 1) / efficiency.stripping;
+    const totalTrays = Math.max(1, Math.ceil(rectifyingTrays + strippingTrays));
+    // the feed tray closes the rectifying section, as it does in meshColumn
+    const feedTray = Math.min(totalTrays, Math.max(1, Math.round(rectifyingTrays)));
+    return {
+        alpha,
+        minimumStages,
+        minRefluxRatio,
+        refluxRatio,
+        stages,
+        rectifyingStages,
+        strippingStages: stages - rectifyingStages,
+        totalTrays,
+        feedTray
+    };
+}
+
+/**
+ * counts the equilibrium stages needed for a separation at a reflux ratio by stepping off the McCabe-Thiele diagram
+ * the steps switch to the stripping operating line where the operating lines cross, which is the optimal feed stage
+ * 
+ * the count includes the reboiler and the last step is fractional so it can be compared with a real tray count,
+ * a partial condenser is a stage of its own and the steps start from its reflux
+ * with a pressure profile each step is taken at the pressure of the tray it stands for
+ * @param {number} refluxRatio internal reflux ratio
+ * @param {number} boilUp 
+ * @param {number} distillateXp 
+ * @param {number} bottomsXp 
+ * @param {number|array[number]} pressure 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number} refluxXp 
+ * @param {function} operatingVapor operating curve from operatingCurve or operatingCurveThrough, replaces the two lines for a column with side streams or varying flows
+ * @returns {number} NaN when the operating lines pinch the equilibrium curve
+ */
+function theoreticalStages(refluxRatio, boilUp, distillateXp, bottomsXp, pressure, lightAntConsts, heavyAntConsts, activityModel = RAOULT, refluxXp = distillateXp, operatingVapor = null) {
+    // stripping line y = (S + 1) / S * x - xB / S
+    operatingVapor = operatingVapor || operatingCurve([
+        { slope: refluxRatio / (refluxRatio + 1), intercept: distillateXp / (refluxRatio + 1) },
+        { slope: (boilUp + 1) / boilUp, intercept: -bottomsXp / boilUp }
+    ]);
+    let liqMolFrac = refluxXp;
+    let vapMolFrac = operatingVapor(liqMolFrac);
+    for (let stage = 1; stage <= MAXITERATIONS; stage++) {
+        const nextLiquid = liqMolFraction(stagePressure(pressure,stage),vapMolFrac,lightAntConsts,heavyAntConsts,activityModel);
+        if (nextLiquid <= bottomsXp) {
+            return stage - 1 + (liqMolFrac - bottomsXp) / (liqMolFrac - nextLiquid);
+        }
+        if (!(nextLiquid < liqMolFrac)) return NaN;
+        liqMolFrac = nextLiquid;
+        vapMolFrac = operatingVapor(liqMolFrac);
+    }
+    return NaN;
+}
+
+/**
+ * builds the operating line of each section of a solved column, from the top down
+ * the first section starts below the condenser, the feed tray and each side draw or side feed tray start a new one
+ * 
+ * sections above the feed come from a balance around the top of the column and the rest from a balance around the bottom
+ * @param {array[object]} trays tray objects from generateColumnData
+ * @param {number} distillateRate 
+ * @param {number} distillateXp 
+ * @param {number} bottomsRate 
+ * @param {number} bottomsXp 
+ * @param {number} feedTray 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @returns {array[object]} slope, intercept and the tray above each section
+ */
+function operatingSections(trays, distillateRate, distillateXp, bottomsRate, bottomsXp, feedTray, sideDraws = [], sideFeeds = []) {
+    const sections = [];
+    const totalTrays = trays.length - 1;
+    for (let n = 0; n <= totalTrays; n++) {
+        if (n > 0 && n !== feedTray && ![...sideDraws, ...sideFeeds].some(s => s.tray === n)) continue;
+        // liquid flowing down from tray n and vapor rising from tray n + 1
+        const liqRate = n === 0 ? trays[0].refluxRatio * distillateRate : trays[n - 1].liqRate;
+        const vapRate = trays[n].vapRate;
+        const intercept = n < feedTray ?
+            (distillateRate * distillateXp + sideDrawLightKey(sideDraws, 1, n) - sideFeedLightKey(sideFeeds, 1, n)) / vapRate :
+            -(bottomsRate * bottomsXp + sideDrawLightKey(sideDraws, n + 1) - sideFeedLightKey(sideFeeds, n + 1)) / vapRate;
+        sections.push({ tray: n, slope: liqRate / vapRate, intercept });
+    }
+    return sections;
+}
+
+/**
+ * finds the liquid composition where each operating line section meets the one below it
+ * @param {array[object]} sections 
+ * @returns {array[number]} 
+ */
+function sectionIntersections(sections) {
+    return sections.slice(1).map((below, i) => (below.intercept - sections[i].intercept) / (sections[i].slope - below.slope));
+}
+
+/**
+ * joins operating line sections into one curve, each section applies down to where it meets the next
+ * @param {array[object]} sections slope and intercept of each section from the top down
+ * @returns {function} vapor composition rising to meet a liquid composition
+ */
+function operatingCurve(sections) {
+    const meets = sectionIntersections(sections);
+    return x => {
+        const i = meets.findIndex(xMeet => x >= xMeet);
+        const section = sections[i < 0 ? sections.length - 1 : i];
+        return section.slope * x + section.intercept;
+    };
+}
+
+/**
+ * lists the points of the operating curve of a solved column, the liquid leaving each tray and the vapor rising to it
+ * with the rigorous energy balance the flows change on every tray so the curve is not made of straight sections
+ * @param {array[object]} trays tray objects from generateColumnData
+ * @param {number} distillateXp 
+ * @param {number} refluxXp 
+ * @param {number} bottomsXp 
+ * @returns {array[array[number]]} x, y pairs from the top down
+ */
+function operatingPoints(trays, distillateXp, refluxXp, bottomsXp) {
+    const points = [[distillateXp, distillateXp], [refluxXp, trays[0].vapComp]];
+    for (let k = 0; k + 1 < trays.length; k++) {
+        points.push([trays[k].liqComp, trays[k + 1].vapComp]);
+    }
+    points.push([bottomsXp, bottomsXp]);
+    return points;
+}
+
+/**
+ * joins operating curve points with straight lines
+ * @param {array[array[number]]} points x, y pairs from the top down
+ * @returns {function} vapor composition rising to meet a liquid composition
+ */
+function operatingCurveThrough(points) {
+    return x => {
+        const i = points.findIndex(([xPoint], k) => k > 0 && x >= xPoint);
+        const [[x1, y1], [x2, y2]] = i < 0 ? points.slice(-2) : [points[i - 1], points[i]];
+        return x1 === x2 ? y1 : y2 + (y1 - y2) * (x - x2) / (x1 - x2);
+    };
+}
+
+/**
+ * Tray hydraulics
+ *
+ * sieve trays sized with Fair's flooding correlation and checked for weeping with Eduljee's weep point correlation,
+ * densities are lb/ft3, tray spacing, weir height and diameter are inches and velocities are ft/s
+ */
+const IDEAL_GAS_CONSTANT = 10.7316; // psia ft3/(lb-mol R)
+const DENSITY_REFERENCE_TEMPERATURE = 60; // F
+
+/**
+ * layout assumed for every tray, downcomers take 12% of the column area each side,
+ * the weir is 76% of the diameter and the 3/16 in holes are 10% of the active area
+ */
+const SIEVE_TRAY_LAYOUT = { downcomerArea: 0.12, weirLength: 0.76, holeArea: 0.1, holeDiameter: 0.1875 };
+
+// trays running above this fraction of flood are flagged as close to flooding
+const NEAR_FLOOD_FRACTION = 0.85;
+
+// Eduljee's K2 against the clear liquid head over the holes in mm, read from the curve for 10% hole area
+const WEEP_POINT_CURVE = [[10, 28.6], [20, 29.4], [30, 29.9], [40, 30.2], [50, 30.45], [60, 30.6], [80, 30.85], [100, 31.0]];
+
+/**
+ * saturated liquid density of a component, scaled from its density at 60 F along Guggenheim's curve
+ * rho / rhoc = 1 + 3/4 (1 - Tr) + 7/4 (1 - Tr)^(1/3), components without a critical temperature keep the 60 F density
+ * @param {number} temperature F
+ * @param {object} component
+ * @returns {number} lb/ft3
+ */
+function componentLiquidDensity(temperature, component) {
+    if (!Number.isFinite(component.tc)) return component.liqDensity;
+    const reducedDensity = t => {
+        const tau = Math.max(0, 1 - ((t - 32) * 5 / 9 + 273.15) / component.tc);
+        return 1 + 0.75 * tau + 1.75 * Math.cbrt(tau);
+    };
+    return component.liqDensity * reducedDensity(temperature) / reducedDensity(DENSITY_REFERENCE_TEMPERATURE);
+}
+
+/**
+ * liquid density of a binary, the component volumes are added
+ * @param {number} temperature F
+ * @param {number} liqMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @returns {number} lb/ft3
+ */
+function liquidDensity(temperature, liqMolFrac, lightAntConsts, heavyAntConsts) {
+    const lightMass = liqMolFrac * lightAntConsts.mol_wt;
+    const heavyMass = (1 - liqMolFrac) * heavyAntConsts.mol_wt;
+    return (lightMass + heavyMass) /
+        (lightMass / componentLiquidDensity(temperature, lightAntConsts) + heavyMass / componentLiquidDensity(temperature, heavyAntConsts));
+}
+
+/**
+ * ideal gas density of a binary vapor
+ * @param {number} temperature F
+ * @param {number} pressure psia
+ * @param {number} vapMolFrac 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @returns {number} lb/ft3
+ */
+function vaporDensity(temperature, pressure, vapMolFrac, lightAntConsts, heavyAntConsts) {
+    const molWt = vapMolFrac * lightAntConsts.mol_wt + (1 - vapMolFrac) * heavyAntConsts.mol_wt;
+    return pressure * molWt / (IDEAL_GAS_CONSTANT * (temperature + 459.67));
+}
+
+/**
+ * Fair's flooding capacity factor in the Lygeros and Magoulas fit, C = 0.0105 + 8.127e-4 TS^0.755 exp(-1.463 FLV^0.842)
+ * with TS in mm and C in m/s, for a surface tension of 20 dyn/cm
+ * @param {number} flowParameter FLV = L / V (rhoV / rhoL)^0.5 on a mass basis
+ * @param {number} traySpacing in
+ * @returns {number} ft/s
+ */
+function floodingCapacityFactor(flowParameter, traySpacing) {
+    const capacity = 0.0105 + 8.127e-4 * Math.pow(traySpacing * 25.4, 0.755) * Math.exp(-1.463 * Math.pow(flowParameter, 0.842));
+    return capacity / 0.3048;
+}
+
+/**
+ * lowest hole velocity before liquid weeps through the holes, uh = (K2 - 0.90 (25.4 - dh)) / rhoV^0.5 in SI units
+ * @param {number} clearHead weir height and crest over the weir, in
+ * @param {number} vapDensity lb/ft3
+ * @returns {number} ft/s
+ */
+function weepPointVelocity(clearHead, vapDensity) {
+    const head = Math.min(Math.max(clearHead * 25.4, WEEP_POINT_CURVE[0][0]), WEEP_POINT_CURVE[WEEP_POINT_CURVE.length - 1][0]);
+    const upper = WEEP_POINT_CURVE.findIndex(([h]) => h >= head);
+    const [[h1, k1], [h2, k2]] = upper > 0 ? [WEEP_POINT_CURVE[upper - 1], WEEP_POINT_CURVE[upper]] : [WEEP_POINT_CURVE[0], WEEP_POINT_CURVE[0]];
+    const K2 = h2 === h1 ? k1 : k1 + (k2 - k1) * (head - h1) / (h2 - h1);
+    const velocity = (K2 - 0.9 * (25.4 - SIEVE_TRAY_LAYOUT.holeDiameter * 25.4)) / Math.sqrt(vapDensity * 16.0184634);
+    return velocity / 0.3048;
+}
+
+/**
+ * sizes the column for the most heavily loaded tray and rates every tray at that diameter
+ *
+ * each tray is loaded by the vapor rising from it and the liquid flowing down from it, the flooding velocity
+ * is based on the area left beside one downcomer and the weeping check on the hole velocity with the Francis weir crest
+ * @param {array[object]} trays trays from generateColumnData, without the reboiler
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} hydraulics traySpacing and weirHeight in inches, systemFactor for foaming and floodFraction the design fraction of flood
+ * @returns {object|null} column diameter in inches, the controlling tray and the loading of each tray, null without liquid densities
+ */
+function trayHydraulics(trays, lightAntConsts, heavyAntConsts, hydraulics) {
+    if (![lightAntConsts.liqDensity, heavyAntConsts.liqDensity].every(d => d > 0) || trays.length === 0) return null;
+    const { downcomerArea, weirLength, holeArea } = SIEVE_TRAY_LAYOUT;
+    const loads = trays.map(t => {
+        const liqDensity = liquidDensity(t.temperature, t.liqComp, lightAntConsts, heavyAntConsts);
+        const vapDensity = vaporDensity(t.temperature, t.pressure, t.vapComp, lightAntConsts, heavyAntConsts);
+        const liqMassRate = molarToMass(t.liqRate, t.liqComp, lightAntConsts, heavyAntConsts);
+        const vapMassRate = molarToMass(t.vapRate, t.vapComp, lightAntConsts, heavyAntConsts);
+        const flowParameter = liqMassRate / vapMassRate * Math.sqrt(vapDensity / liqDensity);
+        const floodVelocity = floodingCapacityFactor(flowParameter, hydraulics.traySpacing) * hydraulics.systemFactor *
+            Math.sqrt((liqDensity - vapDensity) / vapDensity);
+        const vapVolumeRate = vapMassRate / vapDensity / 3600;
+        const netArea = vapVolumeRate / (hydraulics.floodFraction * floodVelocity);
+        const requiredDiameter = Math.sqrt(4 * netArea / (1 - downcomerArea) / Math.PI) * 12;
+        return { trayNumber: t.trayNumber, liqDensity, vapDensity, liqMassRate, vapVolumeRate, flowParameter, floodVelocity, requiredDiameter };
+    });
+    const controlling = loads.reduce((max, load) => load.requiredDiameter > max.requiredDiameter ? load : max);
+    const diameter = controlling.requiredDiameter;
+    const area = Math.PI * Math.pow(diameter / 12, 2) / 4;
+    return {
+        diameter,
+        controllingTray: controlling.trayNumber,
+        trays: loads.map(load => {
+            const floodFraction = load.vapVolumeRate / (area * (1 - downcomerArea) * load.floodVelocity);
+            // Francis weir crest, how = 0.48 (Q / lw)^(2/3) in inches of clear liquid with Q in gpm and lw in inches
+            const liqVolumeRate = load.liqMassRate / load.liqDensity / 3600;
+            const weirCrest = 0.48 * Math.pow(liqVolumeRate * 448.831 / (weirLength * diameter), 2 / 3);
+            const holeVelocity = load.vapVolumeRate / (area * (1 - 2 * downcomerArea) * holeArea);
+            const weepVelocity = weepPointVelocity(hydraulics.weirHeight + weirCrest, load.vapDensity);
+            return {
+                ...load,
+                percentFlood: floodFraction * 100,
+                weirCrest,
+                holeVelocity,
+                weepVelocity,
+                nearFlooding: floodFraction >= NEAR_FLOOD_FRACTION,
+                weeping: holeVelocity < weepVelocity
+            };
+        })
+    };
+}
+
+/**
+ * Dynamic simulation
+ *
+ * the reflux drum, every tray and the reboiler sump hold liquid, the vapor holds none and moves with constant molal overflow
+ * from the boil up, so the state is the liquid holdup and light key mole fraction of each stage.
+ * the stages are numbered as in meshColumn, stage 0 is the reflux drum and stage totalTrays + 1 the reboiler sump.
+ * the column starts from a solved steady state and every flow is the steady flow moved by the change since then:
+ * liquid leaves a tray over its weir, the drum and sump levels are held by proportional controllers on the distillate
+ * and bottoms, and the boil up follows the reboiler duty
+ */
+
+// fraction of the steady tray holdup in the crest over the weir, the rest sits below the weir and does not flow
+const WEIR_CREST_HOLDUP = 0.3;
+
+// ROS2 integrator, the step size is kept where the error estimate of each state is within its tolerance
+const ROS2_GAMMA = 1 + 1 / Math.SQRT2;
+const DYNAMIC_RTOL = 1e-4;
+const DYNAMIC_ATOL = 1e-6;
+
+/**
+ * factors a square matrix into LU with partial pivoting, the matrix is overwritten
+ * @param {array[array[number]]} matrix
+ * @returns {object} the factors and row order, null when the matrix is singular
+ */
+function luDecompose(matrix) {
+    const n = matrix.length;
+    const order = Array.from({ length: n }, (_, i) => i);
+    for (let k = 0; k < n; k++) {
+        let pivot = k;
+        for (let i = k + 1; i < n; i++) {
+            if (Math.abs(matrix[i][k]) > Math.abs(matrix[pivot][k])) pivot = i;
+        }
+        if (!(Math.abs(matrix[pivot][k]) > 0)) return null;
+        [matrix[k], matrix[pivot]] = [matrix[pivot], matrix[k]];
+        [order[k], order[pivot]] = [order[pivot], order[k]];
+        for (let i = k + 1; i < n; i++) {
+            const factor = matrix[i][k] /= matrix[k][k];
+            for (let j = k + 1; j < n; j++) matrix[i][j] -= factor * matrix[k][j];
+        }
+    }
+    return { matrix, order };
+}
+
+/**
+ * solves a system from its LU factors
+ * @param {object} lu result of luDecompose
+ * @param {array[number]} rhs
+ * @returns {array[number]}
+ */
+function luSolve(lu, rhs) {
+    const { matrix, order } = lu;
+    const n = matrix.length;
+    const v = order.map(i => rhs[i]);
+    for (let i = 1; i < n; i++) {
+        for (let j = 0; j < i; j++) v[i] -= matrix[i][j] * v[j];
+    }
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = i + 1; j < n; j++) v[i] -= matrix[i][j] * v[j];
+        v[i] /= matrix[i][i];
+    }
+    return v;
+}
+
+/**
+ * differentiates a system of equations by forward differences
+ * @param {function} f takes the state and returns the derivatives
+ * @param {array[number]} y
+ * @param {array[number]} fy f at y
+ * @param {array[number]} scale typical size of each state, sets its difference step
+ * @returns {array[array[number]]} jacobian, row i is the derivative of f[i]
+ */
+function numericalJacobian(f, y, fy, scale) {
+    const jacobian = fy.map(() => new Array(y.length));
+    for (let j = 0; j < y.length; j++) {
+        const step = 1e-7 * Math.max(Math.abs(y[j]), scale[j]);
+        const moved = [...y];
+        moved[j] += step;
+        const fMoved = f(moved);
+        for (let i = 0; i < fy.length; i++) jacobian[i][j] = (fMoved[i] - fy[i]) / step;
+    }
+    return jacobian;
+}
+
+/**
+ * integrates a stiff system with the two stage Rosenbrock method ROS2 of Verwer et al.
+ *
+ * ROS2 keeps second order with any jacobian, so one jacobian serves the whole interval and is only taken again
+ * after a rejected step, the error estimate is the difference from the linearly implicit Euler step
+ * @param {function} f takes the state and returns the derivatives
+ * @param {array[number]} y state at the start
+ * @param {number} duration
+ * @param {object} options scale of each state for the tolerances and the step size to start with, the step size is updated
+ * @returns {array[number]|null} state at the end of the interval, null when the step size collapses
+ */
+function ros2Integrate(f, y, duration, options) {
+    const { scale } = options;
+    const n = y.length;
+    let h = Math.min(options.step || duration, duration);
+    let elapsed = 0;
+    let fy = f(y);
+    let jacobian = numericalJacobian(f, y, fy, scale);
+    while (elapsed < duration) {
+        h = Math.min(h, duration - elapsed);
+        const lu = luDecompose(jacobian.map((row, i) => row.map((value, j) => (i === j ? 1 : 0) - ROS2_GAMMA * h * value)));
+        const k1 = lu && luSolve(lu, fy);
+        const f2 = k1 && f(y.map((value, i) => value + h * k1[i]));
+        const k2 = f2 && luSolve(lu, f2.map((value, i) => value - 2 * k1[i]));
+        const error = k2 ? Math.sqrt(k1.reduce((sum, value, i) => {
+            const estimate = 0.5 * h * (value + k2[i]) / (DYNAMIC_ATOL * scale[i] + DYNAMIC_RTOL * Math.abs(y[i]));
+            return sum + estimate * estimate;
+        }, 0) / n) : NaN;
+        if (error <= 1) {
+            y = y.map((value, i) => value + 1.5 * h * k1[i] + 0.5 * h * k2[i]);
+            elapsed += h;
+            fy = f(y);
+        } else {
+            jacobian = numericalJacobian(f, y, fy, scale);
+        }
+        h *= Number.isFinite(error) ? Math.min(2, Math.max(0.2, 0.9 / Math.sqrt(Math.max(error, 1e-10)))) : 0.2;
+        if (!(h > 1e-12 * duration)) return null;
+        if (error <= 1) options.step = h;
+    }
+    return y;
+}
+
+/**
+ * sets up the dynamic model from a solved steady state
+ * holdups are residence times in hours: the drum on the reflux and distillate leaving it, each tray on the liquid
+ * leaving it and the sump on the liquid entering it
+ * @param {object} steady trays from generateColumnData with its rateData, stagePressures, feedTray, feedQ, efficiency,
+ * condenser and the reboiler and condenser duties in kBTU/hr
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {object} holdup drum, tray and sump residence times in hours
+ * @returns {object} the model at time 0, its inputs are the main feed rate and composition, the external reflux rate and the reboiler duty
+ */
+function dynamicColumn(steady, lightAntConsts, heavyAntConsts, activityModel, holdup) {
+    const { trays, rateData, feedTray } = steady;
+    const stages = trays.length + 1;
+    const last = stages - 1;
+    const vaporFraction = distillateVaporFraction(steady.condenser);
+    const liqComp = [steady.xReflux, ...trays.map(t => t.liqComp)];
+    const pressures = liqComp.map((x, j) => stagePressure(steady.stagePressures, j));
+    // the drum sends the internal reflux down, a subcooled reflux keeps the same ratio to the external reflux as it changes
+    const liqRate = [trays[0].vapRate - rateData.distRate, ...trays.map(t => t.liqRate)];
+    const vapRate = [vaporFraction * rateData.distRate, ...trays.map(t => t.vapRate)];
+    const liqHoldup = liqRate.map((rate, j) =>
+        j === 0 ? holdup.drum * (rate + (1 - vaporFraction) * rateData.distRate) :
+        j === last ? holdup.sump * liqRate[last - 1] :
+        holdup.tray * rate);
+    return {
+        light: lightAntConsts,
+        heavy: heavyAntConsts,
+        activityModel,
+        pressures,
+        condenser: steady.condenser,
+        vaporFraction,
+        feedTray,
+        feedQ: steady.feedQ,
+        sideFeeds: rateData.sideFeeds,
+        sideDraws: rateData.sideDraws,
+        efficiency: pressures.map((p, j) => j === 0 || j === last ? 1 : j <= feedTray ? steady.efficiency.rectifying : steady.efficiency.stripping),
+        steady: {
+            liqRate,
+            vapRate,
+            holdup: liqHoldup,
+            distRate: rateData.distRate,
+            btmsRate: rateData.btmsRate,
+            refluxRate: rateData.refluxRate,
+            reboilerDuty: steady.reboilerDuty,
+            condenserDuty: steady.condenserDuty,
+            sumpLatentHeat: calculateDuty(1, liqComp[last], lightAntConsts, heavyAntConsts),
+            topLatentHeat: calculateDuty(1, trays[0].vapComp, lightAntConsts, heavyAntConsts)
+        },
+        residence: holdup,
+        inputs: {
+            feedRate: rateData.feedRate,
+            feedComp: rateData.feedComp,
+            refluxRate: rateData.refluxRate,
+            reboilerDuty: steady.reboilerDuty
+        },
+        time: 0,
+        state: [...liqHoldup, ...liqComp],
+        // the last bubble point of each stage starts the next, the drum has none until it is first solved
+        temperature: [NaN, ...trays.map(t => t.temperature)],
+        options: { scale: [...liqHoldup, ...liqComp.map(() => 1)], step: 0 }
+    };
+}
+
+/**
+ * finds the bubble point of a stage liquid by Newton's method from the last bubble point of the stage
+ * @param {object} model result of dynamicColumn
+ * @param {number} stage 
+ * @param {number} liqMolFrac 
+ * @returns {array[number]} temperature and equilibrium vapor mole fraction
+ */
+function dynamicStageEquilibrium(model, stage, liqMolFrac) {
+    const { light, heavy, activityModel } = model;
+    const pressure = model.pressures[stage];
+    const residual = t => binaryequilibriumEquationFromX(t, pressure, liqMolFrac, light, heavy, activityModel);
+    let temperature = model.temperature[stage];
+    for (let i = 0; i < 20 && Number.isFinite(temperature); i++) {
+        const result = residual(temperature);
+        const slope = (residual(temperature + 0.01) - result) / 0.01;
+        if (!(slope < 0)) {
+            temperature = NaN;
+            break;
+        }
+        const step = result / slope;
+        temperature -= step;
+        if (Math.abs(step) < 1e-9) break;
+    }
+    if (!Number.isFinite(temperature)) {
+        const equilibrium = stageEquilibrium(pressure, liqMolFrac, light, heavy, activityModel);
+        model.temperature[stage] = equilibrium[0];
+        return equilibrium;
+    }
+    model.temperature[stage] = temperature;
+    const [gamma1, gamma2] = activityCoefficients(liqMolFrac, temperature, activityModel);
+    const lightPressure = liqMolFrac * gamma1 * vaporPressure(temperature, light);
+    const heavyPressure = (1 - liqMolFrac) * gamma2 * vaporPressure(temperature, heavy);
+    return [temperature, lightPressure / (lightPressure + heavyPressure)];
+}
+
+/**
+ * calculates the flows and compositions of every stage for a dynamic state
+ * @param {object} model result of dynamicColumn
+ * @param {array[number]} state the holdup of each stage followed by its liquid mole fraction
+ * @returns {object} stage temperatures, compositions, flows leaving each stage as in meshColumn, the product rates,
+ * the boil up and the rate of change of the state
+ */
+function dynamicProfile(model, state) {
+    const { steady, inputs, residence, light, heavy } = model;
+    const stages = model.pressures.length;
+    const last = stages - 1;
+    const holdup = state.slice(0, stages).map(m => Math.max(m, 1e-9));
+    const liqComp = state.slice(stages).map(x => Math.min(1, Math.max(0, x)));
+    const temperature = new Array(stages);
+    const vapEquilibrium = new Array(stages);
+    for (let j = 0; j < stages; j++) [temperature[j], vapEquilibrium[j]] = dynamicStageEquilibrium(model, j, liqComp[j]);
+    // the vapor leaving a tray is E of the way from the vapor entering from below to equilibrium
+    const vapComp = new Array(stages);
+    vapComp[last] = vapEquilibrium[last];
+    for (let j = last - 1; j >= 0; j--) vapComp[j] = vapComp[j + 1] + model.efficiency[j] * (vapEquilibrium[j] - vapComp[j + 1]);
+
+    // the weir passes liquid as the 1.5 power of the crest, the controllers move the products with the drum and sump holdups
+    const boilUp = steady.vapRate[last] * inputs.reboilerDuty / steady.reboilerDuty *
+        steady.sumpLatentHeat / calculateDuty(1, liqComp[last], light, heavy);
+    const distRate = Math.max(0, steady.distRate + (holdup[0] - steady.holdup[0]) / residence.drum);
+    const btmsRate = Math.max(0, steady.btmsRate + (holdup[last] - steady.holdup[last]) / residence.sump);
+    const liqRate = holdup.map((m, j) =>
+        j === 0 ? inputs.refluxRate * steady.liqRate[0] / steady.refluxRate :
+        j === last ? btmsRate :
+        steady.liqRate[j] * Math.pow(Math.max(0, 1 + (m - steady.holdup[j]) / (WEIR_CREST_HOLDUP * steady.holdup[j])), 1.5));
+    const vapRate = holdup.map((m, j) => j === 0 ? model.vaporFraction * distRate : Math.max(0, steady.vapRate[j] + boilUp - steady.vapRate[last]));
+
+    const feeds = [{ tray: model.feedTray, rate: inputs.feedRate, composition: inputs.feedComp, q: model.feedQ }, ...model.sideFeeds];
+    const derivative = new Array(2 * stages);
+    for (let j = 0; j < stages; j++) {
+        const fed = sideFeedRates(feeds, j);
+        const drawn = sideDrawRates(model.sideDraws, j);
+        const liqOut = j === 0 ? liqRate[0] + (1 - model.vaporFraction) * distRate : liqRate[j] + drawn.liquid;
+        const vapOut = j === 0 ? vapRate[0] : vapRate[j] + drawn.vapor;
+        const liqIn = j > 0 ? liqRate[j - 1] : 0;
+        const vapIn = j < last ? vapRate[j + 1] : 0;
+        const total = liqIn + vapIn + fed.liquid + fed.vapor - liqOut - vapOut;
+        const lightKey = (j > 0 ? liqIn * liqComp[j - 1] : 0) + (j < last ? vapIn * vapComp[j + 1] : 0) + fed.lightKey -
+            liqOut * liqComp[j] - vapOut * vapComp[j];
+        derivative[j] = total;
+        derivative[stages + j] = (lightKey - liqComp[j] * total) / holdup[j];
+    }
+    return { holdup, liqComp, vapComp, vapEquilibrium, temperature, liqRate, vapRate, distRate, btmsRate, boilUp, derivative };
+}
+
+/**
+ * runs the dynamic model forward at its current inputs
+ * @param {object} model result of dynamicColumn, its state and time are moved on
+ * @param {number} duration hours
+ * @returns {boolean} whether the integration kept going to the end of the interval
+ */
+function advanceDynamicColumn(model, duration) {
+    const state = ros2Integrate(y => dynamicProfile(model, y).derivative, model.state, duration, model.options);
+    if (!state || !state.every(Number.isFinite)) return false;
+    const stages = model.pressures.length;
+    model.state = state.map((value, i) => i < stages ? Math.max(value, 0) : Math.min(1, Math.max(0, value)));
+    model.time += duration;
+    return true;
+}
+
+/**
+ * Data utility functions
+ */
+
+/**
+ * helper function to create objects with tray information
+ * @param {number} trayNumber 
+ * @param {number} temperature 
+ * @param {number} liqComp 
+ * @param {number} vapComp 
+ * @param {number} refluxRatio 
+ * @param {number} boilUp 
+ * @param {number} vapEquilibrium vapor composition in equilibrium with the liquid, equal to vapComp on an ideal stage
+ * @param {number} liqRate liquid flowing down to the tray below, after any side draw
+ * @param {number} vapRate vapor rising to the tray above, after any side draw
+ * @param {number} pressure psia
+ * @returns {object}
+ */
+function createTrayObject(trayNumber,temperature,liqComp,vapComp,refluxRatio,boilUp,vapEquilibrium = vapComp,liqRate = NaN,vapRate = NaN,pressure = NaN) {
+    return {
+        trayNumber,temperature,liqComp,vapComp, refluxRatio, boilUp, vapEquilibrium, liqRate, vapRate, pressure
+    }
+}
+
+/**
+ * creates an array of the tray objects with correct information
+ * every stage is solved together by meshColumn at the distillate rate the product specs give
+ * @param {number} feedRate 
+ * @param {number} xFeed 
+ * @param {number} xDistillate 
+ * @param {number} xBottoms 
+ * @param {number|array[number]} pressure 
+ * @param {number} feedTray 
+ * @param {number} totalTrays 
+ * @param {number} refluxRatio 
+ * @param {object} lightAntConsts 
+ * @param {object} heavyAntConsts 
+ * @param {object} activityModel 
+ * @param {number} feedQ 
+ * @param {object} efficiency Murphree vapor efficiency of each section
+ * @param {object} condenser 
+ * @param {array[object]} sideDraws 
+ * @param {array[object]} sideFeeds 
+ * @param {object} energyBalance 
+ * @returns {array[object]|null} trays and the reboiler, null when the stages do not converge
+ */
+function generateColumnData(feedRate,xFeed,xDistillate,xBottoms,pressure,feedTray,totalTrays,refluxRatio,lightAntConsts,heavyAntConsts,activityModel = RAOULT,feedQ = 1,efficiency = IDEAL_EFFICIENCY,condenser = TOTAL_CONDENSER,sideDraws = [],sideFeeds = [],energyBalance = CONSTANT_MOLAL_OVERFLOW){
+    const [distillateRate, bottomsRate] = productRates(feedRate,xFeed,xDistillate,xBottoms,sideDraws,sideFeeds);
+    const column = meshColumn(refluxRatio,distillateRate,feedRate,xFeed,pressure,feedTray,totalTrays + 1,lightAntConsts,heavyAntConsts,activityModel,feedQ,efficiency,condenser,sideDraws,sideFeeds,energyBalance);
+    if (!column.converged) return null;
+    const boilUp = column.vapRate[totalTrays + 1] / bottomsRate;
+    // the trays below a subcooled reflux carry the internal reflux, the energy balance keeps the external reflux ratio
+    if (energyBalance.type !== 'rigorous') refluxRatio = column.liqRate[0] / distillateRate;
+    const trays = [];
+    for (let i = 1; i <= totalTrays + 1; i++) {
+        trays.push(createTrayObject(i,column.temperature[i],column.liqComp[i],column.vapComp[i],refluxRatio,boilUp,column.vapEquilibrium[i],column.liqRate[i],column.vapRate[i],column.pressure[i]));
     }
     return trays;
 }
 // Conditional exports for Node.js testing
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
+        ACTIVITY_MODELS,
+        activityCoefficients,
+        advanceDynamicColumn,
+        averageRelativeVolatility,
         binaryequilibriumEquationFromX,
         binaryequilibriumEquationFromY,
         boilingPointTemperature,
         boilUpRatio,
+        bubblePointPressure,
+        columnRating,
+        condenserDuty,
+        condenserRefluxComposition,
         columnSolver,
+        componentLiquidDensity,
+        CONSTANT_MOLAL_OVERFLOW,
+        dewPointPressure,
         equilibriumTemperatureFromX,
         equilibriumTemperatureFromY,
+        feedQFromTemperature,
+        findAzeotropes,
+        flashTemperature,
+        flashVaporFraction,
+        floodingCapacityFactor,
+        distillateVaporFraction,
+        dynamicColumn,
+        dynamicProfile,
+        dynamicStageEquilibrium,
+        energyBoilUpRatio,
+        energyCondenserDuty,
+        energyDistillateRate,
+        energyReboilerDuty,
+        feedEnthalpy,
+        feedTraySearch,
         generateColumnData,
+        gillilandStages,
+        IDEAL_EFFICIENCY,
+        idealGasEnthalpyChange,
+        internalRefluxRatio,
+        kirkbrideFeedRatio,
         liqMolFraction,
+        liquidDensity,
+        liquidEnthalpy,
+        luDecompose,
+        luSolve,
+        meshColumn,
+        minimumRefluxForFlows,
         minimumRefluxRatio,
+        numericalJacobian,
+        operatingCurve,
+        operatingCurveThrough,
+        operatingPoints,
+        operatingSections,
+        pressureProfile,
         productRates,
+        qLineIntersection,
+        RAOULT,
         rectifyingOperatingLine,
-        rectifyingSection,
+        relativeVolatility,
+        reboilerBoilUp,
+        refluxEnthalpy,
+        ros2Integrate,
+        RIGOROUS_ENERGY_BALANCE,
+        saturatedLiquidEnthalpy,
+        saturatedVaporEnthalpy,
+        sectionIntersections,
+        shortcutDesign,
+        sideDrawCompositions,
+        sideDrawLightKey,
+        sideDrawRates,
+        sideFeedLightKey,
+        sideFeedRates,
+        sideStreamEnthalpy,
+        sideVaporRates,
+        stageEquilibrium,
+        stagePressure,
+        strippingCutFlows,
         strippingOperatingLine,
-        strippingSection,
+        theoreticalStages,
+        thomasSolve,
+        topEnthalpyRate,
+        TOTAL_CONDENSER,
+        totalRate,
+        trayHydraulics,
+        underwoodMinimumReflux,
         vapMolFraction,
-        vaporPressure
+        vaporDensity,
+        vaporEnthalpy,
+        vaporPressure,
+        weepPointVelocity,
+        wegsteinUpdate
     };
 }
\ No newline at end of file
@@ -0,0 +1,322 @@
+/**
+ * Component Library
+ *
+ * Antoine equation constants use K and bar: log10(P) = A - B / (T + C)
+ * mol_wt is lb/lb-mol
+ * hVap is the heat of vaporization at the normal boiling point in BTU/lb-mol
+ * tMin and tMax are the temperature range (K) the Antoine constants were fitted over
+ * cpLiq and cpVap are liquid and vapor heat capacities in BTU/lb-mol-F
+ * liqDensity is the liquid density at 60 F in lb/ft3 and tc the critical temperature in K, the tray hydraulics use them
+ * cpIdealGas are the ideal gas heat capacity coefficients, Cp = a + b T + c T^2 + d T^3 in J/mol-K with T in K,
+ * components without them use cpVap for the vapor
+ */
+const COMPONENT_LIBRARY = [
+    { id: 'ethane',    name: 'Ethane',    A: 4.50706, B: 791.3,    C: -6.422,  mol_wt: 30.069, hVap: 6315.5,     tMin: 130.4,  tMax: 198.2,  cpLiq: 16.4, cpVap: 12.5, liqDensity: 22.2, tc: 305.3, cpIdealGas: [5.409, 1.781e-1, -6.938e-5, 8.713e-9] },
+    { id: 'propane',   name: 'Propane',   A: 4.53678, B: 1149.36,  C: 24.906,  mol_wt: 44.097, hVap: 6986.24159, tMin: 277.6,  tMax: 360.8,  cpLiq: 27.5, cpVap: 17.6, liqDensity: 31.6, tc: 369.8, cpIdealGas: [-4.224, 3.063e-1, -1.586e-4, 3.215e-8] },
+    { id: 'isobutane', name: 'Isobutane', A: 4.3281,  B: 1132.108, C: 0.918,   mol_wt: 58.122, hVap: 9157.4,     tMin: 261.31, tMax: 408.12, cpLiq: 33.4, cpVap: 23.1, liqDensity: 35.1, tc: 407.8, cpIdealGas: [-1.390, 3.847e-1, -1.846e-4, 2.895e-8] },
+    { id: 'butane',    name: 'n-Butane',  A: 4.35576, B: 1175.581, C: -2.071,  mol_wt: 58.12,  hVap: 9630.26533, tMin: 272.66, tMax: 425.0,  cpLiq: 33.4, cpVap: 23.5, liqDensity: 36.4, tc: 425.1, cpIdealGas: [9.487, 3.313e-1, -1.108e-4, -2.822e-9] },
+    { id: 'pentane',   name: 'n-Pentane', A: 3.9892,  B: 1070.617, C: -40.454, mol_wt: 72.149, hVap: 11087.7,    tMin: 268.8,  tMax: 341.37, cpLiq: 39.9, cpVap: 28.7, liqDensity: 39.3, tc: 469.7, cpIdealGas: [-3.626, 4.873e-1, -2.580e-4, 5.305e-8] },
+    { id: 'hexane',    name: 'n-Hexane',  A: 4.00266, B: 1171.53,  C: -48.784, mol_wt: 86.175, hVap: 12403.3,    tMin: 286.18, tMax: 342.69, cpLiq: 46.7, cpVap: 34.2, liqDensity: 41.4, tc: 507.6, cpIdealGas: [-4.413, 5.820e-1, -3.119e-4, 6.494e-8] },
+    { id: 'benzene',   name: 'Benzene',   A: 4.01814, B: 1203.835, C: -53.226, mol_wt: 78.112, hVap: 13207.2,    tMin: 287.7,  tMax: 354.07, cpLiq: 32.5, cpVap: 19.7, liqDensity: 55.2, tc: 562.0, cpIdealGas: [-33.92, 4.739e-1, -3.017e-4, 7.130e-8] },
+    { id: 'toluene',   name: 'Toluene',   A: 4.07827, B: 1343.943, C: -53.773, mol_wt: 92.138, hVap: 14264.8,    tMin: 308.52, tMax: 384.66, cpLiq: 37.6, cpVap: 24.8, liqDensity: 54.4, tc: 591.8, cpIdealGas: [-24.35, 5.125e-1, -2.765e-4, 4.911e-8] },
+    { id: 'acetone',   name: 'Acetone',   A: 4.42448, B: 1312.253, C: -32.445, mol_wt: 58.079, hVap: 12510.8,    tMin: 259.16, tMax: 507.6,  cpLiq: 30.2, cpVap: 17.8, liqDensity: 49.5, tc: 508.1, cpIdealGas: [6.301, 2.606e-1, -1.253e-4, 2.038e-8] },
+    { id: 'methanol',  name: 'Methanol',  A: 5.20409, B: 1581.341, C: -33.5,   mol_wt: 32.042, hVap: 15137.5,    tMin: 288.1,  tMax: 356.83, cpLiq: 19.4, cpVap: 10.5, liqDensity: 49.7, tc: 512.6, cpIdealGas: [21.15, 7.092e-2, 2.587e-5, -2.852e-8] },
+    { id: 'ethanol',   name: 'Ethanol',   A: 5.24677, B: 1598.673, C: -46.424, mol_wt: 46.068, hVap: 16577.8,    tMin: 292.77, tMax: 366.63, cpLiq: 26.8, cpVap: 15.7, liqDensity: 49.4, tc: 513.9, cpIdealGas: [9.014, 2.141e-1, -8.390e-5, 1.373e-9] },
+    { id: 'water',     name: 'Water',     A: 4.6543,  B: 1435.264, C: -64.848, mol_wt: 18.015, hVap: 17476.4,    tMin: 255.9,  tMax: 373.0,  cpLiq: 18.0, cpVap: 8.0, liqDensity: 62.4, tc: 647.1, cpIdealGas: [32.24, 1.924e-3, 1.055e-5, -3.596e-9] }
+];
+
+const DEFAULT_LIGHT_KEY = 'propane';
+const DEFAULT_HEAVY_KEY = 'butane';
+
+const CUSTOM_COMPONENTS_KEY = 'distillation.customComponents';
+const ACTIVITY_MODELS_KEY = 'distillation.activityModels';
+
+/**
+ * Binary interaction parameters for non-ideal pairs, keyed by light key id and heavy key id
+ * component 1 is the first id in the key, pairs not listed default to Raoult's law
+ */
+const BINARY_PARAMETERS = {
+    'acetone|methanol': { type: 'wilson', a12: -161.88, a21: 583.11, V1: 74.05, V2: 40.73 },
+    'acetone|water':    { type: 'nrtl', b12: 631.05, b21: 1197.41, alpha: 0.5343 },
+    'ethanol|water':    { type: 'wilson', a12: 325.0, a21: 953.0, V1: 58.68, V2: 18.07 },
+    'methanol|water':   { type: 'wilson', a12: 107.38, a21: 469.55, V1: 40.73, V2: 18.07 }
+};
+
+/**
+ * Antoine constant unit bases accepted by the component editor
+ * temperatures relate to K by T = tempScale * T_K + tempOffset, pressures to bar by P = barFactor * P_bar
+ */
+const ANTOINE_BASES = {
+    'K/bar':  { label: 'K / bar',   tempScale: 1,     tempOffset: 0,       barFactor: 1 },
+    'C/mmHg': { label: '°C / mmHg', tempScale: 1,     tempOffset: -273.15, barFactor: 750.0616827 },
+    'F/psia': { label: '°F / psia', tempScale: 9 / 5, tempOffset: -459.67, barFactor: 14.503773773 }
+};
+
+/**
+ * converts a temperature in the given basis to K
+ * @param {number} temperature 
+ * @param {string} basis 
+ * @returns {number}
+ */
+function basisTemperatureToKelvin(temperature, basis) {
+    const units = ANTOINE_BASES[basis];
+    return (temperature - units.tempOffset) / units.tempScale;
+}
+
+/**
+ * converts Antoine constants from the given unit basis to the K/bar basis used by the VLE functions
+ *
+ * log10(P) = A - B / (T + C) keeps its form under a change of pressure unit (shifts A)
+ * and under a linear change of temperature unit (scales B and shifts C)
+ * @param {number} A 
+ * @param {number} B 
+ * @param {number} C 
+ * @param {string} basis 
+ * @returns {object}
+ */
+function normalizeAntoineConstants(A, B, C, basis) {
+    const units = ANTOINE_BASES[basis];
+    if (!units) throw new Error(`Unknown Antoine basis: ${basis}`);
+    return {
+        A: A - Math.log10(units.barFactor),
+        B: B / units.tempScale,
+        C: (C + units.tempOffset) / units.tempScale
+    };
+}
+
+/**
+ * reads the user-defined components saved in localStorage
+ * @returns {array[object]}
+ */
+function loadCustomComponents() {
+    if (typeof localStorage === 'undefined') return [];
+    try {
+        const saved = JSON.parse(localStorage.getItem(CUSTOM_COMPONENTS_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+function storeCustomComponents(components) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(CUSTOM_COMPONENTS_KEY, JSON.stringify(components));
+}
+
+/**
+ * creates a user-defined component from editor values and saves it, replacing any custom component with the same name
+ * 
+ * the Antoine constants and the valid temperature range are converted to the K/bar basis before saving,
+ * the original entries are kept under `source` so the editor can show them again
+ * @param {object} entry name, A, B, C, basis, tMin, tMax, mol_wt, hVap, cpLiq, cpVap and optionally liqDensity and tc
+ * @returns {object} the saved component
+ */
+function saveCustomComponent(entry) {
+    const constants = normalizeAntoineConstants(entry.A, entry.B, entry.C, entry.basis);
+    const components = loadCustomComponents();
+    const existing = components.find(c => c.name.toLowerCase() === entry.name.trim().toLowerCase());
+    const component = {
+        id: existing ? existing.id : `custom-${Date.now().toString(36)}`,
+        name: entry.name.trim(),
+        ...constants,
+        mol_wt: entry.mol_wt,
+        hVap: entry.hVap,
+        cpLiq: entry.cpLiq,
+        cpVap: entry.cpVap,
+        liqDensity: Number.isFinite(entry.liqDensity) ? entry.liqDensity : undefined,
+        tc: Number.isFinite(entry.tc) ? basisTemperatureToKelvin(entry.tc, entry.basis) : undefined,
+        tMin: basisTemperatureToKelvin(entry.tMin, entry.basis),
+        tMax: basisTemperatureToKelvin(entry.tMax, entry.basis),
+        custom: true,
+        source: { A: entry.A, B: entry.B, C: entry.C, basis: entry.basis, tMin: entry.tMin, tMax: entry.tMax, tc: entry.tc }
+    };
+    storeCustomComponents(existing ? components.map(c => c === existing ? component : c) : [...components, component]);
+    return component;
+}
+
+/**
+ * removes a user-defined component from localStorage
+ * @param {string} id 
+ */
+function deleteCustomComponent(id) {
+    storeCustomComponents(loadCustomComponents().filter(c => c.id !== id));
+}
+
+/**
+ * checks the editor values for a user-defined component and returns a list of problems
+ * @param {object} entry 
+ * @returns {array[string]}
+ */
+function customComponentErrors(entry) {
+    const errors = [];
+    if (!entry.name || !entry.name.trim()) errors.push('A component name is required.');
+    if (COMPONENT_LIBRARY.some(c => c.name.toLowerCase() === (entry.name || '').trim().toLowerCase())) {
+        errors.push(`${entry.name.trim()} is already in the built-in library.`);
+    }
+    if (!ANTOINE_BASES[entry.basis]) errors.push('Select a unit basis for the Antoine constants.');
+    if (![entry.A, entry.B, entry.C].every(Number.isFinite)) errors.push('Antoine constants A, B and C are required.');
+    else if (entry.B <= 0) errors.push('Antoine constant B must be positive.');
+    if (!(entry.mol_wt > 0)) errors.push('Molecular weight must be positive.');
+    if (!(entry.hVap > 0)) errors.push('Heat of vaporization must be positive.');
+    if (!(entry.cpLiq > 0) || !(entry.cpVap > 0)) errors.push('Liquid and vapor heat capacities must be positive.');
+    // the liquid density and critical temperature are only needed for the tray hydraulics, so they may be left blank
+    if (Number.isFinite(entry.liqDensity) && !(entry.liqDensity > 0)) errors.push('Liquid density must be positive.');
+    if (Number.isFinite(entry.tc) && Number.isFinite(entry.tMax) && entry.tc <= entry.tMax) {
+        errors.push('The critical temperature must be above the valid temperature range.');
+    }
+    if (!Number.isFinite(entry.tMin) || !Number.isFinite(entry.tMax) || entry.tMin >= entry.tMax) {
+        errors.push('The valid temperature range needs a minimum below the maximum.');
+    } else if (Number.isFinite(entry.C) && (entry.tMin + entry.C <= 0 || entry.tMax + entry.C <= 0)) {
+        // the Antoine equation is singular where T + C = 0
+        errors.push('T + C must stay positive over the valid temperature range.');
+    }
+    return errors;
+}
+
+/**
+ * returns every component available for selection
+ * @returns {array[object]}
+ */
+function listComponents() {
+    return [...COMPONENT_LIBRARY, ...loadCustomComponents()];
+}
+
+/**
+ * looks up a component by id
+ * @param {string} id
+ * @returns {object|undefined}
+ */
+function getComponent(id) {
+    return listComponents().find(c => c.id === id);
+}
+
+/**
+ * swaps the component order of an activity model's parameters
+ * @param {object} model 
+ * @returns {object}
+ */
+function swapActivityModel(model) {
+    switch (model.type) {
+        case 'margules3':
+            return { ...model, A12: model.A21, A21: model.A12 };
+        case 'wilson':
+            return { ...model, a12: model.a21, a21: model.a12, V1: model.V2, V2: model.V1 };
+        case 'nrtl':
+            return { ...model, b12: model.b21, b21: model.b12 };
+        default:
+            return { ...model };
+    }
+}
+
+function loadActivityModels() {
+    if (typeof localStorage === 'undefined') return {};
+    try {
+        return JSON.parse(localStorage.getItem(ACTIVITY_MODELS_KEY) || '{}') || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+function storeActivityModels(models) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(ACTIVITY_MODELS_KEY, JSON.stringify(models));
+}
+
+/**
+ * looks up a pair in a table keyed by 'light|heavy', swapping the parameters when only the reverse order is listed
+ * @param {object} table 
+ * @param {string} lightId 
+ * @param {string} heavyId 
+ * @returns {object|undefined}
+ */
+function lookupPair(table, lightId, heavyId) {
+    if (table[`${lightId}|${heavyId}`]) return { ...table[`${lightId}|${heavyId}`] };
+    if (table[`${heavyId}|${lightId}`]) return swapActivityModel(table[`${heavyId}|${lightId}`]);
+    return undefined;
+}
+
+/**
+ * returns the library activity model for a pair, ignoring any saved parameters
+ * @param {string} lightId 
+ * @param {string} heavyId 
+ * @returns {object}
+ */
+function libraryActivityModel(lightId, heavyId) {
+    return lookupPair(BINARY_PARAMETERS, lightId, heavyId) || { type: 'raoult' };
+}
+
+/**
+ * returns the activity model for a pair, saved parameters take priority over the library
+ * @param {string} lightId 
+ * @param {string} heavyId 
+ * @returns {object}
+ */
+function getActivityModel(lightId, heavyId) {
+    return lookupPair(loadActivityModels(), lightId, heavyId) || libraryActivityModel(lightId, heavyId);
+}
+
+/**
+ * saves the activity model for a pair to localStorage
+ * @param {string} lightId 
+ * @param {string} heavyId 
+ * @param {object} model 
+ */
+function saveActivityModel(lightId, heavyId, model) {
+    const models = loadActivityModels();
+    delete models[`${heavyId}|${lightId}`];
+    models[`${lightId}|${heavyId}`] = model;
+    storeActivityModels(models);
+}
+
+/**
+ * removes saved parameters for a pair so the library values are used again
+ * @param {string} lightId 
+ * @param {string} heavyId 
+ */
+function resetActivityModel(lightId, heavyId) {
+    const models = loadActivityModels();
+    delete models[`${lightId}|${heavyId}`];
+    delete models[`${heavyId}|${lightId}`];
+    storeActivityModels(models);
+}
+
+/**
+ * checks temperatures (F) against the range a component's Antoine constants were fitted over
+ * @param {array[number]} temperatures 
+ * @param {object} antConsts 
+ * @returns {object|null} the lowest and highest temperature when any fall outside the range
+ */
+function antoineRangeViolation(temperatures, antConsts) {
+    if (!Number.isFinite(antConsts.tMin) || !Number.isFinite(antConsts.tMax)) return null;
+    const tempsK = temperatures.filter(Number.isFinite).map(t => (t - 32) * 5 / 9 + 273.15);
+    if (tempsK.length === 0) return null;
+    const lowest = Math.min(...tempsK);
+    const highest = Math.max(...tempsK);
+    if (lowest >= antConsts.tMin && highest <= antConsts.tMax) return null;
+    return { lowest, highest };
+}
+
+// Conditional exports for Node.js testing
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        ANTOINE_BASES,
+        antoineRangeViolation,
+        basisTemperatureToKelvin,
+        BINARY_PARAMETERS,
+        COMPONENT_LIBRARY,
+        customComponentErrors,
+        DEFAULT_HEAVY_KEY,
+        DEFAULT_LIGHT_KEY,
+        deleteCustomComponent,
+        getActivityModel,
+        getComponent,
+        libraryActivityModel,
+        listComponents,
+        loadCustomComponents,
+        normalizeAntoineConstants,
+        resetActivityModel,
+        saveActivityModel,
+        saveCustomComponent,
+        swapActivityModel
+    };
+}
@@ -0,0 +1,220 @@
+/**
+ * Diagram panels drawn from the latest simulation
+ */
+
+/**
+ * draws the McCabe-Thiele x-y diagram for a solved column
+ * the staircase is built from the tray objects so each step matches a tray card in #column
+ * @param {object|null} simulation result of runSimulation, null when there is nothing to draw
+ */
+function renderMcCabeThiele(simulation) {
+    const container = document.getElementById('mccabe-thiele');
+    if (!container) return;
+    if (!simulation) {
+        showChartMessage(container, 'Enter a feasible case to draw the McCabe-Thiele diagram.');
+        return;
+    }
+    const { light, heavy, activityModel, pressure, stagePressures, xFeed, xDistillate, xBottoms, xReflux, feedQ, trays, sections, sideDraws, sideFeeds } = simulation;
+    const chart = createChart(container, {
+        xRange: [0, 1],
+        yRange: [0, 1],
+        xLabel: `x, liquid mole fraction ${light.name}`,
+        yLabel: `y, vapor mole fraction ${light.name}`
+    });
+
+    const equilibrium = [];
+    for (let i = 0; i <= 50; i++) {
+        const x = i / 50;
+        equilibrium.push([x, vapMolFraction(pressure, x, light, heavy, activityModel)]);
+    }
+    plotLine(chart, [[0, 0], [1, 1]], 'diagonal-line');
+    plotLine(chart, equilibrium, 'equilibrium-line');
+
+    // each feed has its own q-line, flashed at the pressure of its tray
+    for (const feed of [{ composition: xFeed, q: feedQ, tray: simulation.feedTray }, ...sideFeeds]) {
+        const [xPinch, yPinch] = qLineIntersection(feed.composition, feed.q, stagePressure(stagePressures, feed.tray), light, heavy, activityModel);
+        plotLine(chart, [[feed.composition, feed.composition], [xPinch, yPinch]], 'q-line');
+    }
+    // each operating line section runs between where it meets the sections above and below it,
+    // the rectifying and stripping sections meet on the q-line and a side draw or side feed adds a section in between
+    // with the rigorous energy balance L/V changes on every tray and the operating curve runs through the tray points instead
+    const rigorous = simulation.energyBalance?.type === 'rigorous';
+    if (rigorous) {
+        const points = simulation.operatingPoints;
+        // points 0 and 1 are the distillate and the reflux, point k + 1 pairs the liquid from tray k with the vapor from below it
+        const feedPoint = simulation.feedTray + 1;
+        setTooltip(plotLine(chart, points.slice(0, feedPoint + 1), 'rectifying-line'), 'Rectifying operating curve from the energy balance');
+        setTooltip(plotLine(chart, points.slice(feedPoint), 'stripping-line'), 'Stripping operating curve from the energy balance');
+    } else {
+        const ends = [xDistillate, ...sectionIntersections(sections), xBottoms];
+        sections.forEach((section, i) => {
+            const className = i === 0 ? 'rectifying-line' : i === sections.length - 1 ? 'stripping-line' : 'intermediate-line';
+            const line = plotLine(chart, [ends[i + 1], ends[i]].map(x => [x, section.slope * x + section.intercept]), className);
+            setTooltip(line, `${section.tray === 0 ? 'Top of column' : `Below tray ${section.tray}`}: slope L/V = ${fmt(section.slope, 3)}`);
+        });
+    }
+
+    // each stage steps across to the equilibrium curve then down to the operating line below it
+    const steps = svgElement('g', { class: 'stage-steps' });
+    // a partial condenser is the first equilibrium stage, its vapor distillate is in equilibrium with the reflux
+    if (simulation.condenser.type !== 'total') {
+        const yCondenser = vapMolFraction(stagePressure(stagePressures, 0), xReflux, light, heavy, activityModel);
+        const group = svgElement('g', { class: 'stage-step', 'data-stage': 'condenser' });
+        plotLine(chart, [[xDistillate, yCondenser], [xReflux, yCondenser], [xReflux, trays[0].vapComp]], 'step-line', group);
+        setTooltip(group, `Condenser: x = ${fmt(xReflux, 3)}, y = ${fmt(yCondenser, 3)}`);
+        group.addEventListener('mouseenter', () => linkStage('condenser', true));
+        group.addEventListener('mouseleave', () => linkStage('condenser', false));
+        steps.appendChild(group);
+    }
+    let xAbove = xReflux;
+    trays.forEach((tray, i) => {
+        const yBelow = i + 1 < trays.length ? trays[i + 1].vapComp : tray.liqComp;
+        const stage = tray.trayNumber > simulation.totalTrays ? 'reboiler' : tray.trayNumber;
+        const group = svgElement('g', { class: 'stage-step', 'data-stage': stage });
+        plotLine(chart, [[xAbove, tray.vapComp], [tray.liqComp, tray.vapComp], [tray.liqComp, yBelow]], 'step-line', group);
+        const name = stage === 'reboiler' ? 'Reboiler' : `Tray ${stage}`;
+        const equilibrium = Math.abs(tray.vapEquilibrium - tray.vapComp) > 5e-4 ? ` (y* = ${fmt(tray.vapEquilibrium, 3)})` : '';
+        setTooltip(group, `${name}: x = ${fmt(tray.liqComp, 3)}, y = ${fmt(tray.vapComp, 3)}${equilibrium}, T = ${fmt(displayValue(tray.temperature, 'temperature'), 0)} ${unitLabel('temperature')}`);
+        group.addEventListener('mouseenter', () => linkStage(stage, true));
+        group.addEventListener('mouseleave', () => linkStage(stage, false));
+        steps.appendChild(group);
+        xAbove = tray.liqComp;
+    });
+    chart.plot.appendChild(steps);
+
+    plotMarker(chart, xDistillate, xDistillate, 'xD', 'spec-marker');
+    plotMarker(chart, xFeed, xFeed, sideFeeds.length ? 'xF1' : 'xF', 'spec-marker');
+    sideFeeds.forEach((feed, i) => {
+        const marker = plotMarker(chart, feed.composition, feed.composition, `xF${i + 2}`, 'spec-marker');
+        setTooltip(marker, `Feed ${i + 2}: tray ${feed.tray}, z = ${fmt(feed.composition, 3)}, q = ${fmt(feed.q, 2)}`);
+    });
+    plotMarker(chart, xBottoms, xBottoms, 'xB', 'spec-marker');
+    sideDraws.forEach((draw, i) => {
+        const marker = plotMarker(chart, draw.composition, draw.composition, `S${i + 1}`, 'spec-marker');
+        setTooltip(marker, `Side draw ${i + 1}: ${draw.phase} from tray ${draw.tray}, ${fmt(draw.composition, 3)}`);
+    });
+    // with a pressure drop the trays are each in equilibrium at their own pressure and the curve is only drawn at the feed tray
+    addLegend(container, [
+        [Array.isArray(stagePressures) ? `Equilibrium at ${fmt(displayValue(pressure, 'pressure'), 1)} ${unitLabel('pressure')}` : 'Equilibrium', 'equilibrium-line'],
+        ['Rectifying', 'rectifying-line'],
+        ...(sections.length > 2 && !rigorous ? [['Intermediate', 'intermediate-line']] : []),
+        ['Stripping', 'stripping-line'],
+        ['q-line', 'q-line'],
+        ['Stages', 'step-line']
+    ]);
+}
+
+/**
+ * highlights a stage in both the diagram and the column
+ * @param {number|string} stage tray number or 'reboiler'
+ * @param {boolean} on
+ */
+function linkStage(stage, on) {
+    document.querySelectorAll(`[data-stage="${stage}"]`).forEach(el => el.classList.toggle('linked', on));
+    const card = document.querySelector(`[data-stage="${stage}"]:not(.stage-step)`);
+    if (on && card && typeof card.scrollIntoView === 'function') {
+        card.scrollIntoView({ block: 'nearest' });
+    }
+}
+
+/**
+ * highlights the matching diagram step while a tray card is hovered
+ */
+function setupStageLinks() {
+    for (const el of [document.getElementById('column'), document.querySelector('[data-stage="condenser"]'), document.querySelector('[data-stage="reboiler"]')]) {
+        if (!el) continue;
+        el.addEventListener('mouseover', event => {
+            const card = event.target.closest('[data-stage]');
+            if (card) document.querySelectorAll(`.stage-step[data-stage="${card.dataset.stage}"]`).forEach(s => s.classList.add('linked'));
+        });
+        el.addEventListener('mouseout', event => {
+            const card = event.target.closest('[data-stage]');
+            if (card) document.querySelectorAll(`.stage-step[data-stage="${card.dataset.stage}"]`).forEach(s => s.classList.remove('linked'));
+        });
+    }
+}
+
+/**
+ * draws the bubble and dew curves for the key pair
+ * T-x-y mode holds the column pressure, P-x-y mode holds the temperature entered beside the chart
+ * @param {object|null} system light, heavy, activityModel, pressure and the feed and product compositions
+ */
+function renderPhaseDiagram(system) {
+    const container = document.getElementById('phase-diagram');
+    if (!container) return;
+    if (!system) {
+        showChartMessage(container, 'Choose a valid key pair and column pressure to draw the phase diagram.');
+        return;
+    }
+    const { light, heavy, activityModel, pressure } = system;
+    const isothermal = document.getElementById('phaseDiagramMode').value === 'pxy';
+    const temperatureInput = document.getElementById('phaseDiagramTemperature');
+    // the isothermal diagram defaults to the feed bubble point at column pressure
+    const temperature = Number.isFinite(temperatureInput.valueAsNumber) ? inputBaseValue(temperatureInput) :
+        equilibriumTemperatureFromX(pressure, Number.isFinite(system.xFeed) ? system.xFeed : 0.5, light, heavy, activityModel);
+    temperatureInput.placeholder = fmt(displayValue(temperature, 'temperature'), 0);
+
+    // the curves are drawn in display units
+    const quantity = isothermal ? 'pressure' : 'temperature';
+    const bubbleAt = isothermal ?
+        x => displayValue(bubblePointPressure(temperature, x, light, heavy, activityModel), quantity) :
+        x => displayValue(equilibriumTemperatureFromX(pressure, x, light, heavy, activityModel), quantity);
+    const dewAt = isothermal ?
+        y => displayValue(dewPointPressure(temperature, y, light, heavy, activityModel), quantity) :
+        y => displayValue(equilibriumTemperatureFromY(pressure, y, light, heavy, activityModel), quantity);
+    const bubble = [];
+    const dew = [];
+    for (let i = 0; i <= 50; i++) {
+        const z = i / 50;
+        bubble.push([z, bubbleAt(z)]);
+        dew.push([z, dewAt(z)]);
+    }
+    const values = [...bubble, ...dew].map(([, v]) => v).filter(Number.isFinite);
+    if (values.length === 0) {
+        showChartMessage(container, 'The bubble and dew points could not be found for this pair.');
+        return;
+    }
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const pad = (high - low) * 0.05 || 1;
+    const chart = createChart(container, {
+        xRange: [0, 1],
+        yRange: [low - pad, high + pad],
+        xLabel: `x, y mole fraction ${light.name}`,
+        yLabel: isothermal ?
+            `Pressure, ${unitLabel('pressure')} at ${fmt(displayValue(temperature, 'temperature'), 0)} ${unitLabel('temperature')}` :
+            `Temperature, ${unitLabel('temperature')} at ${fmt(displayValue(pressure, 'pressure'), 1)} ${unitLabel('pressure')}`,
+        // pressure ticks in bar can fall between whole numbers
+        yTickFormat: v => `${+v.toFixed(2)}`
+    });
+    plotLine(chart, bubble, 'bubble-line');
+    plotLine(chart, dew, 'dew-line');
+
+    for (const [label, z] of [['xF', system.xFeed], ['xD', system.xDistillate], ['xB', system.xBottoms]]) {
+        if (!Number.isFinite(z)) continue;
+        plotLine(chart, [[z, low - pad], [z, high + pad]], 'spec-line');
+        const marker = plotMarker(chart, z, bubbleAt(z), label, 'spec-marker');
+        setTooltip(marker, `${label} = ${fmt(z, 3)}, bubble point ${fmt(bubbleAt(z), 1)} ${unitLabel(quantity)}`);
+    }
+    addLegend(container, [
+        ['Bubble point', 'bubble-line'],
+        ['Dew point', 'dew-line'],
+        ['Specifications', 'spec-line']
+    ]);
+}
+
+/**
+ * redraws the phase diagram when its own controls change
+ * @param {function} currentSystem returns the system to draw from the main form
+ */
+function setupPhaseDiagramControls(currentSystem) {
+    const controls = document.getElementById('phase-diagram-controls');
+    if (!controls) return;
+    const modeInput = document.getElementById('phaseDiagramMode');
+    const update = () => {
+        controls.querySelector('[data-phase-mode="pxy"]').hidden = modeInput.value !== 'pxy';
+        renderPhaseDiagram(currentSystem());
+    };
+    controls.addEventListener('change', update);
+    controls.querySelector('[data-phase-mode="pxy"]').hidden = modeInput.value !== 'pxy';
+}
@@ -0,0 +1,235 @@
+/**
+ * Dynamic simulation panel, runs the solved column forward in time and shows each tray respond as the inputs are stepped
+ */
+
+// real time between frames in ms
+const DYNAMIC_TICK = 200;
+
+// points kept on the trend, every other point is dropped when it fills
+const DYNAMIC_HISTORY = 400;
+
+/**
+ * reads the holdups from the panel
+ * @returns {object|null} drum, tray and sump residence times in hours, null when an entry is not valid
+ */
+function dynamicHoldup() {
+    const inputs = ['drumResidence', 'trayResidence', 'sumpResidence'].map(id => document.getElementById(id));
+    if (!inputs.every(input => input.validity.valid)) return null;
+    const [drum, tray, sump] = inputs.map(input => input.valueAsNumber / 60);
+    return { drum, tray, sump };
+}
+
+/**
+ * shows a dynamic state in the column, the condenser, the reboiler and the flow rates
+ * @param {object} model result of dynamicColumn
+ * @param {object} profile result of dynamicProfile
+ */
+function renderDynamicColumn(model, profile) {
+    const { light, heavy, steady, inputs } = model;
+    const last = model.pressures.length - 1;
+    const percent = x => fmt(x * 100, 1) + '%';
+    const show = (node, j) => {
+        node.querySelector('.x').textContent = percent(profile.liqComp[j]);
+        node.querySelector('.T').textContent = fmt(displayValue(profile.temperature[j], 'temperature'), 0);
+        setCompositionBars(node, profile.liqComp[j], profile.vapComp[j === 0 ? 1 : j]);
+    };
+    document.querySelectorAll('#column .tray[data-stage]').forEach(node => {
+        const j = Number(node.dataset.stage);
+        if (!(j > 0 && j < last)) return;
+        show(node, j);
+        node.querySelector('.y').textContent = percent(profile.vapComp[j]);
+        node.querySelector('.y-eq').textContent = percent(profile.vapEquilibrium[j]);
+        node.querySelector('.L').textContent = fmt(displayValue(profile.liqRate[j], 'molarFlow'), 1);
+        node.querySelector('.V').textContent = fmt(displayValue(profile.vapRate[j], 'molarFlow'), 1);
+    });
+
+    // the condenser duty follows the vapor it condenses and its latent heat, the reflux leaves less any subcooling
+    const condenserNode = document.querySelector('[data-stage="condenser"]');
+    const condenserDuty = steady.condenserDuty * profile.vapRate[1] * calculateDuty(1, profile.vapComp[1], light, heavy) /
+        (steady.vapRate[1] * steady.topLatentHeat);
+    show(condenserNode, 0);
+    condenserNode.querySelector('.y').textContent = percent(profile.vapComp[1]);
+    condenserNode.querySelector('.T').textContent = fmt(displayValue(profile.temperature[0] - (model.condenser.subcooling || 0), 'temperature'), 0);
+    condenserNode.querySelector('.duty-value').textContent = fmt(displayValue(condenserDuty, 'duty'), 0);
+    const reboilerNode = document.querySelector('[data-stage="reboiler"]');
+    show(reboilerNode, last);
+    reboilerNode.querySelector('.y').textContent = percent(profile.vapComp[last]);
+    reboilerNode.querySelector('.duty-value').textContent = fmt(displayValue(inputs.reboilerDuty, 'duty'), 0);
+
+    const xDistillate = dynamicDistillateComposition(model, profile);
+    const mass = (rate, composition) => fmt(displayValue(molarToMass(rate, composition, light, heavy), 'massFlow'), 0);
+    document.getElementById('dist-rate').textContent = mass(profile.distRate, xDistillate);
+    document.getElementById('btms-rate').textContent = mass(profile.btmsRate, profile.liqComp[last]);
+    document.getElementById('reflux-rate').textContent = mass(inputs.refluxRate, profile.liqComp[0]);
+    document.getElementById('reflux-ratio').textContent = fmt(inputs.refluxRate / profile.distRate, 2);
+}
+
+/**
+ * @param {object} model result of dynamicColumn
+ * @param {object} profile result of dynamicProfile
+ * @returns {number} light key mole fraction of the liquid and vapor distillate together
+ */
+function dynamicDistillateComposition(model, profile) {
+    return model.vaporFraction * profile.vapComp[0] + (1 - model.vaporFraction) * profile.liqComp[0];
+}
+
+/**
+ * draws the product purities against time, the light key in the distillate and the heavy key in the bottoms
+ * @param {HTMLElement} container
+ * @param {array[array[number]]} history minutes and the distillate and bottoms purities in %
+ */
+function renderDynamicChart(container, history) {
+    const purities = history.flatMap(([, distillate, bottoms]) => [distillate, bottoms]);
+    const [low, high] = [Math.min(...purities), Math.max(...purities)];
+    const margin = Math.max((high - low) * 0.1, 0.05);
+    const end = Math.max(history[history.length - 1][0], 1);
+    const chart = createChart(container, {
+        xRange: [0, end],
+        yRange: [Math.max(0, low - margin), Math.min(100, high + margin)],
+        xLabel: 'Time, min',
+        yLabel: 'Purity, %',
+        height: 300,
+        xTickFormat: v => `${+v.toFixed(1)}`,
+        yTickFormat: v => `${+v.toFixed(2)}`
+    });
+    plotLine(chart, history.map(([t, distillate]) => [t, distillate]), 'distillate-line');
+    plotLine(chart, history.map(([t, , bottoms]) => [t, bottoms]), 'bottoms-line');
+    addLegend(container, [
+        ['Distillate', 'distillate-line'],
+        ['Bottoms', 'bottoms-line']
+    ]);
+}
+
+/**
+ * runs the solved column forward in time on request, steps its inputs as they are changed and plays it at the chosen speed
+ * @param {function} currentColumn returns the solved column, null when it did not solve
+ * @param {function} restore shows the steady state in the column again
+ * @returns {function} starts the run again from the steady state once the column has been solved again
+ */
+function setupDynamicControls(currentColumn, restore) {
+    const controls = document.getElementById('dynamic-controls');
+    if (!controls) return () => {};
+    const panel = document.getElementById('dynamic-summary');
+    const [playButton, pauseButton, resetButton] = ['dynamic-play', 'dynamic-pause', 'dynamic-reset'].map(id => document.getElementById(id));
+    const stepInputs = document.getElementById('dynamic-inputs');
+    const input = id => document.getElementById(id);
+    let source = null;
+    let model = null;
+    let history = [];
+    let timer = null;
+    let message = '';
+    let failed = false;
+
+    const render = () => {
+        const profile = model && dynamicProfile(model, model.state);
+        const last = model && model.pressures.length - 1;
+        const values = model ? {
+            time: fmt(model.time * 60, 1),
+            status: timer ? 'running' : model.time > 0 ? 'paused' : 'steady state',
+            distillate: fmt(dynamicDistillateComposition(model, profile) * 100, 2),
+            bottoms: fmt(profile.liqComp[last] * 100, 2),
+            drumLevel: fmt(profile.holdup[0] / model.steady.holdup[0] * 100, 0),
+            sumpLevel: fmt(profile.holdup[last] / model.steady.holdup[last] * 100, 0)
+        } : {};
+        panel.querySelectorAll('[data-dynamic]').forEach(el => el.textContent = values[el.dataset.dynamic] ?? '-');
+        const container = document.getElementById('dynamic-chart');
+        if (!model) showChartMessage(container, message || 'Solve the column to run it in time.');
+        else renderDynamicChart(container, history);
+        const msg = document.getElementById('dynamic-msg');
+        msg.textContent = model ? message : '';
+        msg.hidden = !msg.textContent;
+        playButton.disabled = !model || !!timer || failed;
+        pauseButton.disabled = !timer;
+        resetButton.disabled = !source;
+        stepInputs.disabled = !model;
+    };
+    const record = () => {
+        const profile = dynamicProfile(model, model.state);
+        history.push([model.time * 60, dynamicDistillateComposition(model, profile) * 100, (1 - profile.liqComp[profile.liqComp.length - 1]) * 100]);
+        if (history.length > DYNAMIC_HISTORY) history = history.filter((point, i) => i % 2 === 0 || i === history.length - 1);
+        return profile;
+    };
+    const pause = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+    // the steps start from the steady inputs, each one is only read back once it is changed
+    const start = () => {
+        pause();
+        source = currentColumn();
+        const holdup = dynamicHoldup();
+        model = source && holdup ? dynamicColumn(source, source.light, source.heavy, source.activityModel, holdup) : null;
+        message = source && !holdup ? 'Enter a holdup for the drum, the trays and the sump.' : '';
+        failed = false;
+        history = [];
+        if (model) {
+            const { inputs, light, heavy } = model;
+            input('dynamicFeedRate').value = +displayValue(molarToMass(inputs.feedRate, inputs.feedComp, light, heavy), 'massFlow').toPrecision(6);
+            input('dynamicFeedComposition').value = +(inputs.feedComp * 100).toPrecision(6);
+            input('dynamicReflux').value = +displayValue(molarToMass(inputs.refluxRate, source.xReflux, light, heavy), 'massFlow').toPrecision(6);
+            input('dynamicReboilerDuty').value = +displayValue(inputs.reboilerDuty, 'duty').toPrecision(6);
+            record();
+        }
+        render();
+    };
+    const reset = () => {
+        pause();
+        if (model && model.time > 0) restore();
+        start();
+    };
+    const tick = () => {
+        // a column solved again since the run started has replaced it
+        if (currentColumn() !== source) {
+            start();
+            return;
+        }
+        const speed = Number(input('dynamicSpeed').value);
+        if (advanceDynamicColumn(model, speed * DYNAMIC_TICK / 1000 / 3600)) {
+            renderDynamicColumn(model, record());
+            timer = setTimeout(tick, DYNAMIC_TICK);
+        } else {
+            pause();
+            failed = true;
+            message = `The integration failed at ${fmt(model.time * 60, 1)} min, reset the run.`;
+        }
+        render();
+    };
+
+    controls.addEventListener('change', reset);
+    stepInputs.addEventListener('change', event => {
+        if (!model) return;
+        const { inputs, light, heavy } = model;
+        const entry = event.target;
+        if (![...stepInputs.querySelectorAll('input')].every(el => el.validity.valid)) {
+            message = 'Enter a valid value to step the input.';
+            render();
+            return;
+        }
+        if (entry.id === 'dynamicFeedRate' || entry.id === 'dynamicFeedComposition') {
+            inputs.feedComp = input('dynamicFeedComposition').valueAsNumber / 100;
+            inputs.feedRate = massToMolar(inputBaseValue(input('dynamicFeedRate')), inputs.feedComp, light, heavy);
+        } else if (entry.id === 'dynamicReflux') {
+            // the reflux is metered by mass, it leaves at the composition in the drum now
+            inputs.refluxRate = massToMolar(inputBaseValue(entry), dynamicProfile(model, model.state).liqComp[0], light, heavy);
+        } else if (entry.id === 'dynamicReboilerDuty') {
+            inputs.reboilerDuty = inputBaseValue(entry);
+        }
+        if (!failed) message = '';
+        render();
+    });
+    playButton.addEventListener('click', () => {
+        if (currentColumn() !== source) start();
+        if (!model || timer) return;
+        timer = setTimeout(tick, DYNAMIC_TICK);
+        render();
+    });
+    pauseButton.addEventListener('click', () => {
+        pause();
+        render();
+    });
+    resetButton.addEventListener('click', reset);
+    render();
+    return () => {
+        if (currentColumn() !== source) start();
+    };
+}
@@ -0,0 +1,314 @@
+/**
+ * Economics panel, installed cost and utility cost of the column and the reflux ratio with the lowest total annual cost
+ *
+ * installed costs use Guthrie's correlations in the form Douglas gives them, carbon steel and sieve trays,
+ * diameters and heights in ft, exchanger areas in ft2, scaled from Guthrie's 1968 cost index to the CEPCI entered
+ */
+
+// CEPCI in mid 1968, the Marshall and Swift index of 280 the correlations were fitted at
+const GUTHRIE_BASE_CEPCI = 113.7;
+
+// overall heat transfer coefficients in BTU/hr-ft2-F
+const CONDENSER_U = 100;
+const REBOILER_U = 80;
+
+// Guthrie's design factors for a floating head condenser and a kettle reboiler
+const CONDENSER_DESIGN_FACTOR = 1.0;
+const REBOILER_DESIGN_FACTOR = 1.35;
+
+// Guthrie's tray stack factor against the tray spacing in inches, closer trays cost more for the same stack height
+const TRAY_SPACING_FACTORS = [[12, 2.2], [18, 1.4], [24, 1.0]];
+
+// the shell is taller than the tray stack by the sump and the vapor space above the top tray
+const SHELL_HEIGHT_ALLOWANCE = 1.15;
+
+// multiples of the minimum reflux ratio the optimum is searched over
+const REFLUX_FACTOR_SWEEP = { from: 1.05, to: 2.5, points: 59 };
+
+/**
+ * @param {number} traySpacing in
+ * @returns {number} Guthrie's tray spacing factor
+ */
+function traySpacingFactor(traySpacing) {
+    const [first, , last] = TRAY_SPACING_FACTORS;
+    if (traySpacing <= first[0]) return first[1];
+    if (traySpacing >= last[0]) return last[1];
+    const upper = TRAY_SPACING_FACTORS.findIndex(([spacing]) => spacing >= traySpacing);
+    const [[s1, f1], [s2, f2]] = [TRAY_SPACING_FACTORS[upper - 1], TRAY_SPACING_FACTORS[upper]];
+    return f1 + (f2 - f1) * (traySpacing - s1) / (s2 - s1);
+}
+
+/**
+ * log mean temperature difference between a condensing stream and the cooling water
+ * @param {number} temperature condensing temperature
+ * @param {number} supply cooling water supply temperature
+ * @param {number} returned cooling water return temperature
+ * @returns {number}
+ */
+function condenserLmtd(temperature, supply, returned) {
+    const [hot, cold] = [temperature - supply, temperature - returned];
+    return hot === cold ? hot : (hot - cold) / Math.log(hot / cold);
+}
+
+/**
+ * checks that the utilities can condense the overhead and boil the bottoms
+ * @param {number} condenserTemperature F
+ * @param {number} reboilerTemperature F
+ * @param {object} prices steam and cooling water temperatures in F
+ * @returns {array[string]}
+ */
+function utilityProblems(condenserTemperature, reboilerTemperature, prices) {
+    const problems = [];
+    const temperature = t => `${fmt(displayValue(t, 'temperature'), 0)} ${unitLabel('temperature')}`;
+    if (!(prices.coolingWaterReturn > prices.coolingWaterSupply)) {
+        problems.push('The cooling water must return warmer than it is supplied.');
+    } else if (!(condenserTemperature > prices.coolingWaterReturn)) {
+        problems.push(`The condenser at ${temperature(condenserTemperature)} is colder than the cooling water return, raise the column pressure or use colder cooling water.`);
+    }
+    if (!(prices.steamTemperature > reboilerTemperature)) {
+        problems.push(`The reboiler at ${temperature(reboilerTemperature)} is hotter than the steam, use higher pressure steam.`);
+    }
+    return problems;
+}
+
+/**
+ * estimates the installed cost of the column and its exchangers and the yearly cost of running it
+ * @param {object} column trays, traySpacing and diameter in inches, duties in kBTU/hr and condenser and reboiler temperatures in F
+ * @param {object} prices utility prices in $/MMBTU, steam and cooling water temperatures, operating hours, CEPCI and payback period
+ * @returns {object} installed costs in $, annual costs in $/yr
+ */
+function columnEconomics(column, prices) {
+    const index = prices.cepci / GUTHRIE_BASE_CEPCI;
+    const diameter = column.diameter / 12;
+    const stackHeight = column.trays * column.traySpacing / 12;
+    const condenserArea = column.condenserDuty * 1000 / (CONDENSER_U * condenserLmtd(column.condenserTemperature, prices.coolingWaterSupply, prices.coolingWaterReturn));
+    const reboilerArea = column.reboilerDuty * 1000 / (REBOILER_U * (prices.steamTemperature - column.reboilerTemperature));
+    const installed = {
+        shell: index * 101.9 * Math.pow(diameter, 1.066) * Math.pow(SHELL_HEIGHT_ALLOWANCE * stackHeight, 0.802) * (2.18 + 1),
+        trays: index * 4.7 * Math.pow(diameter, 1.55) * stackHeight * traySpacingFactor(column.traySpacing),
+        condenser: index * 101.3 * Math.pow(condenserArea, 0.65) * (2.29 + CONDENSER_DESIGN_FACTOR),
+        reboiler: index * 101.3 * Math.pow(reboilerArea, 0.65) * (2.29 + REBOILER_DESIGN_FACTOR)
+    };
+    const capital = installed.shell + installed.trays + installed.condenser + installed.reboiler;
+    const steam = column.reboilerDuty / 1000 * prices.hours * prices.steamPrice;
+    const coolingWater = column.condenserDuty / 1000 * prices.hours * prices.coolingWaterPrice;
+    const annualCapital = capital / prices.paybackPeriod;
+    return {
+        ...installed,
+        condenserArea,
+        reboilerArea,
+        capital,
+        annualCapital,
+        steam,
+        coolingWater,
+        operating: steam + coolingWater,
+        total: annualCapital + steam + coolingWater
+    };
+}
+
+/**
+ * sizes a column from the shortcut design at a multiple of the minimum reflux ratio
+ *
+ * the duties are the latent heat of the vapor leaving the top tray and the boil up,
+ * the diameter is taken from the top and bottom trays with the constant molal flows of each section
+ * @param {object} system feed, product specs and column set up from the main form
+ * @param {number} refluxFactor ratio of the reflux ratio to the minimum
+ * @param {object} hydraulics tray design from the main form
+ * @returns {object|null} the shortcut design and the column to cost, null when there is no design or no diameter
+ */
+function shortcutColumn(system, refluxFactor, hydraulics) {
+    const { light, heavy, activityModel, pressure, feedRate, xFeed, feedQ, xDistillate, xBottoms } = system;
+    const design = shortcutDesign(feedRate, xFeed, xDistillate, xBottoms, pressure, light, heavy, activityModel, feedQ, refluxFactor, system.efficiency, system.condenser);
+    if (!design) return null;
+    const [distillateRate, bottomsRate] = productRates(feedRate, xFeed, xDistillate, xBottoms);
+    const vapRate = (design.refluxRatio + 1) * distillateRate;
+    const boilUpRate = vapRate - (1 - feedQ) * feedRate;
+    const condenserTemperature = equilibriumTemperatureFromX(pressure, xDistillate, light, heavy, activityModel);
+    const reboilerTemperature = equilibriumTemperatureFromX(pressure, xBottoms, light, heavy, activityModel);
+    const trays = [
+        createTrayObject(1, equilibriumTemperatureFromY(pressure, xDistillate, light, heavy, activityModel),
+            liqMolFraction(pressure, xDistillate, light, heavy, activityModel), xDistillate, design.refluxRatio, NaN, xDistillate,
+            design.refluxRatio * distillateRate, vapRate, pressure),
+        createTrayObject(2, reboilerTemperature, xBottoms, vapMolFraction(pressure, xBottoms, light, heavy, activityModel), design.refluxRatio, NaN,
+            undefined, boilUpRate + bottomsRate, boilUpRate, pressure)
+    ];
+    const sizing = trayHydraulics(trays, light, heavy, hydraulics);
+    if (!sizing || !(boilUpRate > 0)) return null;
+    return {
+        design,
+        trays: design.totalTrays,
+        traySpacing: hydraulics.traySpacing,
+        diameter: sizing.diameter,
+        condenserDuty: calculateDuty(vapRate, xDistillate, light, heavy),
+        reboilerDuty: calculateDuty(boilUpRate, xBottoms, light, heavy),
+        condenserTemperature,
+        reboilerTemperature
+    };
+}
+
+/**
+ * costs the shortcut column over a range of reflux ratios and picks the one with the lowest total annual cost
+ * @param {object} system feed, product specs and column set up from the main form
+ * @param {object} hydraulics tray design from the main form
+ * @param {object} prices
+ * @returns {object} the costed points and the optimum, null when no point could be costed
+ */
+function economicOptimum(system, hydraulics, prices) {
+    const { from, to, points } = REFLUX_FACTOR_SWEEP;
+    const sweep = [];
+    for (let i = 0; i < points; i++) {
+        const refluxFactor = from + (to - from) * i / (points - 1);
+        const column = shortcutColumn(system, refluxFactor, hydraulics);
+        if (!column) continue;
+        sweep.push({ refluxFactor, column, costs: columnEconomics(column, prices) });
+    }
+    const finite = sweep.filter(point => Number.isFinite(point.costs.total));
+    const optimum = finite.reduce((best, point) => !best || point.costs.total < best.costs.total ? point : best, null);
+    return { sweep: finite, optimum };
+}
+
+/**
+ * reads the prices and cost basis from the panel
+ * @returns {object|null} null when an entry is not valid
+ */
+function economicsPrices() {
+    const controls = document.getElementById('economics-controls');
+    const inputs = [...controls.querySelectorAll('input')];
+    if (!inputs.every(input => input.validity.valid)) return null;
+    const value = id => inputBaseValue(document.getElementById(id));
+    return {
+        steamPrice: value('steamPrice'),
+        steamTemperature: value('steamTemperature'),
+        coolingWaterPrice: value('coolingWaterPrice'),
+        coolingWaterSupply: value('coolingWaterSupply'),
+        coolingWaterReturn: value('coolingWaterReturn'),
+        hours: value('operatingHours'),
+        cepci: value('cepci'),
+        paybackPeriod: value('paybackPeriod')
+    };
+}
+
+/**
+ * draws the annual costs against the multiple of the minimum reflux ratio
+ * @param {HTMLElement} container
+ * @param {object} optimum result of economicOptimum
+ * @param {object|null} current ratio to the minimum reflux and costs of the solved column
+ */
+function renderEconomicsChart(container, optimum, current) {
+    const { sweep } = optimum;
+    const totals = sweep.map(point => point.costs.total);
+    const { from, to } = REFLUX_FACTOR_SWEEP;
+    // a solved column far above the sweep would squash the costs near the optimum
+    const marked = current && current.refluxFactor >= from && current.refluxFactor <= 2 * to ? current : null;
+    const chart = createChart(container, {
+        xRange: [1, Math.max(to, marked?.refluxFactor ?? 0)],
+        yRange: [0, Math.max(...totals, marked?.costs.total ?? 0) * 1.1],
+        xLabel: 'Reflux ratio / minimum',
+        yLabel: 'Annual cost, k$/yr',
+        height: 300,
+        xTickFormat: v => `${+v.toFixed(2)}`,
+        yTickFormat: v => fmt(v / 1000, 0)
+    });
+    plotLine(chart, sweep.map(point => [point.refluxFactor, point.costs.annualCapital]), 'capital-line');
+    plotLine(chart, sweep.map(point => [point.refluxFactor, point.costs.operating]), 'operating-line');
+    plotLine(chart, sweep.map(point => [point.refluxFactor, point.costs.total]), 'total-cost-line');
+    const best = optimum.optimum;
+    setTooltip(plotMarker(chart, best.refluxFactor, best.costs.total, 'Optimum', 'spec-marker'),
+        `R/Rmin ${fmt(best.refluxFactor, 2)}: ${best.column.trays} trays, ${fmt(best.costs.total / 1000, 0)} k$/yr`);
+    if (marked) {
+        setTooltip(plotMarker(chart, marked.refluxFactor, marked.costs.total, 'Current', 'case-marker'),
+            `Solved column at R/Rmin ${fmt(marked.refluxFactor, 2)}: ${fmt(marked.costs.total / 1000, 0)} k$/yr`);
+    }
+    addLegend(container, [
+        ['Capital', 'capital-line'],
+        ['Utilities', 'operating-line'],
+        ['Total', 'total-cost-line']
+    ]);
+}
+
+/**
+ * fills the economics panel
+ * @param {object|null} simulation the solved column with its hydraulics, null when it did not solve
+ * @param {object|null} system feed, product specs and column set up for the shortcut design, null when they are not valid
+ * @param {object} hydraulics tray design from the main form
+ * @returns {object|null} the shortcut design at the optimum, null when there is none to use
+ */
+function renderEconomics(simulation, system, hydraulics) {
+    const panel = document.getElementById('economics-summary');
+    if (!panel) return null;
+    const prices = economicsPrices();
+    const container = document.getElementById('economics-chart');
+    const message = document.getElementById('economics-msg');
+    const apply = document.getElementById('economics-apply');
+    const show = (values, text) => {
+        panel.querySelectorAll('[data-economics]').forEach(el => el.textContent = values[el.dataset.economics] ?? '-');
+        message.textContent = text;
+        message.hidden = !text;
+    };
+    apply.disabled = true;
+
+    // the overhead finishes condensing at the bubble point of the reflux, the coldest the cooling water has to reach
+    const condenserTemperature = simulation &&
+        equilibriumTemperatureFromX(stagePressure(simulation.stagePressures, 0), simulation.xReflux, simulation.light, simulation.heavy, simulation.activityModel);
+    const reboilerTemperature = simulation?.trays[simulation.trays.length - 1].temperature;
+    const problem = !prices ? 'Enter valid prices and cost basis.' :
+        !simulation ? 'Solve the column to estimate its cost.' :
+        !simulation.hydraulics ? 'The cost estimate needs the column diameter, add liquid densities for both components.' :
+        utilityProblems(condenserTemperature, reboilerTemperature, prices)[0];
+    if (problem) {
+        showChartMessage(container, problem);
+        show({}, '');
+        return null;
+    }
+
+    const costs = columnEconomics({
+        trays: simulation.totalTrays,
+        traySpacing: hydraulics.traySpacing,
+        diameter: simulation.hydraulics.diameter,
+        condenserDuty: simulation.condenserDuty,
+        reboilerDuty: simulation.reboilerDuty,
+        condenserTemperature,
+        reboilerTemperature
+    }, prices);
+    const optimum = system ? economicOptimum(system, hydraulics, prices) : null;
+    const best = optimum?.optimum;
+    const money = v => Number.isFinite(v) ? `$${Math.round(v).toLocaleString('en-US')}` : '-';
+    show({
+        shell: money(costs.shell),
+        trays: money(costs.trays),
+        exchangers: money(costs.condenser + costs.reboiler),
+        annualCapital: money(costs.annualCapital),
+        steam: money(costs.steam),
+        coolingWater: money(costs.coolingWater),
+        total: money(costs.total),
+        optimum: best ? `${fmt(best.refluxFactor, 2)} × Rmin, R ${fmt(best.column.design.refluxRatio, 2)}, ${best.column.trays} trays` : undefined,
+        optimumTotal: best ? money(best.costs.total) : undefined
+    }, !system ? 'Enter valid product specs and feed conditions to search for the optimum reflux.' :
+        !best ? 'The shortcut design could not be costed at any reflux ratio.' :
+        system.sideStreams ? 'Side feeds and side draws are left out of the reflux optimization.' : '');
+    if (!best) {
+        showChartMessage(container, 'The optimum reflux ratio needs a shortcut design at the current specs.');
+        return null;
+    }
+    const current = { refluxFactor: simulation.refluxRatio / best.column.design.minRefluxRatio, costs };
+    renderEconomicsChart(container, optimum, current);
+    apply.disabled = false;
+    return best.column.design;
+}
+
+/**
+ * redraws the economics when its own entries change and applies the optimum on request
+ * @param {function} currentColumn returns the solved column, the shortcut system and the tray design from the main form
+ * @param {function} apply takes the shortcut design at the optimum and updates the column inputs
+ */
+function setupEconomicsControls(currentColumn, apply) {
+    const controls = document.getElementById('economics-controls');
+    if (!controls) return;
+    let design = null;
+    const update = () => design = renderEconomics(...currentColumn());
+    controls.addEventListener('change', update);
+    document.getElementById('economics-apply').addEventListener('click', () => {
+        update();
+        if (design) apply(design);
+    });
+}
@@ -0,0 +1,119 @@
+/**
+ * Feed tray search panel, compares the column solved with the main feed on each tray
+ */
+
+const FEED_TRAY_OBJECTIVES = {
+    refluxRatio: { label: 'Reflux ratio, L/D', describe: v => `reflux ratio ${fmt(v, 2)}` },
+    reboilerDuty: {
+        get label() { return `Reboiler duty, ${unitLabel('duty')}`; },
+        describe: v => `reboiler duty ${fmt(v, 0)} ${unitLabel('duty')}`
+    }
+};
+
+/**
+ * picks the feed tray with the lowest value of the objective
+ * @param {array[object]} trials result of feedTraySearch
+ * @param {string} objective 'refluxRatio' or 'reboilerDuty'
+ * @returns {object|null} the best trial, null when no tray solved
+ */
+function bestFeedTray(trials, objective) {
+    return trials.filter(t => Number.isFinite(t[objective])).reduce((best, t) => !best || t[objective] < best[objective] ? t : best, null);
+}
+
+/**
+ * draws the feed tray search as a bar for each tray
+ * @param {object|null} search trials and the current feed tray, null before a search or once the inputs change
+ * @param {string} message shown instead of the chart when there is no search
+ * @returns {object|null} the best trial
+ */
+function renderFeedTraySearch(search, message = 'Search to solve the column with the feed on every tray at the current specs.') {
+    const container = document.getElementById('feed-tray-chart');
+    if (!container) return null;
+    const summary = document.getElementById('feed-tray-summary');
+    const apply = document.getElementById('feed-tray-apply');
+    const objective = document.getElementById('feedTrayObjective').value;
+    const best = search ? bestFeedTray(search.trials, objective) : null;
+    apply.disabled = !best;
+    summary.hidden = !best;
+    if (!search) {
+        showChartMessage(container, message);
+        return null;
+    }
+    if (!best) {
+        showChartMessage(container, 'The specs could not be met with the feed on any tray.');
+        return null;
+    }
+
+    // the trays far from the best need so much reflux that they are cut off to keep the rest readable
+    const values = search.trials.map(t => t[objective]).filter(Number.isFinite);
+    const top = Math.min(Math.max(...values), 4 * best[objective]) * 1.1;
+    const trayCount = search.trials.length;
+    const chart = createChart(container, {
+        xRange: [0.4, trayCount + 0.6],
+        yRange: [0, top],
+        xLabel: 'Feed tray',
+        yLabel: FEED_TRAY_OBJECTIVES[objective].label,
+        height: 300,
+        xTicks: niceTicks(1, trayCount, Math.min(trayCount, 10)).filter(Number.isInteger),
+        xTickFormat: v => `${v}`,
+        yTickFormat: v => fmt(v, objective === 'refluxRatio' ? 1 : 0)
+    });
+    for (const trial of search.trials) {
+        const current = trial.feedTray === search.feedTray ? ' current-bar' : '';
+        if (!Number.isFinite(trial[objective])) {
+            const gap = plotBar(chart, trial.feedTray, top, 0.7, `feed-tray-bar infeasible-bar${current}`);
+            setTooltip(gap, `Tray ${trial.feedTray}: the specs are not met (${trial.status})`);
+            continue;
+        }
+        const bar = plotBar(chart, trial.feedTray, trial[objective], 0.7, `feed-tray-bar${trial === best ? ' best-bar' : ''}${current}`);
+        setTooltip(bar, `Tray ${trial.feedTray}: reflux ratio ${fmt(trial.refluxRatio, 2)}, reboiler duty ${fmt(trial.reboilerDuty, 0)} ${unitLabel('duty')}`);
+    }
+    addLegend(container, [
+        ['Best', 'best-bar'],
+        ['Current', 'current-bar'],
+        ['Specs not met', 'infeasible-bar']
+    ]);
+
+    const current = search.trials.find(t => t.feedTray === search.feedTray);
+    const describe = FEED_TRAY_OBJECTIVES[objective].describe;
+    summary.textContent = `Best feed tray ${best.feedTray}: ${describe(best[objective])}.` +
+        (current && current !== best ? ` Tray ${current.feedTray} ${Number.isFinite(current[objective]) ? `needs ${describe(current[objective])}` : 'does not meet the specs'}.` : '');
+    return best;
+}
+
+/**
+ * runs the search on request, redraws it when the objective changes and applies the best tray
+ * @param {function} runSearch returns the trials and current feed tray, or a message when the search cannot run
+ * @param {function} apply takes the best feed tray and updates the column inputs
+ * @returns {function} clears the search once the inputs it was run at change
+ */
+function setupFeedTrayControls(runSearch, apply) {
+    const searchButton = document.getElementById('feed-tray-search');
+    if (!searchButton) return () => {};
+    let search = null;
+    let best = null;
+    searchButton.addEventListener('click', () => {
+        showChartMessage(document.getElementById('feed-tray-chart'), 'Searching...');
+        searchButton.disabled = true;
+        // let the message paint before the solves block the page
+        setTimeout(() => {
+            const found = runSearch();
+            search = typeof found === 'string' ? null : found;
+            best = renderFeedTraySearch(search, typeof found === 'string' ? found : undefined);
+            searchButton.disabled = false;
+        }, 0);
+    });
+    document.getElementById('feedTrayObjective').addEventListener('change', () => best = renderFeedTraySearch(search));
+    document.getElementById('feed-tray-apply').addEventListener('click', () => {
+        if (!best) return;
+        apply(best.feedTray);
+        // the chart stays for the specs it was searched at, with the new tray marked as current
+        search = { ...search, feedTray: best.feedTray };
+        best = renderFeedTraySearch(search);
+    });
+    renderFeedTraySearch(null);
+    return () => {
+        search = null;
+        best = renderFeedTraySearch(null);
+    };
+}
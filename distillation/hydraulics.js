@@ -0,0 +1,132 @@
+/**
+ * Tray hydraulics panel, sizes the column diameter and checks every tray for flooding and weeping
+ */
+
+const HYDRAULICS_COLUMNS = [
+    { label: 'Tray', value: t => t.trayNumber, digits: 0 },
+    { label: 'ρL', quantity: 'density', value: t => t.liqDensity, digits: 2 },
+    { label: 'ρV', quantity: 'density', value: t => t.vapDensity, digits: 2 },
+    { label: 'FLV', value: t => t.flowParameter, digits: 3 },
+    { label: 'Flood velocity', quantity: 'velocity', value: t => t.floodVelocity, digits: 2 },
+    { label: 'Diameter', quantity: 'length', value: t => t.requiredDiameter, digits: 1 },
+    { label: 'Flood', units: '%', value: t => t.percentFlood, digits: 0 },
+    { label: 'Status', value: t => hydraulicsProblems(t).join(', ') || 'ok' }
+];
+
+/**
+ * @param {object} load tray from trayHydraulics
+ * @returns {array[string]} the hydraulic problems of the tray
+ */
+function hydraulicsProblems(load) {
+    return [load.nearFlooding && 'near flooding', load.weeping && 'weeping'].filter(Boolean);
+}
+
+/**
+ * shows the approach to flooding in each tray card and flags the trays near flooding or weeping
+ * @param {object|null} hydraulics result of trayHydraulics
+ */
+function renderTrayHydraulics(hydraulics) {
+    const loads = new Map((hydraulics?.trays || []).map(t => [t.trayNumber, t]));
+    document.querySelectorAll('.tray[data-stage]').forEach(node => {
+        const row = node.querySelector('.hydraulics-row');
+        const load = loads.get(Number(node.dataset.stage));
+        if (!row) return;
+        row.hidden = !load;
+        if (!load) return;
+        row.querySelector('.flood').textContent = fmt(load.percentFlood, 0);
+        const flag = row.querySelector('.hydraulics-flag');
+        flag.textContent = hydraulicsProblems(load).join(', ');
+        flag.classList.toggle('near-flooding', load.nearFlooding);
+        flag.classList.toggle('weeping', load.weeping && !load.nearFlooding);
+    });
+}
+
+/**
+ * draws the approach to flooding of each tray as a bar
+ * @param {HTMLElement} container
+ * @param {object} hydraulics result of trayHydraulics
+ */
+function renderHydraulicsChart(container, hydraulics) {
+    const trayCount = hydraulics.trays.length;
+    const top = Math.max(100, ...hydraulics.trays.map(t => t.percentFlood)) * 1.05;
+    const chart = createChart(container, {
+        xRange: [0.4, trayCount + 0.6],
+        yRange: [0, top],
+        xLabel: 'Tray',
+        yLabel: 'Flood, %',
+        height: 300,
+        xTicks: niceTicks(1, trayCount, Math.min(trayCount, 10)).filter(Number.isInteger),
+        xTickFormat: v => `${v}`,
+        yTickFormat: v => fmt(v, 0)
+    });
+    plotLine(chart, [[0.4, NEAR_FLOOD_FRACTION * 100], [trayCount + 0.6, NEAR_FLOOD_FRACTION * 100]], 'spec-line');
+    for (const load of hydraulics.trays) {
+        const className = load.nearFlooding ? 'near-flood-bar' : load.weeping ? 'weeping-bar' : 'flood-bar';
+        const bar = plotBar(chart, load.trayNumber, load.percentFlood, 0.7, className);
+        setTooltip(bar, `Tray ${load.trayNumber}: ${fmt(load.percentFlood, 0)}% flood, ` +
+            `hole velocity ${fmt(displayValue(load.holeVelocity, 'velocity'), 1)} ${unitLabel('velocity')}, ` +
+            `weeps below ${fmt(displayValue(load.weepVelocity, 'velocity'), 1)} ${unitLabel('velocity')}`);
+    }
+    addLegend(container, [
+        ['Within limits', 'flood-bar'],
+        ['Near flooding', 'near-flood-bar'],
+        ['Weeping', 'weeping-bar'],
+        [`${fmt(NEAR_FLOOD_FRACTION * 100, 0)}% flood`, 'spec-line']
+    ]);
+}
+
+/**
+ * lists the loading of every tray
+ * @param {HTMLElement} container
+ * @param {object|null} hydraulics result of trayHydraulics
+ */
+function renderHydraulicsTable(container, hydraulics) {
+    if (!hydraulics) {
+        container.replaceChildren();
+        return;
+    }
+    const table = document.createElement('table');
+    table.className = 'case-table hydraulics-table';
+    const header = table.createTHead().insertRow();
+    for (const c of HYDRAULICS_COLUMNS) {
+        const th = document.createElement('th');
+        const units = c.quantity ? unitLabel(c.quantity) : c.units;
+        th.textContent = units ? `${c.label} (${units})` : c.label;
+        header.appendChild(th);
+    }
+    const body = table.createTBody();
+    for (const load of hydraulics.trays) {
+        const row = body.insertRow();
+        if (load.nearFlooding || load.weeping) row.className = 'infeasible-row';
+        for (const c of HYDRAULICS_COLUMNS) {
+            const value = c.value(load);
+            row.insertCell().textContent = typeof value === 'string' ? value : fmt(c.quantity ? displayValue(value, c.quantity) : value, c.digits);
+        }
+    }
+    container.replaceChildren(table);
+}
+
+/**
+ * fills the tray hydraulics panel and the tray cards for the solved column
+ * @param {object|null} simulation result of solveCase with the hydraulics of its trays, null when the column did not solve
+ */
+function renderHydraulics(simulation) {
+    const panel = document.getElementById('hydraulics-summary');
+    if (!panel) return;
+    const hydraulics = simulation?.hydraulics ?? null;
+    const trayList = trays => trays.length ? trays.map(t => t.trayNumber).join(', ') : 'none';
+    const values = hydraulics ? {
+        diameter: fmt(displayValue(hydraulics.diameter, 'length'), 1),
+        controllingTray: hydraulics.controllingTray,
+        nearFlooding: trayList(hydraulics.trays.filter(t => t.nearFlooding)),
+        weeping: trayList(hydraulics.trays.filter(t => t.weeping))
+    } : {};
+    panel.querySelectorAll('[data-hydraulics]').forEach(el => el.textContent = values[el.dataset.hydraulics] ?? '-');
+
+    const container = document.getElementById('hydraulics-chart');
+    if (!simulation) showChartMessage(container, 'Solve the column to size the trays.');
+    else if (!hydraulics) showChartMessage(container, 'The tray hydraulics need the liquid density of both components, add it in the component editor.');
+    else renderHydraulicsChart(container, hydraulics);
+    renderHydraulicsTable(document.getElementById('hydraulics-table'), hydraulics);
+    renderTrayHydraulics(hydraulics);
+}
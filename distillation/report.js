@@ -0,0 +1,218 @@
+/**
+ * Result export, writes a solved column as CSV, JSON or a printable datasheet
+ */
+
+/**
+ * collects the results of a solved column for export, in the display units
+ * @param {object} simulation result of solveCase
+ * @param {array[object]} inputs label, value and units of each input on the main form
+ * @param {object} caseData the case on the main form, kept in the JSON export so it loads back as a case
+ * @returns {object}
+ */
+function columnReport(simulation, inputs, caseData) {
+    const { light, heavy, activityModel, rateData, trays, condenser, stagePressures } = simulation;
+    const stream = (name, tray, rate, composition) => ({
+        name,
+        tray,
+        molarRate: displayValue(rate, 'molarFlow'),
+        massRate: displayValue(molarToMass(rate, composition, light, heavy), 'massFlow'),
+        composition
+    });
+    const condenserPressure = stagePressure(stagePressures, 0);
+    const condenserTemperature = equilibriumTemperatureFromX(condenserPressure, simulation.xReflux, light, heavy, activityModel) - (condenser.subcooling || 0);
+    const reboiler = trays[trays.length - 1];
+    const loads = new Map((simulation.hydraulics?.trays || []).map(t => [t.trayNumber, t]));
+    return {
+        generatedAt: new Date().toISOString(),
+        components: { light: light.name, heavy: heavy.name },
+        units: {
+            ...Object.fromEntries(Object.keys(UNIT_QUANTITIES).map(quantity => [quantity, unitLabel(quantity)])),
+            composition: `mole fraction ${light.name}`
+        },
+        inputs,
+        case: caseData,
+        streams: [
+            stream('Feed', simulation.feedTray, rateData.feedRate, rateData.feedComp),
+            ...rateData.sideFeeds.map((feed, i) => stream(`Feed ${i + 2}`, feed.tray, feed.rate, feed.composition)),
+            stream('Distillate', 'Condenser', rateData.distRate, rateData.distComp),
+            stream('Reflux', 'Condenser', rateData.refluxRate, simulation.xReflux),
+            stream('Bottoms', 'Reboiler', rateData.btmsRate, rateData.btmsComp),
+            ...rateData.sideDraws.map((draw, i) => stream(`Draw ${i + 1} (${draw.phase})`, draw.tray, draw.rate, draw.composition))
+        ],
+        summary: {
+            refluxRatio: simulation.refluxRatio,
+            internalRefluxRatio: simulation.internalReflux,
+            boilUpRatio: reboiler.boilUp,
+            theoreticalTrays: simulation.theoreticalTrays,
+            condenserPressure: displayValue(condenserPressure, 'pressure'),
+            condenserTemperature: displayValue(condenserTemperature, 'temperature'),
+            reboilerTemperature: displayValue(reboiler.temperature, 'temperature'),
+            condenserDuty: displayValue(simulation.condenserDuty, 'duty'),
+            reboilerDuty: displayValue(simulation.reboilerDuty, 'duty'),
+            columnDiameter: simulation.hydraulics ? displayValue(simulation.hydraulics.diameter, 'length') : null
+        },
+        // the trays run down from the top tray, the last stage is the reboiler
+        trays: trays.map(t => ({
+            stage: t.trayNumber > simulation.totalTrays ? 'Reboiler' : t.trayNumber,
+            pressure: displayValue(t.pressure, 'pressure'),
+            temperature: displayValue(t.temperature, 'temperature'),
+            liquidComposition: t.liqComp,
+            vaporComposition: t.vapComp,
+            equilibriumVaporComposition: t.vapEquilibrium,
+            liquidRate: displayValue(t.liqRate, 'molarFlow'),
+            vaporRate: displayValue(t.vapRate, 'molarFlow'),
+            percentFlood: loads.get(t.trayNumber)?.percentFlood ?? null
+        }))
+    };
+}
+
+// the units of a result are a fixed label or the quantity whose display unit the report holds
+const REPORT_SUMMARY_ROWS = [
+    ['refluxRatio', 'Reflux ratio', 'L/D', 2],
+    ['internalRefluxRatio', 'Internal reflux ratio', 'L/D', 2],
+    ['boilUpRatio', 'Boil-up ratio', 'V/B', 2],
+    ['theoreticalTrays', 'Theoretical trays', '', 1],
+    ['condenserPressure', 'Condenser pressure', 'pressure', 1],
+    ['condenserTemperature', 'Condenser temperature', 'temperature', 1],
+    ['reboilerTemperature', 'Reboiler temperature', 'temperature', 1],
+    ['condenserDuty', 'Condenser duty', 'duty', 0],
+    ['reboilerDuty', 'Reboiler duty', 'duty', 0],
+    ['columnDiameter', 'Column diameter', 'length', 1]
+];
+
+/**
+ * lays a report out as the tables shared by the CSV and the datasheet
+ * @param {object} report result of columnReport
+ * @returns {array[object]} title, column headings, rows and the decimal places the datasheet shows in each column
+ */
+function reportTables(report) {
+    const { units } = report;
+    return [
+        {
+            title: 'Inputs',
+            columns: ['Input', 'Value', 'Units'],
+            rows: report.inputs.map(input => [input.label, input.value, input.units])
+        },
+        {
+            title: 'Streams',
+            columns: ['Stream', 'Stage', `Rate (${units.molarFlow})`, `Rate (${units.massFlow})`, `Composition (${units.composition})`],
+            rows: report.streams.map(s => [s.name, s.tray, s.molarRate, s.massRate, s.composition]),
+            digits: [null, 0, 1, 0, 4]
+        },
+        {
+            title: 'Results',
+            columns: ['Result', 'Value', 'Units'],
+            rows: REPORT_SUMMARY_ROWS.map(([key, label, rowUnits]) => [label, report.summary[key], units[rowUnits] ?? rowUnits]),
+            rowDigits: REPORT_SUMMARY_ROWS.map(row => row[3])
+        },
+        {
+            title: 'Tray Profile',
+            columns: ['Tray', `P (${units.pressure})`, `T (${units.temperature})`, 'x', 'y', 'y*', `L (${units.molarFlow})`, `V (${units.molarFlow})`, 'Flood (%)'],
+            rows: report.trays.map(t => [t.stage, t.pressure, t.temperature, t.liquidComposition, t.vaporComposition, t.equilibriumVaporComposition, t.liquidRate, t.vaporRate, t.percentFlood]),
+            digits: [null, 1, 1, 4, 4, 4, 1, 1, 0]
+        }
+    ];
+}
+
+/**
+ * quotes a CSV field when it holds a separator, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+    const text = value === null || value === undefined || (typeof value === 'number' && !Number.isFinite(value)) ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * writes a report as CSV, one block per table separated by a blank line, numbers are written at full precision
+ * @param {object} report result of columnReport
+ * @returns {string}
+ */
+function reportCsv(report) {
+    const line = fields => fields.map(csvField).join(',');
+    const heading = [
+        line(['Distillation column results']),
+        line(['Light key', report.components.light]),
+        line(['Heavy key', report.components.heavy]),
+        line(['Generated', report.generatedAt])
+    ];
+    const blocks = reportTables(report).map(table => [line([table.title]), line(table.columns), ...table.rows.map(line)].join('\r\n'));
+    return [heading.join('\r\n'), ...blocks].join('\r\n\r\n') + '\r\n';
+}
+
+/**
+ * writes a report as JSON, the case it holds can be opened from the saved cases panel
+ * @param {object} report result of columnReport
+ * @returns {string}
+ */
+function reportJson(report) {
+    return JSON.stringify(report, null, 2);
+}
+
+/**
+ * fills the datasheet that replaces the page when it is printed
+ * @param {object} report result of columnReport
+ */
+function renderDatasheet(report) {
+    const sheet = document.getElementById('datasheet');
+    const title = document.createElement('h1');
+    title.textContent = 'Distillation Column Datasheet';
+    const subtitle = document.createElement('p');
+    subtitle.className = 'datasheet-subtitle';
+    subtitle.textContent = `${report.components.light} / ${report.components.heavy}` +
+        (report.case.name ? `, ${report.case.name}` : '') +
+        `, ${new Date(report.generatedAt).toLocaleString()}`;
+    const tables = reportTables(report).map(table => {
+        const section = document.createElement('section');
+        const heading = document.createElement('h2');
+        heading.textContent = table.title;
+        const el = document.createElement('table');
+        const head = el.createTHead().insertRow();
+        for (const column of table.columns) {
+            const th = document.createElement('th');
+            th.textContent = column;
+            head.appendChild(th);
+        }
+        const body = el.createTBody();
+        table.rows.forEach((row, i) => {
+            const tr = body.insertRow();
+            row.forEach((value, j) => {
+                const digits = table.rowDigits?.[i] ?? table.digits?.[j];
+                const td = tr.insertCell();
+                td.textContent = typeof value === 'number' && Number.isFinite(digits) ? fmt(value, digits) : value ?? '';
+                if (typeof value === 'number') td.className = 'number';
+            });
+        });
+        section.append(heading, el);
+        return section;
+    });
+    sheet.replaceChildren(title, subtitle, ...tables);
+}
+
+/**
+ * enables the export buttons when there is a solved column to export
+ * @param {object|null} simulation
+ */
+function renderReportActions(simulation) {
+    document.querySelectorAll('[data-export]').forEach(button => button.disabled = !simulation);
+}
+
+/**
+ * exports the current results on request
+ * @param {function} currentReport returns the report for the solved column, null when it did not solve
+ */
+function setupReportControls(currentReport) {
+    const exports = {
+        csv: report => downloadFile('column-results.csv', reportCsv(report), 'text/csv'),
+        json: report => downloadFile('column-results.json', reportJson(report), 'application/json'),
+        print: report => {
+            renderDatasheet(report);
+            window.print();
+        }
+    };
+    document.querySelectorAll('[data-export]').forEach(button => button.addEventListener('click', () => {
+        const report = currentReport();
+        if (report) exports[button.dataset.export](report);
+    }));
+}
@@ -0,0 +1,68 @@
+/**
+ * Shortcut design panel, sizes a column for the current specs before it is solved tray by tray
+ */
+
+/**
+ * fills the shortcut design panel
+ * @param {object|null} system feed, product specs and column set up from the main form, null when they are not valid
+ * @returns {object|null} the shortcut design, null when there is none to use
+ */
+function renderShortcutDesign(system) {
+    const panel = document.getElementById('shortcut-design');
+    if (!panel) return null;
+    const factorInput = document.getElementById('shortcutRefluxFactor');
+    const design = system && factorInput.validity.valid ? shortcutDesign(
+        system.feedRate,
+        system.xFeed,
+        system.xDistillate,
+        system.xBottoms,
+        system.pressure,
+        system.light,
+        system.heavy,
+        system.activityModel,
+        system.feedQ,
+        factorInput.valueAsNumber,
+        system.efficiency,
+        system.condenser
+    ) : null;
+    const values = design ? {
+        alpha: fmt(design.alpha, 2),
+        minimumStages: fmt(design.minimumStages, 1),
+        minRefluxRatio: fmt(design.minRefluxRatio, 2),
+        refluxRatio: fmt(design.refluxRatio, 2),
+        stages: fmt(design.stages, 1),
+        split: `${fmt(design.rectifyingStages, 1)} / ${fmt(design.strippingStages, 1)}`,
+        totalTrays: design.totalTrays,
+        feedTray: design.feedTray
+    } : {};
+    panel.querySelectorAll('[data-shortcut]').forEach(el => el.textContent = values[el.dataset.shortcut] ?? '-');
+
+    let message = '';
+    if (!system) message = 'Enter valid product specs and feed conditions for the shortcut design.';
+    else if (!factorInput.validity.valid) message = 'The reflux ratio must be more than the minimum.';
+    else if (!design) message = 'The keys do not separate at these specs, the shortcut methods need a relative volatility above 1.';
+    // the shortcut only knows one feed and two products
+    else if (system.sideStreams) message = 'Side feeds and side draws are left out of the shortcut design.';
+    const msg = document.getElementById('shortcut-msg');
+    msg.textContent = message;
+    msg.hidden = !message;
+    document.getElementById('shortcut-apply').disabled = !design;
+    return design;
+}
+
+/**
+ * redraws the shortcut design when its own controls change and copies it into the column inputs on request
+ * @param {function} currentSystem returns the system to size from the main form
+ * @param {function} apply takes the shortcut design and updates the column inputs
+ */
+function setupShortcutControls(currentSystem, apply) {
+    const controls = document.getElementById('shortcut-controls');
+    if (!controls) return;
+    let design = null;
+    const update = () => design = renderShortcutDesign(currentSystem());
+    controls.addEventListener('change', update);
+    document.getElementById('shortcut-apply').addEventListener('click', () => {
+        update();
+        if (design) apply(design);
+    });
+}
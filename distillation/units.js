@@ -0,0 +1,229 @@
+/**
+ * Display units
+ *
+ * the solver works in psia, °F, lb/hr, lb-mol/hr and kBTU/hr, the tray hydraulics in inches, lb/ft³ and ft/s and the economics in $/MMBTU,
+ * the page converts at the inputs and outputs
+ * a value in a unit relates to the solver basis by base = scale * value + offset
+ */
+const UNIT_QUANTITIES = {
+    pressure: {
+        label: 'Pressure',
+        units: {
+            psig: { label: 'psig', differenceLabel: 'psi', scale: 1, offset: 14.7 },
+            psia: { label: 'psia', differenceLabel: 'psi', scale: 1, offset: 0 },
+            bar: { label: 'bar', scale: 14.503773773, offset: 0 },
+            kPa: { label: 'kPa', scale: 0.14503773773, offset: 0 }
+        }
+    },
+    temperature: {
+        label: 'Temperature',
+        units: {
+            F: { label: '°F', scale: 1, offset: 0 },
+            C: { label: '°C', scale: 1.8, offset: 32 },
+            K: { label: 'K', scale: 1.8, offset: -459.67 }
+        }
+    },
+    massFlow: {
+        label: 'Mass Flow',
+        units: {
+            'lb/hr': { label: 'lb/hr', scale: 1, offset: 0 },
+            'kg/h': { label: 'kg/h', scale: 2.20462262, offset: 0 }
+        }
+    },
+    molarFlow: {
+        label: 'Molar Flow',
+        units: {
+            'lb-mol/hr': { label: 'lb-mol/hr', scale: 1, offset: 0 },
+            'kmol/h': { label: 'kmol/h', scale: 2.20462262, offset: 0 }
+        }
+    },
+    duty: {
+        label: 'Duty',
+        units: {
+            'kBTU/hr': { label: 'kBTU/hr', scale: 1, offset: 0 },
+            kW: { label: 'kW', scale: 3.41214163, offset: 0 }
+        }
+    },
+    length: {
+        label: 'Length',
+        units: {
+            in: { label: 'in', scale: 1, offset: 0 },
+            mm: { label: 'mm', scale: 1 / 25.4, offset: 0 }
+        }
+    },
+    density: {
+        label: 'Density',
+        units: {
+            'lb/ft3': { label: 'lb/ft³', scale: 1, offset: 0 },
+            'kg/m3': { label: 'kg/m³', scale: 1 / 16.0184634, offset: 0 }
+        }
+    },
+    velocity: {
+        label: 'Velocity',
+        units: {
+            'ft/s': { label: 'ft/s', scale: 1, offset: 0 },
+            'm/s': { label: 'm/s', scale: 1 / 0.3048, offset: 0 }
+        }
+    },
+    energyPrice: {
+        label: 'Energy Price',
+        units: {
+            '$/MMBTU': { label: '$/MMBTU', scale: 1, offset: 0 },
+            '$/GJ': { label: '$/GJ', scale: 1.05505585, offset: 0 }
+        }
+    }
+};
+
+/**
+ * the unit sets offered together, the page markup is written in US customary units
+ */
+const UNIT_SYSTEMS = {
+    us: {
+        label: 'US Customary',
+        units: { pressure: 'psig', temperature: 'F', massFlow: 'lb/hr', molarFlow: 'lb-mol/hr', duty: 'kBTU/hr', length: 'in', density: 'lb/ft3', velocity: 'ft/s', energyPrice: '$/MMBTU' }
+    },
+    si: {
+        label: 'SI',
+        units: { pressure: 'kPa', temperature: 'K', massFlow: 'kg/h', molarFlow: 'kmol/h', duty: 'kW', length: 'mm', density: 'kg/m3', velocity: 'm/s', energyPrice: '$/GJ' }
+    },
+    metric: {
+        label: 'Metric',
+        units: { pressure: 'bar', temperature: 'C', massFlow: 'kg/h', molarFlow: 'kmol/h', duty: 'kW', length: 'mm', density: 'kg/m3', velocity: 'm/s', energyPrice: '$/GJ' }
+    }
+};
+
+const DEFAULT_UNITS = UNIT_SYSTEMS.us.units;
+const UNITS_KEY = 'distillation.units';
+
+let displayUnits = { ...DEFAULT_UNITS };
+
+/**
+ * looks up the unit shown for a quantity
+ * differences of pressure and temperature follow the pressure and temperature units without their offset
+ * @param {string} quantity key of UNIT_QUANTITIES, or pressureDifference or temperatureDifference
+ * @param {object} units unit for each quantity, the display units by default
+ * @returns {object} label, scale and offset
+ */
+function unitOf(quantity, units = displayUnits) {
+    const difference = quantity.endsWith('Difference');
+    const key = difference ? quantity.slice(0, -'Difference'.length) : quantity;
+    const unit = UNIT_QUANTITIES[key].units[units[key]];
+    return difference ? { label: unit.differenceLabel ?? unit.label, scale: unit.scale, offset: 0 } : unit;
+}
+
+/**
+ * converts a value from display units to the solver basis
+ * @param {number} value
+ * @param {string} quantity
+ * @param {object} units
+ * @returns {number}
+ */
+function baseValue(value, quantity, units = displayUnits) {
+    const unit = unitOf(quantity, units);
+    return value * unit.scale + unit.offset;
+}
+
+/**
+ * converts a value from the solver basis to display units
+ * @param {number} value
+ * @param {string} quantity
+ * @param {object} units
+ * @returns {number}
+ */
+function displayValue(value, quantity, units = displayUnits) {
+    const unit = unitOf(quantity, units);
+    return (value - unit.offset) / unit.scale;
+}
+
+/**
+ * @param {string} quantity
+ * @returns {string} label of the display unit
+ */
+function unitLabel(quantity) {
+    return unitOf(quantity).label;
+}
+
+/**
+ * reads an input tagged with the quantity it holds in the solver basis
+ * @param {HTMLInputElement} input
+ * @returns {number}
+ */
+function inputBaseValue(input) {
+    if (!input.dataset.quantity) return input.valueAsNumber;
+    // a value still as convertInputUnits left it solves at the value entered before the units changed
+    if (input.value === input.dataset.convertedValue) return Number(input.dataset.baseValue);
+    return baseValue(input.valueAsNumber, input.dataset.quantity);
+}
+
+/**
+ * @param {object} units
+ * @returns {string|null} the unit system with exactly these units, null for a mix
+ */
+function matchingUnitSystem(units) {
+    return Object.keys(UNIT_SYSTEMS).find(key => Object.entries(UNIT_SYSTEMS[key].units).every(([quantity, unit]) => units[quantity] === unit)) ?? null;
+}
+
+function setDisplayUnits(units) {
+    displayUnits = { ...DEFAULT_UNITS, ...units };
+}
+
+/**
+ * reads the units saved as the preferred display units
+ * @returns {object}
+ */
+function loadUnitPreference() {
+    if (typeof localStorage === 'undefined') return { ...DEFAULT_UNITS };
+    try {
+        const saved = JSON.parse(localStorage.getItem(UNITS_KEY) || '{}') || {};
+        return Object.fromEntries(Object.keys(UNIT_QUANTITIES).map(quantity =>
+            [quantity, UNIT_QUANTITIES[quantity].units[saved[quantity]] ? saved[quantity] : DEFAULT_UNITS[quantity]]));
+    } catch (e) {
+        return { ...DEFAULT_UNITS };
+    }
+}
+
+function storeUnitPreference(units) {
+    if (typeof localStorage === 'undefined') return;
+    localStorage.setItem(UNITS_KEY, JSON.stringify(units));
+}
+
+/**
+ * converts the values of the tagged inputs under an element from one set of units to another
+ * the limits are kept in the solver basis from the markup so they convert without drifting,
+ * and a value left as it was converted keeps its unrounded base so switching back gives the value entered
+ * @param {HTMLElement} root
+ * @param {object} from units the values are in
+ * @param {object} to
+ */
+function convertInputUnits(root, from, to) {
+    root.querySelectorAll('input[data-quantity]').forEach(input => {
+        const quantity = input.dataset.quantity;
+        for (const limit of ['min', 'max']) {
+            if (input.getAttribute(limit) === null) continue;
+            input.dataset[`base${limit}`] ??= baseValue(Number(input.getAttribute(limit)), quantity, DEFAULT_UNITS);
+            input.setAttribute(limit, roundUnitValue(displayValue(Number(input.dataset[`base${limit}`]), quantity, to)));
+        }
+        if (input.value === '' || !Number.isFinite(input.valueAsNumber)) return;
+        const base = input.value === input.dataset.convertedValue ? Number(input.dataset.baseValue) : baseValue(input.valueAsNumber, quantity, from);
+        input.value = roundUnitValue(displayValue(base, quantity, to));
+        input.dataset.baseValue = base;
+        input.dataset.convertedValue = input.value;
+    });
+}
+
+/**
+ * rounds a converted value to six significant figures so a round trip gives back the value entered
+ * @param {number} value
+ * @returns {number}
+ */
+function roundUnitValue(value) {
+    return Number(value.toPrecision(6));
+}
+
+/**
+ * writes the display unit into every element tagged with the quantity it labels
+ * @param {HTMLElement} root
+ */
+function renderUnitLabels(root = document) {
+    root.querySelectorAll('[data-unit]').forEach(el => el.textContent = unitLabel(el.dataset.unit) + (el.dataset.unitSuffix || ''));
+}